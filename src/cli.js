@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const TinyGraphDB = require('./index');
+const { isVector } = require('./vectors');
+
+/**
+ * Interactive shell for inspecting and editing graph files:
+ *
+ *   $ tiny-graph-db graph_data.json
+ *   tiny-graph-db> find name~=paper type=concept
+ *   tiny-graph-db> traverse 1718000000000-3 depth=2 dir=out
+ *
+ * Commands are read line by line, so a script can also be piped in.
+ * Run `help` for the list.
+ */
+
+const COMMANDS = {
+    open: ['open <file> [storage=snapshot|journal] [versioned]', 'Open (or create) a graph file'],
+    close: ['close', 'Close the current graph'],
+    stats: ['stats', 'Node / relation counts and average degree'],
+    nodes: ['nodes [limit=20]', 'List nodes'],
+    relations: ['relations [limit=20]', 'List relations'],
+    node: ['node <id>', 'Show one node'],
+    relation: ['relation <id>', 'Show one relation'],
+    neighbors: ['neighbors <id>', 'Adjacent nodes with the connecting relation'],
+    find: ['find [nodes|relations] <cond>... [limit=20]', 'Search; cond is key=v, key!=v, key~=v (contains), key>v, key>=v, key<v, key<=v'],
+    traverse: ['traverse <id> [depth=2] [dir=out|in|both] [relation=<name>]', 'Walk the graph from a node'],
+    path: ['path <fromId> <toId> [dir=out|in|both] [weight=<key>]', 'Shortest path between two nodes'],
+    query: ['query <MATCH ... RETURN ...>', 'Run a graph query'],
+    add: [['add node <name> [key=value]...', 'add relation <name> <fromId> <toId> [key=value]... [undirected]'], 'Create a node or relation'],
+    update: ['update node|relation <id> key=value...', 'Merge metadata into a node or relation'],
+    delete: ['delete node|relation <id>', 'Delete a node (with its relations) or a relation'],
+    export: ['export json|graphml|gexf <file>', 'Write the graph to a file'],
+    import: ['import json|graphml|gexf <file>', 'Replace the graph with the contents of a file'],
+    help: ['help', 'Show this list'],
+    exit: ['exit', 'Leave the shell']
+};
+
+const DIRECTIONS = {
+    out: ['outgoing'],
+    in: ['incoming'],
+    both: ['outgoing', 'incoming']
+};
+
+// Export / import formats: [serialize(db), load(db, text)]
+const FORMATS = {
+    json: [db => JSON.stringify(db.exportData(), null, 2), (db, text) => db.importData(JSON.parse(text))],
+    graphml: [db => db.exportGraphML(), (db, text) => db.importGraphML(text)],
+    gexf: [db => db.exportGEXF(), (db, text) => db.importGEXF(text)]
+};
+
+const CONDITION = /^([^=!~<>]+)(=|!=|~=|>=|<=|>|<)(.*)$/;
+const MAX_CELL_WIDTH = 48;
+
+/**
+ * @class Shell
+ * @description
+ *   Parses and runs shell commands against one open database. Output is
+ *   returned as text so the shell can be driven without a terminal.
+ *
+ * @param {Object} [options={}]
+ * @param {Object} [options.dbOptions={}] – default constructor options for `open`
+ */
+class Shell {
+    constructor(options = {}) {
+        const { dbOptions = {} } = options;
+
+        this.dbOptions = dbOptions;
+        this.db = null;
+        this.file = null;
+    }
+
+    /**
+     * execute(line)
+     * @description
+     *   Runs one command line.
+     * @param {string} line
+     * @returns {string|null} text to print; `null` once `exit` was requested
+     * @throws on unknown commands, bad arguments or errors from the database
+     */
+    execute(line) {
+        const [command, ...args] = tokenize(line);
+        if (command === undefined) return '';
+
+        switch (command) {
+            case 'open': return this.open(args);
+            case 'close': return this.close();
+            case 'help': return this.help();
+            case 'exit':
+            case 'quit':
+                return null;
+            default:
+                if (!COMMANDS[command]) {
+                    throw new Error(`Unknown command: ${command}. Type "help" for a list`);
+                }
+                if (!this.db) {
+                    throw new Error('No graph is open. Use "open <file>" first');
+                }
+                return this[`_${command}`](args);
+        }
+    }
+
+    /**
+     * complete(line)
+     * @description
+     *   Tab completion for `readline`: commands, sub-commands, entity ids
+     *   and file names, depending on the position in the line.
+     * @param {string} line
+     * @returns {[string[], string]} candidates and the word they complete
+     */
+    complete(line) {
+        const words = tokenize(line);
+        if (/\s$/.test(line) || words.length === 0) words.push('');
+        const word = words[words.length - 1];
+        const position = words.length - 1;
+        const command = words[0];
+
+        let candidates = [];
+        if (position === 0) {
+            candidates = Object.keys(COMMANDS);
+        } else if (command === 'open' && position === 1) {
+            candidates = completeFile(word);
+        } else if ((command === 'export' || command === 'import') && position === 1) {
+            candidates = Object.keys(FORMATS);
+        } else if ((command === 'export' || command === 'import') && position === 2) {
+            candidates = completeFile(word);
+        } else if (['add', 'update', 'delete'].includes(command) && position === 1) {
+            candidates = ['node', 'relation'];
+        } else if (command === 'find' && position === 1) {
+            candidates = ['nodes', 'relations', 'name=', 'name~='];
+        } else if (command === 'traverse' && position > 1) {
+            candidates = ['depth=', 'dir=out', 'dir=in', 'dir=both', 'relation='];
+        } else if (this.db) {
+            if (['node', 'neighbors', 'traverse', 'path'].includes(command)
+                || (command === 'add' && words[1] === 'relation' && (position === 3 || position === 4))
+                || (['update', 'delete'].includes(command) && words[1] === 'node' && position === 2)) {
+                candidates = Array.from(this.db.nodes.keys());
+            } else if (command === 'relation'
+                || (['update', 'delete'].includes(command) && words[1] === 'relation' && position === 2)) {
+                candidates = Array.from(this.db.relations.keys());
+            }
+        }
+
+        return [candidates.filter(candidate => candidate.startsWith(word)), word];
+    }
+
+    open(args) {
+        const { positional, options } = parseArguments(args);
+        const [file, ...flags] = positional;
+        if (!file || flags.some(flag => flag !== 'versioned')) {
+            throw new Error(`Usage: ${COMMANDS.open[0]}`);
+        }
+        const dbOptions = { ...this.dbOptions };
+        if (options.storage !== undefined) dbOptions.storage = options.storage;
+        if (flags.includes('versioned')) dbOptions.versioned = true;
+
+        this.db = new TinyGraphDB(file, dbOptions);
+        this.file = file;
+        const { nodeCount, relationCount } = this.db.getStats();
+        return `Opened ${this.file}: ${nodeCount} nodes, ${relationCount} relations`;
+    }
+
+    close() {
+        if (!this.db) return 'No graph is open';
+        const file = this.file;
+        this.db = null;
+        this.file = null;
+        return `Closed ${file}`;
+    }
+
+    help() {
+        // A command with several forms lists each on its own line
+        const entries = [];
+        Object.values(COMMANDS).forEach(([usage, description]) => {
+            [].concat(usage).forEach((form, i) => entries.push([form, i === 0 ? description : '']));
+        });
+        const width = Math.max(...entries.map(([usage]) => usage.length));
+        return entries.map(([usage, description]) => `  ${usage.padEnd(width)}  ${description}`.trimEnd()).join('\n');
+    }
+
+    _stats() {
+        const stats = this.db.getStats();
+        return formatTable([{ ...stats, avgDegree: Number(stats.avgDegree.toFixed(3)) }], ['nodeCount', 'relationCount', 'avgDegree']);
+    }
+
+    _nodes(args) {
+        const { options } = parseArguments(args);
+        return entityTable(this.db.getAllNodes(), 'node', limitOf(options));
+    }
+
+    _relations(args) {
+        const { options } = parseArguments(args);
+        return entityTable(this.db.getAllRelations(), 'relation', limitOf(options));
+    }
+
+    _node([id]) {
+        const node = this.db.getNode(id);
+        if (!node) throw new Error(`Node with id ${id} not found`);
+        return detailTable(node, [
+            ['relations', (this.db.nodeRelations.get(id) || new Set()).size]
+        ]);
+    }
+
+    _relation([id]) {
+        const relation = this.db.getRelation(id);
+        if (!relation) throw new Error(`Relation with id ${id} not found`);
+        return detailTable(relation, [
+            ['from', this._label(relation.fromNodeId)],
+            ['to', this._label(relation.toNodeId)]
+        ]);
+    }
+
+    _neighbors([id]) {
+        if (!this.db.getNode(id)) throw new Error(`Node with id ${id} not found`);
+        const rows = this.db.getNeighbors(id).map(({ node, relation, direction }) => ({
+            direction,
+            relation: relation.name,
+            relationId: relation.id,
+            nodeId: node.id,
+            name: node.name
+        }));
+        return formatTable(rows, ['direction', 'relation', 'relationId', 'nodeId', 'name']);
+    }
+
+    _find(args) {
+        let type = 'node';
+        if (args[0] === 'nodes' || args[0] === 'relations') {
+            type = args[0].slice(0, -1);
+            args = args.slice(1);
+        }
+
+        const conditions = {};
+        let limit = 20;
+        args.forEach(arg => {
+            const match = CONDITION.exec(arg);
+            if (!match) throw new Error(`Invalid condition: ${arg}. Expected e.g. name~=foo or year>=2020`);
+            const [, key, operator, raw] = match;
+            if (key === 'limit' && operator === '=') {
+                limit = Number(raw);
+                return;
+            }
+            addCondition(conditions, type, key, operator, parseValue(raw));
+        });
+
+        const results = type === 'node' ? this.db.searchNodes(conditions) : this.db.searchRelations(conditions);
+        return entityTable(results, type, limit);
+    }
+
+    _traverse(args) {
+        const { positional, options } = parseArguments(args);
+        const id = positional[0];
+        if (!this.db.getNode(id)) throw new Error(`Node with id ${id} not found`);
+
+        const triplets = this.db.traverseFromNode(id, {
+            maxDepth: options.depth === undefined ? 2 : Number(options.depth),
+            directions: directionsOf(options.dir),
+            relationName: options.relation === undefined ? null : String(options.relation)
+        });
+        const rows = triplets.map(([from, relation, to]) => ({
+            from: `${from.name} (${from.id})`,
+            relation: relation.directed === false ? `${relation.name} (undirected)` : relation.name,
+            to: `${to.name} (${to.id})`
+        }));
+        return formatTable(rows, ['from', 'relation', 'to']);
+    }
+
+    _path(args) {
+        const { positional, options } = parseArguments(args);
+        if (positional.length !== 2) throw new Error(`Usage: ${COMMANDS.path[0]}`);
+
+        const found = this.db.shortestPath(positional[0], positional[1], {
+            directions: directionsOf(options.dir),
+            weightKey: options.weight === undefined ? null : String(options.weight)
+        });
+        if (!found) return 'No path found';
+
+        const rows = found.nodes.map((node, i) => ({
+            step: i,
+            nodeId: node.id,
+            name: node.name,
+            via: i === 0 ? '' : found.relations[i - 1].name
+        }));
+        return `${formatTable(rows, ['step', 'via', 'nodeId', 'name'])}\ncost: ${found.cost}`;
+    }
+
+    _query(args) {
+        const rows = this.db.query(args.join(' '));
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        return formatTable(rows, columns);
+    }
+
+    _add([kind, ...args]) {
+        const { positional, options } = parseArguments(args);
+
+        if (kind === 'node') {
+            if (positional.length !== 1) throw new Error('Usage: add node <name> [key=value]...');
+            const node = this.db.addNode(positional[0], options);
+            return `Added node ${node.id}`;
+        }
+        if (kind === 'relation') {
+            if (positional.length < 3 || positional.length > 4 || (positional[3] && positional[3] !== 'undirected')) {
+                throw new Error('Usage: add relation <name> <fromId> <toId> [key=value]... [undirected]');
+            }
+            const [name, fromNodeId, toNodeId, undirected] = positional;
+            const relation = this.db.addRelation(name, fromNodeId, toNodeId, options, { directed: !undirected });
+            return `Added relation ${relation.id}`;
+        }
+        throw new Error(`Usage: ${COMMANDS.add[0].join(' | ')}`);
+    }
+
+    _update([kind, id, ...args]) {
+        const { options } = parseArguments(args);
+        if (kind === 'node') {
+            this.db.updateNode(id, { metadata: options });
+        } else if (kind === 'relation') {
+            this.db.updateRelation(id, { metadata: options });
+        } else {
+            throw new Error(`Usage: ${COMMANDS.update[0]}`);
+        }
+        return `Updated ${kind} ${id}`;
+    }
+
+    _delete([kind, id]) {
+        if (kind === 'node') {
+            const removed = this.db.getNeighbors(id).length;
+            this.db.deleteNode(id);
+            return `Deleted node ${id} and ${removed} relation(s)`;
+        }
+        if (kind === 'relation') {
+            this.db.deleteRelation(id);
+            return `Deleted relation ${id}`;
+        }
+        throw new Error(`Usage: ${COMMANDS.delete[0]}`);
+    }
+
+    _export([format, file]) {
+        if (!file) throw new Error(`Usage: ${COMMANDS.export[0]}`);
+        if (!FORMATS[format]) throw new Error(`Unknown export format: ${format}`);
+
+        fs.writeFileSync(file, FORMATS[format][0](this.db));
+        return `Exported ${this.db.nodes.size} nodes and ${this.db.relations.size} relations to ${file}`;
+    }
+
+    _import([format, file]) {
+        if (!file) throw new Error(`Usage: ${COMMANDS.import[0]}`);
+        if (!FORMATS[format]) throw new Error(`Unknown import format: ${format}`);
+
+        FORMATS[format][1](this.db, fs.readFileSync(file, 'utf8'));
+        return `Imported ${this.db.nodes.size} nodes and ${this.db.relations.size} relations from ${file}`;
+    }
+
+    _label(nodeId) {
+        const node = this.db.getNode(nodeId);
+        return node ? `${node.name} (${nodeId})` : nodeId;
+    }
+}
+
+/**
+ * Splits a command line into words. Double or single quotes group
+ * words, also inside a word (`title="A B"`).
+ */
+function tokenize(line) {
+    const words = [];
+    let current = '';
+    let quote = null;
+    let inWord = false;
+
+    for (const char of line) {
+        if (quote) {
+            if (char === quote) quote = null;
+            else current += char;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            inWord = true;
+        } else if (/\s/.test(char)) {
+            if (inWord) words.push(current);
+            current = '';
+            inWord = false;
+        } else {
+            current += char;
+            inWord = true;
+        }
+    }
+    if (inWord) words.push(current);
+    return words;
+}
+
+/**
+ * Separates `key=value` options (values parsed as JSON where possible)
+ * from positional words.
+ */
+function parseArguments(args) {
+    const positional = [];
+    const options = {};
+    args.forEach(arg => {
+        const index = arg.indexOf('=');
+        if (index > 0) {
+            options[arg.slice(0, index)] = parseValue(arg.slice(index + 1));
+        } else {
+            positional.push(arg);
+        }
+    });
+    return { positional, options };
+}
+
+function parseValue(raw) {
+    if (/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null|\[.*\]|\{.*\})$/.test(raw)) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            // not JSON after all; keep the string
+        }
+    }
+    return raw;
+}
+
+function addCondition(conditions, type, key, operator, value) {
+    const field = key === 'from' ? 'fromNodeId' : key === 'to' ? 'toNodeId' : key;
+    const entityField = field === 'id' || field === 'name' || (type === 'relation' && (field === 'fromNodeId' || field === 'toNodeId'));
+
+    if (entityField) {
+        if (operator === '=') {
+            conditions[field] = String(value);
+        } else if (operator === '~=' && field === 'name') {
+            conditions.name = { contains: String(value) };
+        } else {
+            throw new Error(`Only = ${field === 'name' ? 'and ~= are' : 'is'} supported for ${key}`);
+        }
+        return;
+    }
+
+    conditions.metadata = conditions.metadata || {};
+    const existing = conditions.metadata[field];
+    const condition = typeof existing === 'object' && existing !== null ? existing : {};
+    const operatorName = { '=': 'eq', '!=': 'ne', '~=': 'contains', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' }[operator];
+    condition[operatorName] = value;
+    conditions.metadata[field] = condition;
+}
+
+function directionsOf(dir = 'both') {
+    const directions = DIRECTIONS[dir];
+    if (!directions) throw new Error(`Unknown direction: ${dir}. Expected out, in or both`);
+    return directions;
+}
+
+function limitOf(options) {
+    return options.limit === undefined ? 20 : Number(options.limit);
+}
+
+function completeFile(word) {
+    const dir = word.includes('/') ? word.slice(0, word.lastIndexOf('/') + 1) : '';
+    try {
+        return fs.readdirSync(dir || '.', { withFileTypes: true })
+            .map(entry => `${dir}${entry.name}${entry.isDirectory() ? '/' : ''}`);
+    } catch (error) {
+        return [];
+    }
+}
+
+function entityTable(entities, type, limit) {
+    const columns = type === 'node' ? ['id', 'name', 'metadata'] : ['id', 'name', 'fromNodeId', 'toNodeId', 'metadata'];
+    const shown = entities.slice(0, limit);
+    const rows = shown.map(entity => ({
+        ...entity,
+        name: entity.directed === false ? `${entity.name} (undirected)` : entity.name
+    }));
+    const more = entities.length > shown.length ? `\n… ${entities.length - shown.length} more (use limit=N)` : '';
+    return formatTable(rows, columns) + more;
+}
+
+function detailTable(entity, extra) {
+    const rows = [
+        { field: 'id', value: entity.id },
+        { field: 'name', value: entity.name },
+        ...(entity.directed === false ? [{ field: 'directed', value: false }] : []),
+        ...extra.map(([field, value]) => ({ field, value })),
+        ...Object.entries(entity.metadata).map(([key, value]) => ({ field: `metadata.${key}`, value }))
+    ];
+    return formatTable(rows, ['field', 'value'], Infinity);
+}
+
+/**
+ * Renders rows as a fixed-width table. Objects are shown as compact JSON,
+ * vectors as their first few values, and cells wider than `maxWidth`
+ * are cut with an ellipsis.
+ */
+function formatTable(rows, columns, maxWidth = MAX_CELL_WIDTH) {
+    if (rows.length === 0) return '(no results)';
+
+    const cells = rows.map(row => columns.map(column => truncate(formatCell(row[column]), maxWidth)));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join(' │ ').trimEnd();
+
+    return [
+        line(columns),
+        widths.map(width => '─'.repeat(width)).join('─┼─'),
+        ...cells.map(line),
+        `(${rows.length} row${rows.length === 1 ? '' : 's'})`
+    ].join('\n');
+}
+
+function formatCell(value) {
+    if (value === undefined || value === null) return '';
+    if (isVector(value)) return formatVector(value);
+    if (typeof value === 'object') {
+        return JSON.stringify(value, (key, inner) => (isVector(inner) ? formatVector(inner) : inner));
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) return String(Number(value.toFixed(6)));
+    return String(value);
+}
+
+function formatVector(vector) {
+    const head = Array.prototype.slice.call(vector, 0, 3).map(x => Number(x.toFixed(3))).join(', ');
+    return vector.length > 3 ? `[${head}, … ${vector.length} dims]` : `[${head}]`;
+}
+
+function truncate(text, maxWidth) {
+    const flat = text.replace(/\s*\n\s*/g, ' ');
+    return flat.length > maxWidth ? `${flat.slice(0, maxWidth - 1)}…` : flat;
+}
+
+/**
+ * main(argv)
+ * @description
+ *   Entry point of the `tiny-graph-db` bin:
+ *   `tiny-graph-db [file] [--journal] [--versioned]`.
+ * @param {string[]} argv
+ * @returns {void}
+ */
+function main(argv) {
+    const flags = argv.filter(arg => arg.startsWith('--'));
+    const files = argv.filter(arg => !arg.startsWith('--'));
+    if (flags.includes('--help')) {
+        process.stdout.write(`Usage: tiny-graph-db [file] [--journal] [--versioned]\n\n${new Shell().help()}\n`);
+        return;
+    }
+
+    const shell = new Shell({
+        dbOptions: {
+            storage: flags.includes('--journal') ? 'journal' : 'snapshot',
+            versioned: flags.includes('--versioned')
+        }
+    });
+    const interactive = Boolean(process.stdin.isTTY);
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        completer: line => shell.complete(line),
+        terminal: interactive
+    });
+    const print = text => process.stdout.write(`${text}\n`);
+    const prompt = () => {
+        if (!interactive) return;
+        rl.setPrompt(shell.file ? `${path.basename(shell.file)}> ` : 'tiny-graph-db> ');
+        rl.prompt();
+    };
+
+    if (files.length > 0) {
+        try {
+            print(shell.execute(`open "${files[0]}"`));
+        } catch (error) {
+            print(`Error: ${error.message}`);
+            process.exitCode = 1;
+        }
+    } else if (interactive) {
+        print('Type "help" for commands, "open <file>" to load a graph.');
+    }
+
+    rl.on('line', line => {
+        try {
+            const output = shell.execute(line);
+            if (output === null) {
+                rl.close();
+                return;
+            }
+            if (output !== '') print(output);
+        } catch (error) {
+            print(`Error: ${error.message}`);
+            if (!interactive) process.exitCode = 1;
+        }
+        prompt();
+    });
+    rl.on('close', () => {
+        if (interactive) print('');
+    });
+    prompt();
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { Shell, tokenize, formatTable, main };
@@ -0,0 +1,192 @@
+const http = require('http');
+const https = require('https');
+const { ValidationError } = require('./schema');
+const { RPC_METHODS } = require('./server');
+
+/**
+ * @class TinyGraphClient
+ * @description
+ *   Thin client for a server started with `createServer(db)`. Mirrors the
+ *   TinyGraphDB API, except that every method returns a Promise. Errors
+ *   are rethrown as `Error` (or `ValidationError`, with its `errors`)
+ *   carrying the HTTP `status`. Lookups that 404 resolve to `undefined`,
+ *   like `getNode` does in process.
+ *
+ * @param {string} baseUrl – e.g. `'http://localhost:7474'`
+ * @param {Object} [options={}]
+ * @param {Object} [options.headers={}] – extra headers sent with every request
+ * @param {number} [options.timeout=30000] – per-request timeout in ms
+ */
+class TinyGraphClient {
+    constructor(baseUrl, options = {}) {
+        const { headers = {}, timeout = 30000 } = options;
+
+        this.baseUrl = new URL(baseUrl);
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    addNode(name, metadata = {}) {
+        return this.request('POST', '/nodes', { name, metadata });
+    }
+
+    getNode(nodeId) {
+        return this._lookup(`/nodes/${encodeURIComponent(nodeId)}`);
+    }
+
+    getAllNodes() {
+        return this.request('GET', '/nodes');
+    }
+
+    updateNode(nodeId, updates) {
+        return this.request('PATCH', `/nodes/${encodeURIComponent(nodeId)}`, updates);
+    }
+
+    deleteNode(nodeId) {
+        return this.request('DELETE', `/nodes/${encodeURIComponent(nodeId)}`);
+    }
+
+    getNeighbors(nodeId) {
+        return this.request('GET', `/nodes/${encodeURIComponent(nodeId)}/neighbors`);
+    }
+
+    traverseFromNode(startNodeId, options = {}) {
+        return this.request('POST', `/nodes/${encodeURIComponent(startNodeId)}/traverse`, options);
+    }
+
+    searchNodes(conditions = {}) {
+        return this.request('POST', '/nodes/search', conditions);
+    }
+
+    searchNodesByCosineSimilarity(queryEmbedding, options = {}) {
+        return this.request('POST', '/nodes/similar', { embedding: Array.from(queryEmbedding), options });
+    }
+
+    addRelation(name, fromNodeId, toNodeId, metadata = {}, options = {}) {
+        const { directed = true } = typeof options === 'boolean' ? {} : options;
+        return this.request('POST', '/relations', { name, fromNodeId, toNodeId, metadata, directed });
+    }
+
+    getRelation(relationId) {
+        return this._lookup(`/relations/${encodeURIComponent(relationId)}`);
+    }
+
+    getAllRelations() {
+        return this.request('GET', '/relations');
+    }
+
+    updateRelation(relationId, updates) {
+        return this.request('PATCH', `/relations/${encodeURIComponent(relationId)}`, updates);
+    }
+
+    deleteRelation(relationId) {
+        return this.request('DELETE', `/relations/${encodeURIComponent(relationId)}`);
+    }
+
+    searchRelations(conditions = {}) {
+        return this.request('POST', '/relations/search', conditions);
+    }
+
+    searchRelationsByCosineSimilarity(queryEmbedding, options = {}) {
+        return this.request('POST', '/relations/similar', { embedding: Array.from(queryEmbedding), options });
+    }
+
+    searchAndTraverse(queryEmbedding, options = {}) {
+        return this.request('POST', '/search-and-traverse', { embedding: Array.from(queryEmbedding), options });
+    }
+
+    getStats() {
+        return this.request('GET', '/stats');
+    }
+
+    exportData() {
+        return this.request('GET', '/export');
+    }
+
+    /**
+     * importData(data)
+     * @description
+     *   Replaces the server's graph.
+     * @param {{nodes:Array,relations:Array}} data
+     * @returns {Promise<{nodeCount:number,relationCount:number,avgDegree:number}>} stats after the import
+     */
+    importData(data) {
+        return this.request('POST', '/import', data);
+    }
+
+    /**
+     * request(method, pathname, body)
+     * @description
+     *   Sends one JSON request to the server.
+     * @param {string} method
+     * @param {string} pathname – e.g. `/nodes`
+     * @param {Object} [body]
+     * @returns {Promise<any>} the decoded response body
+     * @throws {Error|ValidationError} with `status` for non-2xx responses
+     */
+    request(method, pathname, body) {
+        const url = new URL(pathname.replace(/^\//, ''), this.baseUrl.href.replace(/\/?$/, '/'));
+        const text = body === undefined ? null : JSON.stringify(body);
+        const transport = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method,
+                timeout: this.timeout,
+                headers: {
+                    Accept: 'application/json',
+                    ...(text === null ? {} : {
+                        'Content-Type': 'application/json',
+                        'Content-Length': Buffer.byteLength(text)
+                    }),
+                    ...this.headers
+                }
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => {
+                    let payload;
+                    try {
+                        payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                    } catch (error) {
+                        reject(new Error(`Invalid JSON response from ${method} ${url.pathname} (status ${res.statusCode})`));
+                        return;
+                    }
+
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve(payload);
+                        return;
+                    }
+                    const { name, message, errors } = (payload && payload.error) || {};
+                    const error = name === 'ValidationError'
+                        ? new ValidationError(message, errors)
+                        : new Error(message || `Request failed with status ${res.statusCode}`);
+                    error.status = res.statusCode;
+                    reject(error);
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`Request to ${url.pathname} timed out after ${this.timeout}ms`)));
+            req.on('error', reject);
+            if (text !== null) req.write(text);
+            req.end();
+        });
+    }
+
+    _lookup(pathname) {
+        return this.request('GET', pathname).catch(error => {
+            if (error.status === 404) return undefined;
+            throw error;
+        });
+    }
+}
+
+// The rest of the API goes through the server's generic `/rpc/<method>` route
+RPC_METHODS.forEach(method => {
+    TinyGraphClient.prototype[method] = function (...args) {
+        return this.request('POST', `/rpc/${method}`, { args });
+    };
+});
+
+module.exports = TinyGraphClient;
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const { isVector, jsonReplacer } = require('./vectors');
+
+/**
+ * RFC 4180 CSV: quoted fields may contain delimiters, `""` and line
+ * breaks; records end with LF or CRLF. Blank lines are skipped.
+ */
+
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const COLUMN_TYPES = ['auto', 'string', 'number', 'boolean', 'json'];
+
+/**
+ * @class CsvParser
+ * @description
+ *   Incremental parser: feed text in chunks of any size with `push()`,
+ *   then call `end()`. Each returns the records completed so far as
+ *   `{ line, fields }`, where `line` is where the record starts.
+ *
+ * @param {string} [delimiter=',']
+ */
+class CsvParser {
+    constructor(delimiter = ',') {
+        assertDelimiter(delimiter);
+        this.delimiter = delimiter;
+        this.fields = [];
+        this.field = '';
+        this.started = false; // current record has content
+        this.quoted = false; // inside a quoted field
+        this.quotePending = false; // saw `"` inside quotes: `""` or the closing quote
+        this.line = 1;
+        this.recordLine = 1;
+    }
+
+    push(text) {
+        const records = [];
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.quotePending) {
+                this.quotePending = false;
+                if (char === '"') {
+                    this.field += '"';
+                    continue;
+                }
+                this.quoted = false;
+            } else if (this.quoted) {
+                if (char === '"') {
+                    this.quotePending = true;
+                } else {
+                    if (char === '\n') this.line++;
+                    this.field += char;
+                }
+                continue;
+            }
+
+            if (char === this.delimiter) {
+                this.fields.push(this.field);
+                this.field = '';
+                this.started = true;
+            } else if (char === '\n') {
+                this._endRecord(records);
+                this.line++;
+                this.recordLine = this.line;
+            } else if (char === '"' && this.field === '') {
+                this.quoted = true;
+                this.started = true;
+            } else if (char !== '\r') {
+                this.field += char;
+                this.started = true;
+            }
+        }
+        return records;
+    }
+
+    end() {
+        if (this.quoted && !this.quotePending) {
+            throw new Error(`Unterminated quoted field starting on line ${this.recordLine}`);
+        }
+        const records = [];
+        this._endRecord(records);
+        return records;
+    }
+
+    _endRecord(records) {
+        if (this.started || this.field !== '') {
+            this.fields.push(this.field);
+            records.push({ line: this.recordLine, fields: this.fields });
+        }
+        this.fields = [];
+        this.field = '';
+        this.started = false;
+        this.quoted = false;
+        this.quotePending = false;
+    }
+}
+
+/**
+ * readCSV(file, delimiter)
+ * @description
+ *   Streams a CSV file, yielding one `{ line, fields }` per record.
+ * @param {string} file
+ * @param {string} [delimiter=',']
+ * @returns {AsyncGenerator<{line:number, fields:string[]}>}
+ */
+async function* readCSV(file, delimiter = ',') {
+    const parser = new CsvParser(delimiter);
+    let first = true;
+    for await (let chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+        if (first) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        yield* parser.push(chunk);
+    }
+    yield* parser.end();
+}
+
+/**
+ * writeCSV(file, header, rows, delimiter)
+ * @description
+ *   Streams rows to a file, waiting for the stream to drain as needed.
+ * @param {string} file
+ * @param {string[]} header
+ * @param {Iterable<string[]>} rows
+ * @param {string} [delimiter=',']
+ * @returns {Promise<void>}
+ */
+function writeCSV(file, header, rows, delimiter = ',') {
+    return new Promise((resolve, reject) => {
+        assertDelimiter(delimiter);
+        const stream = fs.createWriteStream(file, { encoding: 'utf8' });
+        const iterator = rows[Symbol.iterator]();
+        stream.on('error', reject);
+        stream.on('finish', resolve);
+
+        const write = () => {
+            try {
+                for (let next = iterator.next(); !next.done; next = iterator.next()) {
+                    if (!stream.write(formatRow(next.value, delimiter))) {
+                        stream.once('drain', write);
+                        return;
+                    }
+                }
+                stream.end();
+            } catch (error) {
+                stream.destroy();
+                reject(error);
+            }
+        };
+        stream.write(formatRow(header, delimiter));
+        write();
+    });
+}
+
+function assertDelimiter(delimiter) {
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || '"\r\n'.includes(delimiter)) {
+        throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+    }
+}
+
+function formatRow(values, delimiter) {
+    return `${values.map(value => (
+        value.includes(delimiter) || /["\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+    )).join(delimiter)}\n`;
+}
+
+/**
+ * coerceValue(text, type)
+ * @description
+ *   Converts a cell to a metadata value. `auto` turns `true`/`false`,
+ *   `null`, numbers and JSON arrays/objects/strings into those values, and
+ *   leaves anything else as text, including numbers with leading zeros (zip
+ *   codes) and integers too large to represent exactly. A function type
+ *   is called with the cell text.
+ * @param {string} text
+ * @param {'auto'|'string'|'number'|'boolean'|'json'|function(string): any} type
+ * @returns {any}
+ * @throws if the text does not fit an explicit type
+ */
+function coerceValue(text, type) {
+    if (typeof type === 'function') return type(text);
+
+    switch (type) {
+        case 'string':
+            return text;
+        case 'number': {
+            const value = Number(text.trim());
+            if (text.trim() === '' || Number.isNaN(value)) {
+                throw new Error(`"${text}" is not a number`);
+            }
+            return value;
+        }
+        case 'boolean': {
+            const normalized = text.trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(normalized)) return true;
+            if (['false', '0', 'no'].includes(normalized)) return false;
+            throw new Error(`"${text}" is not a boolean`);
+        }
+        case 'json':
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new Error(`invalid JSON (${error.message})`);
+            }
+        default: {
+            if (text === 'true') return true;
+            if (text === 'false') return false;
+            if (text === 'null') return null;
+            // Integers past 2^53 (external ids, say) would lose digits
+            if (NUMBER.test(text) && (/[.eE]/.test(text) || Number.isSafeInteger(Number(text)))) return Number(text);
+            if (/^[[{"]/.test(text)) {
+                try {
+                    return JSON.parse(text);
+                } catch (error) {
+                    return text;
+                }
+            }
+            return text;
+        }
+    }
+}
+
+/**
+ * Checks a `typeCoercion` option: `true`, `false` or
+ * `{ column: type }` (unlisted columns are `auto`).
+ * @returns {function(string): string|function} column → type
+ */
+function columnTypes(typeCoercion) {
+    if (typeCoercion === true) return () => 'auto';
+    if (typeCoercion === false) return () => 'string';
+    if (!typeCoercion || typeof typeCoercion !== 'object') {
+        throw new Error('typeCoercion must be true, false or an object of column types');
+    }
+    Object.entries(typeCoercion).forEach(([column, type]) => {
+        if (typeof type !== 'function' && !COLUMN_TYPES.includes(type)) {
+            throw new Error(`Unknown type for column "${column}": ${type}. Use ${COLUMN_TYPES.join(', ')} or a function`);
+        }
+    });
+    return column => (Object.prototype.hasOwnProperty.call(typeCoercion, column) ? typeCoercion[column] : 'auto');
+}
+
+/**
+ * flattenMetadata(metadata)
+ * @description
+ *   Turns nested plain objects into dotted columns (`address.city`).
+ *   Arrays, embeddings and empty objects stay whole.
+ * @param {Object} metadata
+ * @returns {Object} column → value
+ */
+function flattenMetadata(metadata, prefix = '', columns = {}) {
+    Object.entries(metadata || {}).forEach(([key, value]) => {
+        if (value === undefined) return;
+        const column = `${prefix}${key}`;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !isVector(value) && Object.keys(value).length > 0) {
+            flattenMetadata(value, `${column}.`, columns);
+        } else {
+            columns[column] = value;
+        }
+    });
+    return columns;
+}
+
+/**
+ * setPath(metadata, column, value)
+ * @description
+ *   The reverse of `flattenMetadata` for one column.
+ * @throws if the column clashes with another one (`a` and `a.b`)
+ */
+function setPath(metadata, column, value) {
+    const keys = column.split('.');
+    let target = metadata;
+    keys.slice(0, -1).forEach(key => {
+        if (target[key] === undefined) {
+            target[key] = {};
+        } else if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+            throw new Error(`column "${column}" clashes with column "${key}"`);
+        }
+        target = target[key];
+    });
+    const last = keys[keys.length - 1];
+    if (target[last] !== undefined) {
+        throw new Error(`column "${column}" is set twice`);
+    }
+    target[last] = value;
+}
+
+/**
+ * formatValue(value)
+ * @description
+ *   Cell text for a metadata value that `auto` coercion reads back as the
+ *   same value: strings as they are, unless they are empty (read as a
+ *   missing value) or would be read as something else (`"true"`, `"42"`,
+ *   `"[1]"`); those and every other value as JSON.
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (typeof value === 'string' && value !== '' && coerceValue(value, 'auto') === value) {
+        return value;
+    }
+    return JSON.stringify(value, jsonReplacer);
+}
+
+module.exports = {
+    CsvParser,
+    readCSV,
+    writeCSV,
+    coerceValue,
+    columnTypes,
+    flattenMetadata,
+    setPath,
+    formatValue
+};
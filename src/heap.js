@@ -0,0 +1,91 @@
+/**
+ * @class BinaryHeap
+ * @description
+ *   Array-backed binary heap. The element for which `compare(a, b) < 0`
+ *   holds against every other element sits at the top, so the default
+ *   comparator gives a min-heap and `(a, b) => b - a` a max-heap.
+ *
+ * @param {function(any, any): number} [compare=(a, b) => a - b]
+ */
+class BinaryHeap {
+    constructor(compare = (a, b) => a - b) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    /**
+     * size
+     * @returns {number} number of queued elements
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * peek()
+     * @returns {any} the top element without removing it (or `undefined`)
+     */
+    peek() {
+        return this.items[0];
+    }
+
+    /**
+     * push(item)
+     * @description
+     *   Inserts an element in O(log n).
+     * @param {any} item
+     * @returns {void}
+     */
+    push(item) {
+        const items = this.items;
+        items.push(item);
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * pop()
+     * @description
+     *   Removes and returns the top element in O(log n).
+     * @returns {any} the top element (or `undefined` when empty)
+     */
+    pop() {
+        const items = this.items;
+        if (items.length === 0) return undefined;
+
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let best = i;
+                if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+                if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+                if (best === i) break;
+                [items[i], items[best]] = [items[best], items[i]];
+                i = best;
+            }
+        }
+        return top;
+    }
+
+    /**
+     * toArray()
+     * @returns {Array} the queued elements in heap (not sorted) order
+     */
+    toArray() {
+        return this.items.slice();
+    }
+}
+
+module.exports = BinaryHeap;
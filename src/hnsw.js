@@ -0,0 +1,292 @@
+const BinaryHeap = require('./heap');
+const { resolveMetric } = require('./metrics');
+
+/**
+ * @class HNSWIndex
+ * @description
+ *   In-memory Hierarchical Navigable Small World graph for approximate
+ *   nearest-neighbor search (Malkov & Yashunin). Each element lives on
+ *   layer 0 and, with exponentially decreasing probability, on higher
+ *   layers; searches descend greedily from the top layer and run a
+ *   best-first beam search of width `ef` on layer 0.
+ *
+ *   Removal is a soft delete: the element keeps routing searches but is
+ *   never returned. Once deleted elements outnumber live ones the graph
+ *   is rebuilt from the live elements.
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.M=16] – links per element per layer (2×M on layer 0).
+ *   Higher improves recall at the cost of memory and insert time.
+ * @param {number} [options.efConstruction=200] – beam width while inserting.
+ *   Higher builds a better graph, slower.
+ * @param {number} [options.efSearch=50] – default beam width while searching.
+ *   Higher improves recall, slower.
+ * @param {'cosine'|'dot'|'euclidean'|'manhattan'} [options.metric='cosine']
+ *   Metric the graph is built for (see `metrics.js`).
+ */
+class HNSWIndex {
+    constructor(options = {}) {
+        const {
+            M = 16,
+            efConstruction = 200,
+            efSearch = 50,
+            metric = 'cosine'
+        } = options;
+
+        this.M = M;
+        this.maxM0 = 2 * M;
+        this.efConstruction = Math.max(efConstruction, M);
+        this.efSearch = efSearch;
+        this.metric = metric;
+        this.distance = resolveMetric(metric).toDistance;
+        this.levelMultiplier = 1 / Math.log(Math.max(M, 2));
+
+        this.elements = []; // internal idx -> { id, vector, level, neighbors: Array<number[]>, deleted }
+        this.idToIndex = new Map(); // external id -> internal idx of its live element
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+        this.dimensions = null;
+    }
+
+    /**
+     * size
+     * @returns {number} number of live (not deleted) elements
+     */
+    get size() {
+        return this.idToIndex.size;
+    }
+
+    /**
+     * has(id)
+     * @param {string} id
+     * @returns {boolean} whether `id` is indexed
+     */
+    has(id) {
+        return this.idToIndex.has(id);
+    }
+
+    /**
+     * getVector(id)
+     * @param {string} id
+     * @returns {number[]|undefined} the vector indexed for `id`
+     */
+    getVector(id) {
+        const idx = this.idToIndex.get(id);
+        return idx === undefined ? undefined : this.elements[idx].vector;
+    }
+
+    /**
+     * add(id, vector)
+     * @description
+     *   Inserts (or replaces) the vector for `id`. The first vector added
+     *   fixes the index dimensionality.
+     * @param {string} id
+     * @param {number[]} vector
+     * @returns {void}
+     * @throws if `vector` has a different dimensionality than the index
+     */
+    add(id, vector) {
+        if (this.dimensions === null) {
+            this.dimensions = vector.length;
+        } else if (vector.length !== this.dimensions) {
+            throw new Error(`Vector has ${vector.length} dimensions, index expects ${this.dimensions}`);
+        }
+
+        this.remove(id);
+
+        const level = Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+        const idx = this.elements.length;
+        const element = { id, vector: Array.from(vector), level, neighbors: [], deleted: false };
+        for (let l = 0; l <= level; l++) {
+            element.neighbors.push([]);
+        }
+        this.elements.push(element);
+        this.idToIndex.set(id, idx);
+
+        if (this.entryPoint === -1) {
+            this.entryPoint = idx;
+            this.maxLevel = level;
+            return;
+        }
+
+        let entry = this.entryPoint;
+        for (let l = this.maxLevel; l > level; l--) {
+            entry = this._greedyClosest(element.vector, entry, l);
+        }
+
+        let entryPoints = [entry];
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const candidates = this._searchLayer(element.vector, entryPoints, this.efConstruction, l);
+            const maxLinks = l === 0 ? this.maxM0 : this.M;
+            const selected = candidates.slice(0, this.M);
+
+            element.neighbors[l] = selected.map(c => c.idx);
+            for (const { idx: neighborIdx } of selected) {
+                const neighbor = this.elements[neighborIdx];
+                neighbor.neighbors[l].push(idx);
+                if (neighbor.neighbors[l].length > maxLinks) {
+                    neighbor.neighbors[l] = this._closest(neighbor.vector, neighbor.neighbors[l], maxLinks);
+                }
+            }
+
+            entryPoints = candidates.map(c => c.idx);
+        }
+
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entryPoint = idx;
+        }
+    }
+
+    /**
+     * remove(id)
+     * @description
+     *   Soft-deletes the element for `id`, rebuilding the graph when more
+     *   than half of all elements are deleted.
+     * @param {string} id
+     * @returns {boolean} whether an element was removed
+     */
+    remove(id) {
+        const idx = this.idToIndex.get(id);
+        if (idx === undefined) return false;
+
+        this.elements[idx].deleted = true;
+        this.idToIndex.delete(id);
+        this.deletedCount++;
+
+        if (this.deletedCount > this.idToIndex.size) {
+            this._rebuild();
+        }
+        return true;
+    }
+
+    /**
+     * search(query, k, [ef])
+     * @description
+     *   Approximate k nearest live elements to `query`.
+     * @param {number[]} query
+     * @param {number} k
+     * @param {number} [ef=this.efSearch] – beam width, raised to at least `k`
+     * @returns {Array<{id:string,distance:number}>} closest first
+     */
+    search(query, k, ef = this.efSearch) {
+        if (this.entryPoint === -1 || this.size === 0 || k <= 0) return [];
+        if (query.length !== this.dimensions) {
+            throw new Error(`Query has ${query.length} dimensions, index expects ${this.dimensions}`);
+        }
+
+        let entry = this.entryPoint;
+        for (let l = this.maxLevel; l > 0; l--) {
+            entry = this._greedyClosest(query, entry, l);
+        }
+
+        // Deleted elements occupy beam slots, so widen the beam to compensate
+        const width = Math.max(ef, k) + Math.min(this.deletedCount, Math.max(ef, k));
+        return this._searchLayer(query, [entry], width, 0)
+            .filter(c => !this.elements[c.idx].deleted)
+            .slice(0, k)
+            .map(c => ({ id: this.elements[c.idx].id, distance: c.distance }));
+    }
+
+    /**
+     * _greedyClosest(query, entry, level)
+     * @internal
+     * @description
+     *   Hill-climbs on one layer towards `query`.
+     * @returns {number} internal idx of the closest element found
+     */
+    _greedyClosest(query, entry, level) {
+        let current = entry;
+        let currentDistance = this.distance(query, this.elements[current].vector);
+
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const neighborIdx of this.elements[current].neighbors[level] || []) {
+                const d = this.distance(query, this.elements[neighborIdx].vector);
+                if (d < currentDistance) {
+                    current = neighborIdx;
+                    currentDistance = d;
+                    improved = true;
+                }
+            }
+        }
+        return current;
+    }
+
+    /**
+     * _searchLayer(query, entryPoints, ef, level)
+     * @internal
+     * @description
+     *   Best-first beam search on one layer, keeping the `ef` closest
+     *   elements seen (including deleted ones, which still route).
+     * @returns {Array<{idx:number,distance:number}>} closest first
+     */
+    _searchLayer(query, entryPoints, ef, level) {
+        const visited = new Set(entryPoints);
+        const candidates = new BinaryHeap((a, b) => a.distance - b.distance);
+        const results = new BinaryHeap((a, b) => b.distance - a.distance);
+
+        for (const idx of entryPoints) {
+            const item = { idx, distance: this.distance(query, this.elements[idx].vector) };
+            candidates.push(item);
+            results.push(item);
+        }
+        while (results.size > ef) results.pop();
+
+        while (candidates.size > 0) {
+            const closest = candidates.pop();
+            if (results.size >= ef && closest.distance > results.peek().distance) break;
+
+            for (const neighborIdx of this.elements[closest.idx].neighbors[level] || []) {
+                if (visited.has(neighborIdx)) continue;
+                visited.add(neighborIdx);
+
+                const distance = this.distance(query, this.elements[neighborIdx].vector);
+                if (results.size < ef || distance < results.peek().distance) {
+                    const item = { idx: neighborIdx, distance };
+                    candidates.push(item);
+                    results.push(item);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.toArray().sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * _closest(vector, indices, count)
+     * @internal
+     * @returns {number[]} the `count` indices closest to `vector`
+     */
+    _closest(vector, indices, count) {
+        return indices
+            .map(idx => ({ idx, distance: this.distance(vector, this.elements[idx].vector) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, count)
+            .map(c => c.idx);
+    }
+
+    /**
+     * _rebuild()
+     * @internal
+     * @description
+     *   Re-inserts all live elements into a fresh graph, dropping deleted ones.
+     * @returns {void}
+     */
+    _rebuild() {
+        const live = this.elements.filter(e => !e.deleted);
+
+        this.elements = [];
+        this.idToIndex = new Map();
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.deletedCount = 0;
+
+        live.forEach(e => this.add(e.id, e.vector));
+    }
+}
+
+module.exports = { HNSWIndex };
@@ -1,5 +1,31 @@
 const fs = require('fs');
+const EventEmitter = require('events');
 const path = require('path');
+const { HashIndex, SortedIndex, UniqueIndex } = require('./indexes');
+const { HNSWIndex } = require('./hnsw');
+const { isVector, jsonReplacer, encodeVectors, decodeVectors } = require('./vectors');
+const { resolveMetric, METRIC_NAMES } = require('./metrics');
+const BinaryHeap = require('./heap');
+const { parseQuery, executeQuery } = require('./query');
+const { Traversal, __ } = require('./traversal');
+const { ValidationError, normalizeSchema, validateMetadata } = require('./schema');
+const { SnapshotStore } = require('./snapshots');
+const { toGraphML, fromGraphML, toGEXF, fromGEXF } = require('./interchange');
+const { readCSV, writeCSV, coerceValue, columnTypes, flattenMetadata, setPath, formatValue } = require('./csv');
+const { toDOT, toMermaid } = require('./visualize');
+const { createServer } = require('./server');
+const TinyGraphClient = require('./client');
+
+const HOOK_OPERATIONS = ['addNode', 'addRelation', 'updateNode', 'updateRelation', 'deleteNode', 'deleteRelation'];
+
+// Methods that write to the graph or its file; unavailable on `asOf()` views
+const MUTATING_METHODS = [
+    'addNode', 'addRelation', 'upsertNode', 'upsertRelation', 'updateNode', 'updateRelation', 'updateBySearch',
+    'deleteNode', 'deleteRelation', 'deleteBySearch', 'importData', 'importGraphML', 'importGEXF', 'importCSV',
+    'transaction', 'loadFromFile', 'flushToDisk', 'compact', 'createIndex', 'dropIndex', 'createVectorIndex',
+    'dropVectorIndex', 'defineSchema', 'dropSchema', 'createUniqueConstraint', 'dropUniqueConstraint',
+    'createSnapshot', 'restoreSnapshot', 'deleteSnapshot'
+];
 
 /**
  * @class TinyGraphDB
@@ -12,15 +38,73 @@ const path = require('path');
  *
  * @param {string} [filePath='./graph_data.json']
  *   Filesystem path where graph JSON is persisted.
+ * @param {Object} [options={}]
+ * @param {'snapshot'|'journal'} [options.storage='snapshot']
+ *   `snapshot` rewrites the whole file on every flush. `journal` appends
+ *   each mutation to a write-ahead log (`<filePath>.wal`) and only rewrites
+ *   the snapshot on `compact()`.
+ * @param {number} [options.autoCompactThreshold=10000]
+ *   In journal mode, number of log records after which `compact()` runs
+ *   automatically. `0` disables auto-compaction.
+ * @param {number} [options.backups=2]
+ *   Number of previous snapshot generations kept as `<filePath>.bak.N`
+ *   and used for recovery when the main file is corrupt.
+ * @param {boolean|Object} [options.embeddingStorage=false]
+ *   Keeps embeddings as `Float32Array` in memory and persists them in a
+ *   binary sidecar file (`<filePath>.vec`) instead of JSON arrays.
+ *   `true` or `{ keys = ['embedding'], quantization = 'none' | 'int8' }`.
+ * @param {boolean} [options.versioned=false]
+ *   Records every revision of every entity with its validity interval,
+ *   for `asOf()` and `getNodeHistory()`. History is saved in the graph
+ *   file (written as soon as versioning is enabled), and a file that has
+ *   history stays versioned when reopened.
+ *
+ * Emits change events (see `_emitChange`): `nodeAdded`, `nodeUpdated`,
+ * `nodeDeleted`, `relationAdded`, `relationUpdated`, `relationDeleted`,
+ * `imported` and `flushed`.
  */
-class TinyGraphDB {
-    constructor(filePath = './graph_data.json') {
+class TinyGraphDB extends EventEmitter {
+    constructor(filePath = './graph_data.json', options = {}) {
+        super();
+        const {
+            storage = 'snapshot',
+            autoCompactThreshold = 10000,
+            backups = 2,
+            embeddingStorage = false,
+            versioned = false
+        } = options;
+
+        if (storage !== 'snapshot' && storage !== 'journal') {
+            throw new Error(`Unknown storage mode: ${storage}`);
+        }
+
         this.filePath = filePath;
+        this.journalPath = `${filePath}.wal`;
+        this.vectorPath = `${filePath}.vec`;
+        this.snapshotPath = `${filePath}.snapshots`;
+        this.storage = storage;
+        this.autoCompactThreshold = autoCompactThreshold;
+        this.backups = backups;
+        this.embeddingStorage = embeddingStorage ? {
+            keys: embeddingStorage.keys || ['embedding'],
+            quantization: embeddingStorage.quantization || 'none'
+        } : null;
+        this.lastLoadReport = null;
         this.nodes = new Map(); // nodeId -> { id, name, metadata }
-        this.relations = new Map(); // relationId -> { id, name, fromNodeId, toNodeId, metadata }
+        this.relations = new Map(); // relationId -> { id, name, fromNodeId, toNodeId, metadata[, directed: false] }
         this.nodeRelations = new Map(); // nodeId -> Set of relationIds
+        this.indexes = { node: new Map(), relation: new Map() }; // metadata key -> HashIndex|SortedIndex
+        this.vectorIndexes = { node: new Map(), relation: new Map() }; // embedding key -> HNSWIndex
+        this.schemas = { node: new Map(), relation: new Map() }; // node type / relation name -> schema
+        this.uniqueConstraints = { node: new Map(), relation: new Map() }; // 'field,field' -> UniqueIndex
+        this.history = versioned ? { node: new Map(), relation: new Map() } : null; // id -> revisions, oldest first
         this.idCounter = 0;
 
+        this._pendingLog = []; // journal records not yet appended to disk
+        this._journalRecordCount = 0; // records currently in the journal file
+        this._transaction = null; // undo state of the running transaction, if any
+        this._hooks = new Map(); // operation -> before-hook functions
+
         this.loadFromFile();
     }
 
@@ -28,54 +112,613 @@ class TinyGraphDB {
      * loadFromFile()
      * @description
      *   Reads the JSON file at `this.filePath` (if present) and restores
-     *   `nodes`, `relations`, then rebuilds the `nodeRelations` index.
-     *   Errors are caught and logged.
+     *   `nodes`, `relations`. If the file is unreadable or corrupt, falls
+     *   back to the newest backup generation that parses, moves the corrupt
+     *   file aside to `<filePath>.corrupt-<timestamp>` and logs a warning.
+     *   Replays `<filePath>.wal` on top of that snapshot; in snapshot mode
+     *   the replayed records are then written into the snapshot and the
+     *   journal is removed.
+     *   Then rebuilds the `nodeRelations` index and any secondary or
+     *   vector indexes defined in the snapshot, and restores the revision
+     *   history of versioned graphs. What happened is recorded in
+     *   `this.lastLoadReport`.
      * @returns {void}
+     * @throws if graph data exists on disk but no copy of it can be read,
+     *   rather than silently starting with an empty graph
      */
     loadFromFile() {
-        try {
+        const report = {
+            source: null,
+            recovered: false,
+            errors: [],
+            droppedRelations: []
+        };
+        this.lastLoadReport = report;
+
+        const candidates = [this.filePath, ...this._backupPaths()].filter(file => fs.existsSync(file));
+        let historyOnDisk = false;
+
+        for (const file of candidates) {
+            let loaded;
+            try {
+                loaded = this._parseSnapshot(this._readSnapshot(file));
+            } catch (error) {
+                report.errors.push({ file, error: error.message });
+                continue;
+            }
+
+            // Only a candidate that loaded completely reaches the database
+            loaded.nodes.forEach((node, id) => this.nodes.set(id, node));
+            loaded.relations.forEach((relation, id) => this.relations.set(id, relation));
+            ['node', 'relation'].forEach(type => {
+                loaded.indexes[type].forEach((index, key) => this.indexes[type].set(key, index));
+                loaded.vectorIndexes[type].forEach((index, key) => this.vectorIndexes[type].set(key, index));
+                loaded.schemas[type].forEach((schema, typeName) => this.schemas[type].set(typeName, schema));
+                loaded.uniqueConstraints[type].forEach((index, fields) => this.uniqueConstraints[type].set(fields, index));
+            });
+            if (loaded.history) {
+                this.history = loaded.history;
+                historyOnDisk = true;
+            }
+
+            report.source = file;
+            break;
+        }
+
+        if (candidates.length > 0 && report.source === null) {
+            throw new Error(
+                `Unable to load graph data from ${this.filePath} or any of its backups: ` +
+                report.errors.map(e => `${e.file}: ${e.error}`).join('; ')
+            );
+        }
+
+        if (report.source !== null && report.source !== this.filePath) {
+            report.recovered = true;
             if (fs.existsSync(this.filePath)) {
-                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                report.corruptFile = `${this.filePath}.corrupt-${Date.now()}`;
+                fs.renameSync(this.filePath, report.corruptFile);
+            }
+        }
 
-                // Restore nodes
-                if (data.nodes) {
-                    data.nodes.forEach(node => {
-                        this.nodes.set(node.id, node);
-                    });
-                }
+        // Replay mutations logged since the last snapshot, also when a
+        // journaled file is reopened in snapshot mode
+        this._replayJournal();
 
-                // Restore relations
-                if (data.relations) {
-                    data.relations.forEach(relation => {
-                        this.relations.set(relation.id, relation);
-                    });
-                }
+        // A backup may predate nodes that later journal records refer to
+        this.relations.forEach((relation, relationId) => {
+            if (!this.nodes.has(relation.fromNodeId) || !this.nodes.has(relation.toNodeId)) {
+                this.relations.delete(relationId);
+                report.droppedRelations.push(relationId);
+            }
+        });
+
+        if (this.embeddingStorage) {
+            this.nodes.forEach(node => this._packVectors(node.metadata));
+            this.relations.forEach(relation => this._packVectors(relation.metadata));
+        }
+
+        // Entities from before versioning was enabled get an open-ended first revision
+        if (this.history) {
+            ['node', 'relation'].forEach(type => {
+                (type === 'node' ? this.nodes : this.relations).forEach((entity, id) => {
+                    if (!this.history[type].has(id)) {
+                        this.history[type].set(id, [{ validFrom: null, validTo: null, value: this._copyEntity(entity) }]);
+                    }
+                });
+            });
+        }
 
-                // Rebuild node-relations index
-                this.rebuildNodeRelationsIndex();
+        // Rebuild node-relations index
+        this.rebuildNodeRelationsIndex();
+        this._rebuildIndexes();
+
+        // Snapshot mode does not maintain a journal: fold it into the
+        // snapshot so later flushes cannot leave the two out of sync
+        if (this.storage === 'snapshot' && fs.existsSync(this.journalPath)) {
+            if (this._journalRecordCount > 0) {
+                this._journalRecordCount = 0;
+                this._writeSnapshot();
             }
-        } catch (error) {
-            console.error('Error loading graph data:', error);
+            fs.unlinkSync(this.journalPath);
+        }
+
+        // Versioning was just enabled: mark the file as versioned right away
+        if (this.history && !historyOnDisk) {
+            this.compact();
+        }
+
+        if (report.recovered) {
+            console.warn(
+                `Graph data at ${this.filePath} could not be read; recovered from backup ${report.source}.`,
+                report
+            );
+        }
+    }
+
+    /**
+     * _parseSnapshot(data)
+     * @internal
+     * @description
+     *   Turns snapshot data into entity maps and index, schema, constraint
+     *   and history definitions without touching the database, so a
+     *   snapshot that fails halfway leaves nothing behind. Index contents
+     *   are rebuilt after loading.
+     * @param {Object} data – as returned by `_readSnapshot`
+     * @returns {{nodes:Map, relations:Map, indexes:Object, vectorIndexes:Object, schemas:Object, uniqueConstraints:Object, history:Object|null}}
+     * @throws on invalid definitions
+     */
+    _parseSnapshot(data) {
+        const byType = () => ({ node: new Map(), relation: new Map() });
+        const loaded = {
+            nodes: new Map((data.nodes || []).map(node => [node.id, node])),
+            relations: new Map((data.relations || []).map(relation => [relation.id, relation])),
+            indexes: byType(),
+            vectorIndexes: byType(),
+            schemas: byType(),
+            uniqueConstraints: byType(),
+            history: null
+        };
+
+        (data.indexes || []).forEach(({ entityType, key, type }) => {
+            loaded.indexes[entityType].set(key, this._createIndexInstance(key, type));
+        });
+        (data.vectorIndexes || []).forEach(({ entityType, embeddingKey, ...params }) => {
+            loaded.vectorIndexes[entityType].set(embeddingKey, new HNSWIndex(params));
+        });
+        (data.schemas || []).forEach(({ entityType, typeName, schema }) => {
+            loaded.schemas[entityType].set(typeName, schema);
+        });
+        (data.uniqueConstraints || []).forEach(({ entityType, fields }) => {
+            loaded.uniqueConstraints[entityType].set(fields.join(','), new UniqueIndex(fields));
+        });
+        if (data.history) {
+            loaded.history = this._loadHistory(data.history, loaded.nodes, loaded.relations);
+        }
+
+        return loaded;
+    }
+
+    /**
+     * _readSnapshot(file)
+     * @internal
+     * @description
+     *   Parses a snapshot file and checks it has the expected shape.
+     *   `{ $vector: n }` placeholders are resolved from the embedding
+     *   sidecar whose generation matches the snapshot.
+     * @param {string} file
+     * @returns {{nodes:Array,relations:Array}}
+     * @throws if the file is not valid snapshot JSON or its sidecar is missing
+     */
+    _readSnapshot(file) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        if (typeof data !== 'object' || data === null
+            || (data.nodes !== undefined && !Array.isArray(data.nodes))
+            || (data.relations !== undefined && !Array.isArray(data.relations))) {
+            throw new Error('Invalid graph data structure');
         }
+
+        if (data.vectorFile) {
+            const vectors = this._readVectorFile(data.vectorFile.generation);
+            const resolve = entity => {
+                Object.keys(entity.metadata).forEach(key => {
+                    const value = entity.metadata[key];
+                    if (value && typeof value === 'object' && typeof value.$vector === 'number') {
+                        const vector = vectors[value.$vector];
+                        entity.metadata[key] = this.embeddingStorage ? vector : Array.from(vector);
+                    }
+                });
+            };
+            (data.nodes || []).forEach(resolve);
+            (data.relations || []).forEach(resolve);
+        }
+
+        return data;
+    }
+
+    /**
+     * _readVectorFile(generation)
+     * @internal
+     * @description
+     *   Finds the embedding sidecar (current file or one of its backups)
+     *   written together with the snapshot of the given generation.
+     * @param {string} generation
+     * @returns {Float32Array[]}
+     * @throws if no sidecar with that generation can be read
+     */
+    _readVectorFile(generation) {
+        for (const file of [this.vectorPath, ...this._backupPaths(this.vectorPath)]) {
+            if (!fs.existsSync(file)) continue;
+            try {
+                const decoded = decodeVectors(fs.readFileSync(file));
+                if (decoded.generation === generation) {
+                    return decoded.vectors;
+                }
+            } catch (error) {
+                // Unreadable sidecar; keep looking through the backups
+            }
+        }
+        throw new Error(`Embedding file for snapshot generation ${generation} not found`);
+    }
+
+    /**
+     * _backupPaths([file])
+     * @internal
+     * @description
+     *   Lists backup generation paths, newest first:
+     *   `<file>.bak.1` … `<file>.bak.<backups>`.
+     * @param {string} [file=this.filePath]
+     * @returns {string[]}
+     */
+    _backupPaths(file = this.filePath) {
+        const paths = [];
+        for (let i = 1; i <= this.backups; i++) {
+            paths.push(`${file}.bak.${i}`);
+        }
+        return paths;
     }
 
     /**
      * flushToDisk()
      * @description
-     *   Serializes `nodes` + `relations` to JSON and writes to disk.
-     *   Overwrites atomically, with errors logged to console.
+     *   Persists pending changes. In snapshot mode, serializes `nodes` +
+     *   `relations` to JSON and atomically replaces the file (temp file,
+     *   fsync, rename), rotating backup generations. In journal mode,
+     *   appends the pending log records to `<filePath>.wal`.
+     *   Inside a `transaction()` the flush is deferred until commit.
+     *   Errors are logged to console.
      * @returns {void}
      */
     flushToDisk() {
+        if (this._transaction) {
+            this._transaction.flushRequested = true;
+            return;
+        }
+
         try {
-            const data = {
-                nodes: Array.from(this.nodes.values()),
-                relations: Array.from(this.relations.values())
-            };
-            fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+            if (this.storage === 'journal') {
+                this._appendToJournal();
+            } else {
+                this._writeSnapshot();
+            }
         } catch (error) {
             console.error('Error saving graph data:', error);
+            return;
+        }
+        this.emit('flushed', { compacted: false });
+    }
+
+    /**
+     * compact()
+     * @description
+     *   Writes a full snapshot of the graph to `filePath` and truncates the
+     *   write-ahead log, folding all logged mutations into the snapshot.
+     *   In snapshot mode this is equivalent to `flushToDisk()`.
+     *   Errors are logged to console.
+     * @returns {void}
+     */
+    compact() {
+        this._assertNoTransaction('compact');
+
+        try {
+            this._writeSnapshot();
+            this._pendingLog = [];
+
+            if (this.storage === 'journal') {
+                fs.writeFileSync(this.journalPath, '');
+                this._journalRecordCount = 0;
+            }
+        } catch (error) {
+            console.error('Error compacting graph data:', error);
+            return;
+        }
+        this.emit('flushed', { compacted: true });
+    }
+
+    /**
+     * _writeSnapshot()
+     * @internal
+     * @description
+     *   Serializes the full graph to `filePath`.
+     * @returns {void}
+     */
+    _writeSnapshot() {
+        const data = {
+            nodes: Array.from(this.nodes.values()),
+            relations: Array.from(this.relations.values()),
+            indexes: this.listIndexes(),
+            vectorIndexes: this.listVectorIndexes(),
+            schemas: this.listSchemas(),
+            uniqueConstraints: this.listUniqueConstraints()
+        };
+        if (this.history) {
+            data.history = this._serializeHistory();
+        }
+
+        // Sidecar goes first: a crash in between leaves the old snapshot,
+        // whose sidecar generation is still available as a backup
+        if (this.embeddingStorage) {
+            const vectors = [];
+            const generation = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            data.nodes = data.nodes.map(node => this._extractVectors(node, vectors));
+            data.relations = data.relations.map(relation => this._extractVectors(relation, vectors));
+            data.vectorFile = { generation, count: vectors.length };
+
+            const buffer = encodeVectors(generation, vectors, this.embeddingStorage.quantization);
+            this._writeFileAtomic(this.vectorPath, buffer, true);
+        }
+
+        this._writeFileAtomic(this.filePath, JSON.stringify(data, jsonReplacer, 2), true);
+    }
+
+    /**
+     * _extractVectors(entity, vectors)
+     * @internal
+     * @description
+     *   Returns a copy of `entity` whose embeddings (per
+     *   `embeddingStorage.keys`) are replaced by `{ $vector: n }`
+     *   references, pushing the vectors onto `vectors`. Entities without
+     *   embeddings are returned as is.
+     * @param {Object} entity
+     * @param {Array} vectors
+     * @returns {Object}
+     */
+    _extractVectors(entity, vectors) {
+        let metadata = null;
+        this.embeddingStorage.keys.forEach(key => {
+            const value = entity.metadata[key];
+            if (isVector(value)) {
+                metadata = metadata || { ...entity.metadata };
+                metadata[key] = { $vector: vectors.push(value) - 1 };
+            }
+        });
+        return metadata ? { ...entity, metadata } : entity;
+    }
+
+    /**
+     * _packVectors(metadata)
+     * @internal
+     * @description
+     *   With `embeddingStorage` enabled, converts embedding arrays in
+     *   `metadata` to `Float32Array` in place.
+     * @param {Object} metadata
+     * @returns {Object} the same metadata object
+     */
+    _packVectors(metadata) {
+        if (!this.embeddingStorage) return metadata;
+
+        this.embeddingStorage.keys.forEach(key => {
+            const value = metadata[key];
+            if (isVector(value) && !(value instanceof Float32Array)) {
+                metadata[key] = Float32Array.from(value);
+            }
+        });
+        return metadata;
+    }
+
+    /**
+     * _unpackVectors(entity)
+     * @internal
+     * @description
+     *   Returns a copy of `entity` with typed-array embeddings turned back
+     *   into plain arrays, for JSON consumers.
+     * @param {Object} entity
+     * @returns {Object}
+     */
+    _unpackVectors(entity) {
+        return { ...entity, metadata: JSON.parse(JSON.stringify(entity.metadata, jsonReplacer)) };
+    }
+
+    /**
+     * _writeFileAtomic(target, contents, rotateBackups)
+     * @internal
+     * @description
+     *   Crash-safe replacement of `target`:
+     *     1. Writes `contents` to `<target>.tmp` and fsyncs it
+     *     2. Optionally shifts `<target>` into the backup generations
+     *        (`.bak.1` → `.bak.2` → …, dropping the oldest)
+     *     3. Renames the temp file over `target` and fsyncs the directory
+     *   At every point either `target` or its newest backup is intact.
+     * @param {string} target
+     * @param {string|Buffer} contents
+     * @param {boolean} [rotateBackups=false]
+     * @returns {void}
+     */
+    _writeFileAtomic(target, contents, rotateBackups = false) {
+        const tmpPath = `${target}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, contents);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        if (rotateBackups && this.backups > 0 && fs.existsSync(target)) {
+            const backups = this._backupPaths(target);
+            for (let i = backups.length - 1; i > 0; i--) {
+                if (fs.existsSync(backups[i - 1])) {
+                    fs.renameSync(backups[i - 1], backups[i]);
+                }
+            }
+            fs.renameSync(target, backups[0]);
+        }
+
+        fs.renameSync(tmpPath, target);
+        this._fsyncDirectory(path.dirname(target));
+    }
+
+    /**
+     * _fsyncDirectory(dir)
+     * @internal
+     * @description
+     *   Flushes directory entries so renames survive a power loss.
+     *   Silently ignored on platforms that cannot fsync a directory.
+     * @param {string} dir
+     * @returns {void}
+     */
+    _fsyncDirectory(dir) {
+        let fd;
+        try {
+            fd = fs.openSync(dir, 'r');
+            fs.fsyncSync(fd);
+        } catch (error) {
+            // e.g. EISDIR/EPERM on Windows
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * _beforeChange(type, id)
+     * @internal
+     * @description
+     *   Called before an entity is created, modified or deleted:
+     *     1. Inside a transaction, remembers the entity's pre-transaction
+     *        state the first time it is touched, for rollback
+     *     2. Removes the entity from secondary indexes
+     * @param {'node'|'relation'} type
+     * @param {string} id
+     * @returns {void}
+     */
+    _beforeChange(type, id) {
+        const tx = this._transaction;
+        if (tx) {
+            const touched = type === 'node' ? tx.nodes : tx.relations;
+            if (!touched.has(id)) {
+                const entity = (type === 'node' ? this.nodes : this.relations).get(id);
+                const revisions = this.history && this.history[type].get(id);
+                touched.set(id, {
+                    entity,
+                    snapshot: entity ? this._copyEntity(entity) : null,
+                    revisions: revisions ? revisions.map(revision => ({ ...revision })) : null
+                });
+            }
+        }
+
+        this._removeFromIndexes(type, id);
+    }
+
+    /**
+     * _afterChange(op, type, payload)
+     * @internal
+     * @description
+     *   Called once an entity has been written (`put`) or removed
+     *   (`delete`): re-indexes written entities, syncs vector indexes,
+     *   records the revision (versioned mode) and queues the journal record.
+     * @param {'put'|'delete'} op
+     * @param {'node'|'relation'} type
+     * @param {Object|string} payload – the entity for `put`, its id for `delete`
+     * @returns {void}
+     */
+    _afterChange(op, type, payload) {
+        if (op === 'put') {
+            this._addToIndexes(type, payload);
+        }
+        this._syncVectorIndexes(type, op === 'put' ? payload.id : payload);
+
+        const timestamp = Date.now();
+        if (this.history) {
+            this._recordRevision(op, type, payload, timestamp);
+        }
+        this._logChange(op, type, payload, timestamp);
+    }
+
+    /**
+     * _logChange(op, type, payload, ts)
+     * @internal
+     * @description
+     *   Queues a journal record describing a mutation. Records carry the
+     *   full entity state (`put`) or just its id (`delete`), so replaying
+     *   a record twice is harmless, plus the time of the change for the
+     *   revision history. No-op in snapshot mode.
+     * @param {'put'|'delete'} op
+     * @param {'node'|'relation'} type
+     * @param {Object|string} payload – the entity for `put`, its id for `delete`
+     * @param {number} ts – milliseconds since the epoch
+     * @returns {void}
+     */
+    _logChange(op, type, payload, ts) {
+        if (this.storage !== 'journal') return;
+
+        if (op === 'put') {
+            this._pendingLog.push({ op, type, value: payload, ts });
+        } else {
+            this._pendingLog.push({ op, type, id: payload, ts });
+        }
+    }
+
+    /**
+     * _appendToJournal()
+     * @internal
+     * @description
+     *   Appends queued records to the journal as newline-delimited JSON,
+     *   fsyncs the log, and triggers `compact()` once `autoCompactThreshold` is reached.
+     * @returns {void}
+     */
+    _appendToJournal() {
+        if (this._pendingLog.length === 0) return;
+
+        const lines = this._pendingLog.map(record => JSON.stringify(record, jsonReplacer)).join('\n') + '\n';
+        const fd = fs.openSync(this.journalPath, 'a');
+        try {
+            fs.writeSync(fd, lines);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this._journalRecordCount += this._pendingLog.length;
+        this._pendingLog = [];
+
+        if (this.autoCompactThreshold > 0 && this._journalRecordCount >= this.autoCompactThreshold) {
+            this.compact();
+        }
+    }
+
+    /**
+     * _replayJournal()
+     * @internal
+     * @description
+     *   Applies every record of `<filePath>.wal` to the in-memory maps.
+     *   An unterminated trailing line (torn append) is discarded and cut
+     *   from the file so later appends start on a clean line; malformed
+     *   lines elsewhere are skipped with a warning.
+     * @returns {void}
+     */
+    _replayJournal() {
+        if (!fs.existsSync(this.journalPath)) return;
+
+        let content = fs.readFileSync(this.journalPath, 'utf8');
+        if (content !== '' && !content.endsWith('\n')) {
+            content = content.slice(0, content.lastIndexOf('\n') + 1);
+            fs.writeFileSync(this.journalPath, content);
         }
+
+        const lines = content.split('\n');
+        this._journalRecordCount = 0;
+
+        lines.forEach((line, i) => {
+            if (line.trim() === '') return;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                console.warn(`Skipping malformed journal record at line ${i + 1}`);
+                return;
+            }
+
+            const map = record.type === 'node' ? this.nodes : this.relations;
+            if (record.op === 'put') {
+                map.set(record.value.id, record.value);
+            } else if (record.op === 'delete') {
+                map.delete(record.id);
+            }
+            if (this.history && record.ts !== undefined) {
+                this._recordRevision(record.op, record.type, record.op === 'put' ? record.value : record.id, record.ts);
+            }
+            this._journalRecordCount++;
+        });
     }
 
     /**
@@ -110,9 +753,11 @@ class TinyGraphDB {
      * @param {string} name – non-empty label for the node
      * @param {Object} [metadata={}] – arbitrary JSON-safe data
      * @returns {{id:string,name:string,metadata:Object}} the new node
-     * @throws if name is empty or metadata not an object
+     * @throws if name is empty or metadata not an object, or a before-hook vetoes
+     * @throws {ValidationError} if the node violates the schema for its `metadata.type`
      */
     addNode(name, metadata = {}, flush = true) {
+        ({ name, metadata } = this._runBeforeHooks('addNode', { name, metadata }));
         if (typeof name !== 'string' || name.trim() === '') {
             throw new Error('Node name must be a non-empty string');
         }
@@ -123,27 +768,48 @@ class TinyGraphDB {
         const node = {
             id: this.generateId(),
             name,
-            metadata: this._clone(metadata)
+            metadata: this._packVectors(this._clone(metadata))
         };
+        this._assertValid('node', node);
+        this._assertUnique('node', node);
+        this._beforeChange('node', node.id);
         this.nodes.set(node.id, node);
         this.nodeRelations.set(node.id, new Set());
+        this._afterChange('put', 'node', node);
         if(flush) this.flushToDisk();
+        this._emitChange('nodeAdded', { node });
         return node;
     }
 
     /**
-     * addRelation(name, fromNodeId, toNodeId, metadata)
+     * addRelation(name, fromNodeId, toNodeId, metadata, options)
      * @description
-     *   Creates a new directed edge between two existing nodes, updates
-     *   both ends in `nodeRelations`, and persists.
+     *   Creates a new edge between two existing nodes, updates both ends
+     *   in `nodeRelations`, and persists. Edges are directed unless
+     *   `directed: false` is given: an undirected edge is stored once
+     *   (with `directed: false`), is followed from either end by every
+     *   traversal, path and algorithm, and is reported with direction
+     *   `'both'`.
      * @param {string} name – label for the relation
      * @param {string} fromNodeId – source node UUID
      * @param {string} toNodeId – target node UUID
      * @param {Object} [metadata={}] – JSON-safe payload
-     * @returns {{id:string,name:string,fromNodeId:string,toNodeId:string,metadata:Object}}
-     * @throws if either nodeId doesn't exist
+     * @param {Object|boolean} [options={}] – a boolean is taken as `flush`
+     * @param {boolean} [options.flush=true] – persist immediately
+     * @param {boolean} [options.directed=true]
+     * @returns {{id:string,name:string,fromNodeId:string,toNodeId:string,metadata:Object,directed?:false}}
+     * @throws if name is empty, metadata not an object, either nodeId doesn't exist, or a before-hook vetoes
+     * @throws {ValidationError} if the relation violates the schema for its name
      */
-    addRelation(name, fromNodeId, toNodeId, metadata = {}, flush = true) {
+    addRelation(name, fromNodeId, toNodeId, metadata = {}, options = {}) {
+        let { flush = true, directed = true } = typeof options === 'boolean' ? { flush: options } : options;
+        ({ name, fromNodeId, toNodeId, metadata, directed } = this._runBeforeHooks('addRelation', { name, fromNodeId, toNodeId, metadata, directed }));
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Relation name must be a non-empty string');
+        }
+        if (typeof metadata !== 'object' || metadata === null) {
+            throw new Error('Metadata must be an object');
+        }
         if (!this.nodes.has(fromNodeId) || !this.nodes.has(toNodeId)) {
             throw new Error('Both nodes must exist before creating a relation');
         }
@@ -153,43 +819,144 @@ class TinyGraphDB {
             name,
             fromNodeId,
             toNodeId,
-            metadata: this._clone(metadata)
+            metadata: this._packVectors(this._clone(metadata))
         };
+        if (directed === false) {
+            relation.directed = false;
+        }
 
+        this._assertValid('relation', relation);
+        this._assertUnique('relation', relation);
+        this._beforeChange('relation', relation.id);
         this.relations.set(relation.id, relation);
         this.nodeRelations.get(fromNodeId).add(relation.id);
         this.nodeRelations.get(toNodeId).add(relation.id);
+        this._afterChange('put', 'relation', relation);
         if(flush) this.flushToDisk();
+        this._emitChange('relationAdded', { relation });
         return relation;
     }
 
     /**
-     * traverseFromNode(startNodeId, options)
+     * upsertNode(name, metadata, options)
      * @description
-     *   Depth-first walks edges from a given node, filtering by:
-     *     • `maxDepth` to limit recursion
-     *     • `directions` (incoming/outgoing)
-     *     • optional `relationName`
-     *   Internally tracks visited nodes & relations to avoid cycles.
-     * @param {string} startNodeId
-     * @param {Object} [options]
-     * @param {number} [options.maxDepth=Infinity]
-     * @param {string[]} [options.directions=['outgoing','incoming']]
-     * @param {string|null} [options.relationName=null]
-     * @returns {Array<[node, relation, node]>} triplets in visit order
+     *   Merges into the node whose `matchOn` fields equal those of
+     *   `{ name, metadata }` (like `updateNode`), or creates it if there is
+     *   none. Uses a unique constraint on the same fields when one exists,
+     *   otherwise scans.
+     * @param {string} name
+     * @param {Object} [metadata={}]
+     * @param {Object} [options={}]
+     * @param {string|string[]} [options.matchOn=['name']] – `name` and/or `metadata.<path>` fields
+     * @returns {node} the updated or created node
+     * @throws if a `matchOn` value is missing or several nodes match
      */
-    traverseFromNode(startNodeId, options = {}) {
-        const {
-            maxDepth = Infinity,
-            directions  = ['outgoing', 'incoming'],
-            relationName = null                       // optional filter
-        } = options;
+    upsertNode(name, metadata = {}, options = {}) {
+        const { matchOn = ['name'] } = options;
 
-        const visitedNodes     = new Set();
-        const visitedRelations = new Set();
-        const result           = [];
+        const existing = this._findByFields('node', [].concat(matchOn), { name, metadata });
+        if (existing) {
+            return this.updateNode(existing.id, { name, metadata });
+        }
+        return this.addNode(name, metadata);
+    }
 
-        const traverse = (nodeId, depth) => {
+    /**
+     * upsertRelation(name, fromNodeId, toNodeId, metadata, options)
+     * @description
+     *   Merges `metadata` into the relation matching on `matchOn` (by
+     *   default the same name between the same two nodes), or creates it.
+     *   With `directed: false` an undirected relation stored the other way
+     *   round matches too.
+     * @param {string} name
+     * @param {string} fromNodeId
+     * @param {string} toNodeId
+     * @param {Object} [metadata={}]
+     * @param {Object} [options={}]
+     * @param {string|string[]} [options.matchOn=['name','fromNodeId','toNodeId']]
+     * @param {boolean} [options.directed=true] – for a newly created relation, see `addRelation`
+     * @returns {relation} the updated or created relation
+     * @throws if a `matchOn` value is missing or several relations match
+     */
+    upsertRelation(name, fromNodeId, toNodeId, metadata = {}, options = {}) {
+        const { matchOn = ['name', 'fromNodeId', 'toNodeId'], directed = true } = options;
+        const fields = [].concat(matchOn);
+
+        let existing = this._findByFields('relation', fields, { name, fromNodeId, toNodeId, metadata });
+        if (!existing && directed === false) {
+            const reversed = this._findByFields('relation', fields, { name, fromNodeId: toNodeId, toNodeId: fromNodeId, metadata });
+            existing = reversed && reversed.directed === false ? reversed : null;
+        }
+        if (existing) {
+            return this.updateRelation(existing.id, { name, metadata });
+        }
+        return this.addRelation(name, fromNodeId, toNodeId, metadata, { directed });
+    }
+
+    /**
+     * _findByFields(type, fields, probe)
+     * @internal
+     * @description
+     *   Finds the entity whose `fields` equal those of `probe`.
+     * @param {'node'|'relation'} type
+     * @param {string[]} fields
+     * @param {Object} probe – entity-shaped values to match
+     * @returns {node|relation|null}
+     * @throws if `probe` lacks a field value or the match is ambiguous
+     */
+    _findByFields(type, fields, probe) {
+        const matcher = new UniqueIndex(fields);
+        const key = matcher.keyOf(probe);
+        if (key === null) {
+            throw new Error(`Upsert needs a value for every matchOn field (${fields.join(', ')})`);
+        }
+
+        const entities = type === 'node' ? this.nodes : this.relations;
+        const sorted = fields.slice().sort().join(',');
+        for (const index of this.uniqueConstraints[type].values()) {
+            if (index.fields.slice().sort().join(',') === sorted) {
+                const owner = index.ownerOf(probe);
+                return owner === undefined ? null : entities.get(owner);
+            }
+        }
+
+        const matches = [];
+        entities.forEach(entity => {
+            if (matcher.keyOf(entity) === key) matches.push(entity);
+        });
+        if (matches.length > 1) {
+            throw new Error(`Upsert is ambiguous: ${matches.length} ${type}s match on ${fields.join(', ')}`);
+        }
+        return matches[0] || null;
+    }
+
+    /**
+     * traverseFromNode(startNodeId, options)
+     * @description
+     *   Depth-first walks edges from a given node, filtering by:
+     *     • `maxDepth` to limit recursion
+     *     • `directions` (incoming/outgoing; undirected relations pass either)
+     *     • optional `relationName`
+     *   Internally tracks visited nodes & relations to avoid cycles.
+     * @param {string} startNodeId
+     * @param {Object} [options]
+     * @param {number} [options.maxDepth=Infinity]
+     * @param {string[]} [options.directions=['outgoing','incoming']]
+     * @param {string|null} [options.relationName=null]
+     * @returns {Array<[node, relation, node]>} triplets in visit order
+     */
+    traverseFromNode(startNodeId, options = {}) {
+        const {
+            maxDepth = Infinity,
+            directions  = ['outgoing', 'incoming'],
+            relationName = null                       // optional filter
+        } = options;
+
+        const visitedNodes     = new Set();
+        const visitedRelations = new Set();
+        const result           = [];
+
+        const traverse = (nodeId, depth) => {
             if (depth > maxDepth || visitedNodes.has(nodeId)) return;
             visitedNodes.add(nodeId);
 
@@ -202,11 +969,10 @@ class TinyGraphDB {
                 if (relationName && rel.name !== relationName) continue;
 
                 // determine direction
-                const isOut = rel.fromNodeId === nodeId;
-                const dir = isOut ? 'outgoing' : 'incoming';
-                if (!directions.includes(dir)) continue;
+                const oriented = this._orient(rel, nodeId, directions);
+                if (!oriented) continue;
 
-                const otherNodeId = isOut ? rel.toNodeId : rel.fromNodeId;
+                const otherNodeId = oriented.otherNodeId;
                 const otherNode   = this.nodes.get(otherNodeId);
                 if (!otherNode) continue;
 
@@ -281,679 +1047,3321 @@ class TinyGraphDB {
         const matchingNodes = this.searchNodes({ metadata: metadataConditions });
         const matchingRelations = this.searchRelations({ metadata: metadataConditions });
 
-        const allResults = new Set();
-
-        // Traverse from matching nodes
-        matchingNodes.forEach(node => {
-            const results = this.traverseFromNode(node.id, maxDepth);
+        // Keyed by relation and endpoint ids, in first-seen order
+        const allResults = new Map();
+        const collect = results => {
             results.forEach(result => {
-                allResults.add(JSON.stringify(result));
+                const key = result.map(entity => entity.id).join('\u0000');
+                if (!allResults.has(key)) allResults.set(key, result);
             });
-        });
+        };
+
+        // Traverse from matching nodes
+        matchingNodes.forEach(node => collect(this.traverseFromNode(node.id, {
+            maxDepth: maxDepth === null ? Infinity : maxDepth
+        })));
 
         // Traverse from matching relations
-        matchingRelations.forEach(relation => {
-            const results = this.traverseFromRelation(relation.id, maxDepth);
-            results.forEach(result => {
-                allResults.add(JSON.stringify(result));
-            });
-        });
+        matchingRelations.forEach(relation => collect(this.traverseFromRelation(relation.id, maxDepth)));
 
-        // Convert back to array format and deduplicate
-        return Array.from(allResults).map(result => JSON.parse(result));
+        return Array.from(allResults.values());
     }
 
     /**
-     * searchNodes(conditions)
+     * shortestPath(fromNodeId, toNodeId, options)
      * @description
-     *   Returns all nodes for which `matchesConditions(node, conditions)`
-     *   is true. Supports filtering on `name`, `id`, and nested `metadata`.
-     * @param {Object} [conditions={}]
-     * @returns {Array<node>}
+     *   Finds the cheapest route between two nodes over the `nodeRelations`
+     *   adjacency index:
+     *     • no `weightKey` / `heuristic`: breadth-first search (fewest hops)
+     *     • `weightKey`: Dijkstra over `relation.metadata[weightKey]`
+     *     • `heuristic`: A*, using `heuristic(node, targetNode)` as an
+     *       admissible (never over-estimating) estimate of remaining cost
+     *   `directions` and `relationName` filter edges like `traverseFromNode`.
+     * @param {string} fromNodeId
+     * @param {string} toNodeId
+     * @param {Object} [options={}]
+     * @param {string|function(relation): number|null} [options.weightKey=null]
+     *   metadata key holding the edge weight, or a function computing it
+     * @param {number} [options.defaultWeight=1] – weight of relations lacking `weightKey`
+     * @param {string[]} [options.directions=['outgoing','incoming']]
+     * @param {string|null} [options.relationName=null]
+     * @param {function(node, node): number|null} [options.heuristic=null]
+     * @returns {{path: Array, nodes: Array<node>, relations: Array<relation>, cost: number}|null}
+     *   `path` alternates `[node, relation, node, …]`; `null` if `toNodeId` is unreachable
+     * @throws if either node doesn't exist or a weight is negative / not a number
      */
-    searchNodes(conditions = {}) {
-        const results = [];
+    shortestPath(fromNodeId, toNodeId, options = {}) {
+        const {
+            weightKey = null,
+            defaultWeight = 1,
+            directions = ['outgoing', 'incoming'],
+            relationName = null,
+            heuristic = null
+        } = options;
 
-        this.nodes.forEach(node => {
-            if (this.matchesConditions(node, conditions)) {
-                results.push(node);
+        for (const nodeId of [fromNodeId, toNodeId]) {
+            if (!this.nodes.has(nodeId)) {
+                throw new Error(`Node with id ${nodeId} not found`);
             }
-        });
+        }
 
-        return results;
+        const found = this._searchPath(fromNodeId, toNodeId, {
+            directions,
+            relationName,
+            weightOf: this._weightFunction(weightKey, defaultWeight),
+            heuristic
+        });
+        return found && this._buildPathResult(toNodeId, found.previous, found.cost);
     }
 
     /**
-     * searchRelations(conditions)
+     * findPaths(fromNodeId, toNodeId, options)
      * @description
-     *   Same as `searchNodes` but for relations.
-     * @param {Object} [conditions={}]
-     * @returns {Array<relation>}
+     *   Returns several distinct simple paths (no repeated node) between
+     *   two nodes, useful to explain how they are connected:
+     *     • without `k`: every simple path of at most `maxDepth` hops,
+     *       found by bounded depth-first search, shortest first
+     *     • with `k`: the `k` cheapest paths by Yen's algorithm, by hop
+     *       count or by `weightKey`, among paths of at most `maxDepth` hops
+     *   `directions` and `relationName` follow `traverseFromNode`;
+     *   `relationFilters` / `nodeFilters` are `matchesConditions`
+     *   conditions applied to every relation / intermediate node.
+     * @param {string} fromNodeId
+     * @param {string} toNodeId
+     * @param {Object} [options={}]
+     * @param {number} [options.maxDepth=4] – maximum hops per path (`Infinity` allowed with `k`)
+     * @param {number|null} [options.k=null] – number of shortest paths to return
+     * @param {number} [options.limit=Infinity] – cap on paths returned by the DFS mode
+     * @param {string[]} [options.directions=['outgoing','incoming']]
+     * @param {string|null} [options.relationName=null]
+     * @param {Object} [options.relationFilters={}]
+     * @param {Object} [options.nodeFilters={}]
+     * @param {string|function(relation): number|null} [options.weightKey=null] – edge cost for `k` mode
+     * @param {number} [options.defaultWeight=1]
+     * @returns {Array<Array<node|relation>>} `[node, relation, node, …]` sequences
+     * @throws if either node doesn't exist
      */
-    searchRelations(conditions = {}) {
-        const results = [];
+    findPaths(fromNodeId, toNodeId, options = {}) {
+        const {
+            maxDepth = 4,
+            k = null,
+            limit = Infinity,
+            directions = ['outgoing', 'incoming'],
+            relationName = null,
+            relationFilters = {},
+            nodeFilters = {},
+            weightKey = null,
+            defaultWeight = 1
+        } = options;
 
-        this.relations.forEach(relation => {
-            if (this.matchesConditions(relation, conditions)) {
-                results.push(relation);
+        for (const nodeId of [fromNodeId, toNodeId]) {
+            if (!this.nodes.has(nodeId)) {
+                throw new Error(`Node with id ${nodeId} not found`);
             }
-        });
+        }
 
-        return results;
+        const relationAllowed = relation => this.matchesConditions(relation, relationFilters);
+        const nodeAllowed = nodeId => nodeId === toNodeId || this.matchesConditions(this.nodes.get(nodeId), nodeFilters);
+
+        if (k !== null) {
+            return this._kShortestPaths(fromNodeId, toNodeId, k, {
+                maxDepth,
+                directions,
+                relationName,
+                relationAllowed,
+                nodeAllowed,
+                weightOf: this._weightFunction(weightKey, defaultWeight)
+            });
+        }
+
+        const results = [];
+        const onPath = new Set([fromNodeId]);
+        const nodeStack = [this.nodes.get(fromNodeId)];
+        const relationStack = [];
+
+        const explore = nodeId => {
+            if (results.length >= limit) return;
+            if (nodeId === toNodeId && relationStack.length > 0) {
+                const route = [nodeStack[0]];
+                relationStack.forEach((relation, i) => route.push(relation, nodeStack[i + 1]));
+                results.push(route);
+                return;
+            }
+            if (relationStack.length >= maxDepth) return;
+
+            for (const { relation, otherNodeId } of this._adjacent(nodeId, { directions, relationName })) {
+                if (onPath.has(otherNodeId) || !relationAllowed(relation) || !nodeAllowed(otherNodeId)) continue;
+
+                onPath.add(otherNodeId);
+                nodeStack.push(this.nodes.get(otherNodeId));
+                relationStack.push(relation);
+                explore(otherNodeId);
+                relationStack.pop();
+                nodeStack.pop();
+                onPath.delete(otherNodeId);
+            }
+        };
+
+        if (fromNodeId === toNodeId) {
+            return [[this.nodes.get(fromNodeId)]];
+        }
+        explore(fromNodeId);
+        return results.sort((a, b) => a.length - b.length);
     }
 
     /**
-     * searchNodesByCosineSimilarity(queryEmbedding, options)
+     * _kShortestPaths(fromNodeId, toNodeId, k, options)
+     * @internal
      * @description
-     *   Finds nodes with embeddings similar to the query embedding using cosine similarity.
-     * @param {number[]} queryEmbedding - The query embedding vector
-     * @param {Object} [options={}]
-     * @param {string} [options.embeddingKey='embedding'] - Key in metadata where embedding is stored
-     * @param {number} [options.threshold=0.5] - Minimum cosine similarity threshold
-     * @param {number} [options.limit=10] - Maximum number of results to return
-     * @returns {Array<{node: Object, similarity: number}>} - Nodes with similarity scores
+     *   Yen's algorithm: each next-best path deviates from an already
+     *   accepted one at some "spur" node, with the edges the accepted paths
+     *   take from that same root prefix removed, and the root's nodes
+     *   removed so the result stays simple.
+     * @param {string} fromNodeId
+     * @param {string} toNodeId
+     * @param {number} k
+     * @param {Object} options – `maxDepth`, `directions`, `relationName`,
+     *   `relationAllowed`, `nodeAllowed`, `weightOf`
+     * @returns {Array<Array<node|relation>>}
      */
-    searchNodesByCosineSimilarity(queryEmbedding, options = {}) {
-        const {
-            embeddingKey = 'embedding',
-            threshold = 0.5,
-            limit = 10
-        } = options;
+    _kShortestPaths(fromNodeId, toNodeId, k, options) {
+        const { maxDepth, directions, relationName, relationAllowed, nodeAllowed, weightOf } = options;
+        const weight = weightOf || (() => 1);
+        const search = (from, depth, blockedRelations, blockedNodes) => {
+            const found = this._searchPath(from, toNodeId, {
+                directions,
+                relationName,
+                weightOf,
+                maxDepth: depth,
+                relationAllowed: relation => !blockedRelations.has(relation.id) && relationAllowed(relation),
+                nodeAllowed: nodeId => !blockedNodes.has(nodeId) && nodeAllowed(nodeId)
+            });
+            return found && this._buildPathResult(toNodeId, found.previous, found.cost);
+        };
+        const keyOf = result => result.relations.map(relation => relation.id).join('|');
 
-        if (!Array.isArray(queryEmbedding) || queryEmbedding.length === 0) {
-            throw new Error('Query embedding must be a non-empty array');
-        }
+        const first = search(fromNodeId, maxDepth, new Set(), new Set());
+        if (!first || k <= 0) return [];
 
-        const results = [];
+        const accepted = [first];
+        const seen = new Set([keyOf(first)]);
+        const candidates = new BinaryHeap((a, b) => a.cost - b.cost || a.relations.length - b.relations.length);
+
+        while (accepted.length < k) {
+            const last = accepted[accepted.length - 1];
+
+            for (let i = 0; i < last.relations.length; i++) {
+                const rootNodes = last.nodes.slice(0, i + 1);
+                const rootRelations = last.relations.slice(0, i);
+                const rootKey = rootRelations.map(relation => relation.id).join('|');
+
+                const blockedRelations = new Set();
+                accepted.forEach(result => {
+                    if (result.relations.length > i && result.relations.slice(0, i).map(r => r.id).join('|') === rootKey) {
+                        blockedRelations.add(result.relations[i].id);
+                    }
+                });
+                const blockedNodes = new Set(rootNodes.slice(0, -1).map(node => node.id));
 
-        this.nodes.forEach(node => {
-            const embedding = node.metadata[embeddingKey];
-            if (Array.isArray(embedding)) {
-                const similarity = this.cosineSimilarity(queryEmbedding, embedding);
-                if (similarity >= threshold) {
-                    results.push({ node, similarity });
+                // The spur may only use the hops the root has left over
+                const spur = search(rootNodes[i].id, maxDepth - i, blockedRelations, blockedNodes);
+                if (!spur) continue;
+
+                const combined = {
+                    nodes: rootNodes.slice(0, -1).concat(spur.nodes),
+                    relations: rootRelations.concat(spur.relations),
+                    cost: rootRelations.reduce((sum, relation) => sum + weight(relation), 0) + spur.cost
+                };
+                const key = keyOf(combined);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    candidates.push(combined);
                 }
             }
-        });
 
-        // Sort by similarity (descending) and apply limit
-        return results
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, limit);
+            if (candidates.size === 0) break;
+            accepted.push(candidates.pop());
+        }
+
+        return accepted.map(result => {
+            const route = [result.nodes[0]];
+            result.relations.forEach((relation, i) => route.push(relation, result.nodes[i + 1]));
+            return route;
+        });
     }
 
     /**
-     * searchRelationsByCosineSimilarity(queryEmbedding, options)
+     * _searchPath(fromNodeId, toNodeId, options)
+     * @internal
      * @description
-     *   Finds relations with embeddings similar to the query embedding using cosine similarity.
-     * @param {number[]} queryEmbedding - The query embedding vector
-     * @param {Object} [options={}]
-     * @param {string} [options.embeddingKey='embedding'] - Key in metadata where embedding is stored
-     * @param {number} [options.threshold=0.5] - Minimum cosine similarity threshold
-     * @param {number} [options.limit=10] - Maximum number of results to return
-     * @returns {Array<{relation: Object, similarity: number}>} - Relations with similarity scores
+     *   Single-pair search behind `shortestPath` and `findPaths`: BFS when
+     *   neither `weightOf` nor `heuristic` is given, otherwise Dijkstra /
+     *   A* with a binary heap.
+     * @param {string} fromNodeId
+     * @param {string} toNodeId
+     * @param {Object} options
+     * @param {string[]} options.directions
+     * @param {string|null} options.relationName
+     * @param {function(relation): number|null} [options.weightOf=null]
+     * @param {function(node, node): number|null} [options.heuristic=null]
+     * @param {number} [options.maxDepth=Infinity] – most relations a path may take
+     * @param {function(relation): boolean} [options.relationAllowed]
+     * @param {function(string): boolean} [options.nodeAllowed] – receives a node id
+     * @returns {{previous: Map, cost: number}|null} `null` if unreachable
      */
-    searchRelationsByCosineSimilarity(queryEmbedding, options = {}) {
+    _searchPath(fromNodeId, toNodeId, options) {
         const {
-            embeddingKey = 'embedding',
-            threshold = 0.5,
-            limit = 10
+            directions,
+            relationName,
+            weightOf = null,
+            heuristic = null,
+            maxDepth = Infinity,
+            relationAllowed = () => true,
+            nodeAllowed = () => true
         } = options;
+        const previous = new Map(); // nodeId -> { nodeId, relation } it was reached from
+        const edges = nodeId => this._adjacent(nodeId, { directions, relationName })
+            .filter(({ relation, otherNodeId }) => relationAllowed(relation) && nodeAllowed(otherNodeId));
 
-        if (!Array.isArray(queryEmbedding) || queryEmbedding.length === 0) {
-            throw new Error('Query embedding must be a non-empty array');
+        if (fromNodeId === toNodeId) {
+            return { previous, cost: 0 };
         }
 
-        const results = [];
+        if (weightOf === null && heuristic === null) {
+            // Unweighted: plain BFS
+            const visited = new Set([fromNodeId]);
+            let frontier = [fromNodeId];
+            let depth = 0;
+
+            while (frontier.length > 0 && depth < maxDepth) {
+                const next = [];
+                depth++;
+                for (const nodeId of frontier) {
+                    for (const { relation, otherNodeId } of edges(nodeId)) {
+                        if (visited.has(otherNodeId)) continue;
+                        visited.add(otherNodeId);
+                        previous.set(otherNodeId, { nodeId, relation });
+                        if (otherNodeId === toNodeId) return { previous, cost: depth };
+                        next.push(otherNodeId);
+                    }
+                }
+                frontier = next;
+            }
+            return null;
+        }
 
-        this.relations.forEach(relation => {
-            const embedding = relation.metadata[embeddingKey];
-            if (Array.isArray(embedding)) {
-                const similarity = this.cosineSimilarity(queryEmbedding, embedding);
-                if (similarity >= threshold) {
-                    results.push({ relation, similarity });
+        // Weighted: Dijkstra, or A* when a heuristic is given. Under a
+        // `maxDepth` the search runs over (node, hops) states, so that a
+        // cheap route that is too long cannot hide a costlier short one.
+        const weight = weightOf || (() => 1);
+        const target = this.nodes.get(toNodeId);
+        const estimate = heuristic ? nodeId => heuristic(this.nodes.get(nodeId), target) : () => 0;
+        const stateOf = maxDepth === Infinity ? nodeId => nodeId : (nodeId, hops) => `${hops}:${nodeId}`;
+
+        const start = stateOf(fromNodeId, 0);
+        const best = new Map([[start, 0]]);
+        const reachedFrom = new Map(); // state -> { state, nodeId, relation } it was reached from
+        const settled = new Set();
+        // Fewer hops first among equal priorities keeps zero-weight cycles out
+        const queue = new BinaryHeap((a, b) => a.priority - b.priority || a.hops - b.hops);
+        queue.push({ state: start, nodeId: fromNodeId, hops: 0, priority: estimate(fromNodeId) });
+
+        while (queue.size > 0) {
+            const { state, nodeId, hops } = queue.pop();
+            if (settled.has(state)) continue;
+            settled.add(state);
+            if (nodeId === toNodeId) {
+                for (let current = state, currentNodeId = nodeId; reachedFrom.has(current);) {
+                    const step = reachedFrom.get(current);
+                    previous.set(currentNodeId, { nodeId: step.nodeId, relation: step.relation });
+                    current = step.state;
+                    currentNodeId = step.nodeId;
                 }
+                return { previous, cost: best.get(state) };
             }
-        });
+            if (hops >= maxDepth) continue;
+
+            for (const { relation, otherNodeId } of edges(nodeId)) {
+                const next = stateOf(otherNodeId, hops + 1);
+                if (settled.has(next)) continue;
+                const candidate = best.get(state) + weight(relation);
+                if (!best.has(next) || candidate < best.get(next)) {
+                    best.set(next, candidate);
+                    reachedFrom.set(next, { state, nodeId, relation });
+                    queue.push({ state: next, nodeId: otherNodeId, hops: hops + 1, priority: candidate + estimate(otherNodeId) });
+                }
+            }
+        }
+        return null;
+    }
 
-        // Sort by similarity (descending) and apply limit
-        return results
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, limit);
+    /**
+     * _weightFunction(weightKey, defaultWeight)
+     * @internal
+     * @description
+     *   Turns a `weightKey` option (metadata key or function) into a
+     *   validating `relation => weight` function, or `null` for unweighted.
+     * @param {string|function|null} weightKey
+     * @param {number} defaultWeight – used when the metadata key is missing
+     * @returns {function(relation): number|null}
+     */
+    _weightFunction(weightKey, defaultWeight) {
+        if (weightKey === null || weightKey === undefined) return null;
+
+        return relation => {
+            const weight = typeof weightKey === 'function' ? weightKey(relation) : relation.metadata[weightKey];
+            const value = weight === undefined ? defaultWeight : weight;
+            if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+                throw new Error(`Relation ${relation.id} has invalid weight ${value}; weights must be non-negative numbers`);
+            }
+            return value;
+        };
     }
 
     /**
-     * cosineSimilarity(vecA, vecB)
+     * _buildPathResult(toNodeId, previous, cost)
+     * @internal
      * @description
-     *   Calculates cosine similarity between two vectors.
-     *   Returns a value between -1 and 1, where 1 means identical direction.
-     * @param {number[]} vecA - First vector
-     * @param {number[]} vecB - Second vector
-     * @returns {number} - Cosine similarity score
+     *   Walks a `previous` map back from `toNodeId` and assembles the
+     *   `{path, nodes, relations, cost}` result of path queries.
+     * @param {string} toNodeId
+     * @param {Map<string, {nodeId:string, relation:Object}>} previous
+     * @param {number} cost
+     * @returns {{path: Array, nodes: Array<node>, relations: Array<relation>, cost: number}}
      */
-    cosineSimilarity(vecA, vecB) {
-        if (!Array.isArray(vecA) || !Array.isArray(vecB)) {
-            throw new Error('Both vectors must be arrays');
+    _buildPathResult(toNodeId, previous, cost) {
+        const nodes = [this.nodes.get(toNodeId)];
+        const relations = [];
+
+        let current = toNodeId;
+        while (previous.has(current)) {
+            const step = previous.get(current);
+            relations.unshift(step.relation);
+            nodes.unshift(this.nodes.get(step.nodeId));
+            current = step.nodeId;
         }
 
-        if (vecA.length !== vecB.length) {
-            throw new Error('Vectors must have the same length');
-        }
+        const route = [nodes[0]];
+        relations.forEach((relation, i) => route.push(relation, nodes[i + 1]));
+        return { path: route, nodes, relations, cost };
+    }
 
-        if (vecA.length === 0) {
-            return 0;
-        }
+    /**
+     * _adjacent(nodeId, options)
+     * @internal
+     * @description
+     *   Lists the edges leaving `nodeId` that pass the direction and
+     *   relation-name filters, resolved against `nodeRelations`. Shared by
+     *   the path and graph algorithms, traversals and queries.
+     * @param {string} nodeId
+     * @param {Object} [options={}]
+     * @param {string[]} [options.directions=['outgoing','incoming']]
+     * @param {string|null} [options.relationName=null]
+     * @returns {Array<{relation: Object, otherNodeId: string, direction: 'outgoing'|'incoming'|'both'}>}
+     */
+    _adjacent(nodeId, options = {}) {
+        const {
+            directions = ['outgoing', 'incoming'],
+            relationName = null
+        } = options;
+        const result = [];
 
-        let dotProduct = 0;
-        let magnitudeA = 0;
-        let magnitudeB = 0;
+        for (const relationId of this.nodeRelations.get(nodeId) || []) {
+            const relation = this.relations.get(relationId);
+            if (!relation) continue;
+            if (relationName && relation.name !== relationName) continue;
 
-        for (let i = 0; i < vecA.length; i++) {
-            dotProduct += vecA[i] * vecB[i];
-            magnitudeA += vecA[i] * vecA[i];
-            magnitudeB += vecB[i] * vecB[i];
+            const oriented = this._orient(relation, nodeId, directions);
+            if (!oriented || !this.nodes.has(oriented.otherNodeId)) continue;
+
+            result.push({ relation, otherNodeId: oriented.otherNodeId, direction: oriented.direction });
         }
 
-        magnitudeA = Math.sqrt(magnitudeA);
-        magnitudeB = Math.sqrt(magnitudeB);
+        return result;
+    }
 
-        if (magnitudeA === 0 || magnitudeB === 0) {
-            return 0;
+    /**
+     * _orient(relation, nodeId, directions)
+     * @internal
+     * @description
+     *   Works out which way `relation` leaves `nodeId`. Undirected
+     *   relations go both ways and pass either direction filter. A
+     *   directed self-loop is both too; it is reported as incoming when
+     *   only that is asked for.
+     * @param {Object} relation – attached to `nodeId`
+     * @param {string} nodeId
+     * @param {string[]} directions – `'outgoing'` and/or `'incoming'`
+     * @returns {{direction: 'outgoing'|'incoming'|'both', otherNodeId: string}|null} `null` if filtered out
+     */
+    _orient(relation, nodeId, directions) {
+        if (relation.directed === false) {
+            if (!directions.includes('outgoing') && !directions.includes('incoming')) return null;
+            const otherNodeId = relation.fromNodeId === nodeId ? relation.toNodeId : relation.fromNodeId;
+            return { direction: 'both', otherNodeId };
         }
 
-        return dotProduct / (magnitudeA * magnitudeB);
+        const isOut = relation.fromNodeId === nodeId
+            && (relation.toNodeId !== nodeId || directions.includes('outgoing'));
+        const direction = isOut ? 'outgoing' : 'incoming';
+        if (!directions.includes(direction)) return null;
+
+        return { direction, otherNodeId: isOut ? relation.toNodeId : relation.fromNodeId };
     }
 
     /**
-     * searchAndTraverse(queryEmbedding, options)
+     * pageRank(options)
      * @description
-     *   GraphRAG-ready method that finds entities by cosine similarity and other filters,
-     *   then traverses from each match for specified hops in a hierarchical structure.
-     * @param {number[]} queryEmbedding - The query embedding vector
+     *   Power-iteration PageRank over outgoing relations; parallel
+     *   relations each carry their own share. Rank of nodes without
+     *   (positively weighted) outgoing relations is spread evenly over
+     *   all nodes.
      * @param {Object} [options={}]
-     * @param {string} [options.embeddingKey='embedding'] - Key in metadata where embedding is stored
-     * @param {number} [options.threshold=0.5] - Minimum cosine similarity threshold
-     * @param {number} [options.limit=10] - Maximum number of initial matches
-     * @param {number} [options.hops=3] - Number of hops to traverse from each initial match
-     * @param {Object} [options.nodeFilters={}] - Additional filters for nodes
-     * @param {Object} [options.relationFilters={}] - Additional filters for relations
-     * @param {boolean} [options.searchNodes=true] - Whether to search nodes
-     * @param {boolean} [options.searchRelations=true] - Whether to search relations
-     * @param {string[]} [options.directions=['outgoing','incoming']] - Traversal directions
-     * @param {boolean} [options.endOnNode=false] - Whether to ensure traversal always ends on a node
-     * @returns {Array<{type: string, entity: Object, similarity?: number, outgoingRelations?: Array, incomingRelations?: Array, fromNode?: Object, toNode?: Object}>}
+     * @param {number} [options.damping=0.85]
+     * @param {number} [options.iterations=100] – maximum iterations
+     * @param {number} [options.tolerance=1e-6] – stop once the L1 change drops below this
+     * @param {string|function(relation): number|null} [options.weightKey=null] – share rank by edge weight
+     * @param {string|null} [options.relationName=null]
+     * @param {string|null} [options.writeTo=null] – metadata key to store each node's score in
+     * @param {number} [options.limit=Infinity]
+     * @returns {Array<{node: Object, score: number}>} highest score first
      */
-    searchAndTraverse(queryEmbedding, options = {}) {
+    pageRank(options = {}) {
         const {
-            embeddingKey = 'embedding',
-            threshold = 0.5,
-            limit = 10,
-            hops = 3,
-            nodeFilters = {},
-            relationFilters = {},
-            searchNodes = true,
-            searchRelations = true,
-            directions = ['outgoing', 'incoming'],
-            endOnNode = false
+            damping = 0.85,
+            iterations = 100,
+            tolerance = 1e-6,
+            weightKey = null,
+            relationName = null,
+            writeTo = null,
+            limit = Infinity
         } = options;
 
-        if (!Array.isArray(queryEmbedding) || queryEmbedding.length === 0) {
-            throw new Error('Query embedding must be a non-empty array');
-        }
+        const ids = Array.from(this.nodes.keys());
+        const count = ids.length;
+        if (count === 0) return [];
 
-        const results = [];
-        const initialMatches = [];
+        // Parallel relations each pass on rank, so their weights add up
+        const adjacency = this._adjacencyLists({
+            directions: ['outgoing'],
+            relationName,
+            weightOf: this._weightFunction(weightKey, 1),
+            sumParallel: true
+        });
+        const outWeight = new Map();
+        adjacency.forEach((edges, nodeId) => {
+            outWeight.set(nodeId, edges.reduce((sum, edge) => sum + edge.weight, 0));
+        });
 
-        // Find initial node matches
-        if (searchNodes) {
-            const nodeMatches = this.searchNodesByCosineSimilarity(queryEmbedding, {
-                embeddingKey,
-                threshold,
-                limit: Math.ceil(limit / (searchRelations ? 2 : 1))
+        let rank = new Map(ids.map(id => [id, 1 / count]));
+        for (let i = 0; i < iterations; i++) {
+            const next = new Map(ids.map(id => [id, (1 - damping) / count]));
+            let dangling = 0;
+
+            ids.forEach(id => {
+                const total = outWeight.get(id);
+                if (total > 0) {
+                    const share = damping * rank.get(id) / total;
+                    adjacency.get(id).forEach(edge => {
+                        next.set(edge.otherNodeId, next.get(edge.otherNodeId) + share * edge.weight);
+                    });
+                } else {
+                    dangling += rank.get(id);
+                }
             });
 
-            // Apply additional node filters
-            const filteredNodeMatches = nodeMatches.filter(match =>
-                this.matchesConditions(match.node, nodeFilters)
-            );
+            let delta = 0;
+            ids.forEach(id => {
+                next.set(id, next.get(id) + damping * dangling / count);
+                delta += Math.abs(next.get(id) - rank.get(id));
+            });
+            rank = next;
+            if (delta < tolerance) break;
+        }
 
-            initialMatches.push(...filteredNodeMatches.map(match => ({
-                type: 'node',
-                entity: match.node,
-                similarity: match.similarity
-            })));
-        }
-
-        // Find initial relation matches
-        if (searchRelations) {
-            const relationMatches = this.searchRelationsByCosineSimilarity(queryEmbedding, {
-                embeddingKey,
-                threshold,
-                limit: Math.ceil(limit / (searchNodes ? 2 : 1))
-            });
+        return this._rankScores(rank, { writeTo, limit });
+    }
 
-            // Apply additional relation filters
-            const filteredRelationMatches = relationMatches.filter(match =>
-                this.matchesConditions(match.relation, relationFilters)
-            );
+    /**
+     * degreeCentrality(options)
+     * @description
+     *   Counts incoming and outgoing relations per node. `score` is the
+     *   in-degree, out-degree or their sum depending on `direction`.
+     * @param {Object} [options={}]
+     * @param {'in'|'out'|'both'} [options.direction='both']
+     * @param {boolean} [options.normalized=false] – divide by `nodeCount - 1`
+     * @param {string|null} [options.relationName=null]
+     * @param {string|null} [options.writeTo=null] – metadata key to store each node's score in
+     * @param {number} [options.limit=Infinity]
+     * @returns {Array<{node: Object, score: number, inDegree: number, outDegree: number}>} highest score first
+     */
+    degreeCentrality(options = {}) {
+        const {
+            direction = 'both',
+            normalized = false,
+            relationName = null,
+            writeTo = null,
+            limit = Infinity
+        } = options;
 
-            initialMatches.push(...filteredRelationMatches.map(match => ({
-                type: 'relation',
-                entity: match.relation,
-                similarity: match.similarity
-            })));
+        if (!['in', 'out', 'both'].includes(direction)) {
+            throw new Error(`Unknown degree direction: ${direction}`);
         }
 
-        // Sort by similarity and take top results
-        initialMatches.sort((a, b) => b.similarity - a.similarity);
-        const topMatches = initialMatches.slice(0, limit);
+        const inDegree = new Map();
+        const outDegree = new Map();
+        const undirectedDegree = new Map(); // counted once in `both`, but as in and out
+        this.nodes.forEach((_, nodeId) => {
+            inDegree.set(nodeId, 0);
+            outDegree.set(nodeId, 0);
+            undirectedDegree.set(nodeId, 0);
+        });
+        this.relations.forEach(relation => {
+            if (relationName && relation.name !== relationName) return;
+            if (!inDegree.has(relation.fromNodeId) || !inDegree.has(relation.toNodeId)) return;
+            if (relation.directed === false) {
+                undirectedDegree.set(relation.fromNodeId, undirectedDegree.get(relation.fromNodeId) + 1);
+                undirectedDegree.set(relation.toNodeId, undirectedDegree.get(relation.toNodeId) + 1);
+                return;
+            }
+            outDegree.set(relation.fromNodeId, outDegree.get(relation.fromNodeId) + 1);
+            inDegree.set(relation.toNodeId, inDegree.get(relation.toNodeId) + 1);
+        });
 
-        // Build hierarchical structure from each initial match
-        for (const initialMatch of topMatches) {
-            const hierarchicalResult = this._buildHierarchicalStructure(
-                initialMatch.type,
-                initialMatch.entity,
-                hops,
-                directions,
-                endOnNode,
-                initialMatch.similarity
-            );
+        const scale = normalized && this.nodes.size > 1 ? 1 / (this.nodes.size - 1) : 1;
+        const scores = new Map();
+        this.nodes.forEach((_, nodeId) => {
+            const degree = (direction === 'in' ? inDegree.get(nodeId)
+                : direction === 'out' ? outDegree.get(nodeId)
+                    : inDegree.get(nodeId) + outDegree.get(nodeId)) + undirectedDegree.get(nodeId);
+            scores.set(nodeId, degree * scale);
+        });
 
-            if (hierarchicalResult) {
-                results.push(hierarchicalResult);
+        return this._rankScores(scores, { writeTo, limit }).map(entry => ({
+            ...entry,
+            inDegree: inDegree.get(entry.node.id) + undirectedDegree.get(entry.node.id),
+            outDegree: outDegree.get(entry.node.id) + undirectedDegree.get(entry.node.id)
+        }));
+    }
+
+    /**
+     * betweennessCentrality(options)
+     * @description
+     *   Brandes' algorithm: for every node, the share of shortest paths
+     *   between other pairs that pass through it. With `samples`, only
+     *   that many random source nodes are used and scores are
+     *   extrapolated (approximate, much faster on large graphs). With both
+     *   directions the graph is treated as undirected.
+     * @param {Object} [options={}]
+     * @param {string[]} [options.directions=['outgoing','incoming']]
+     * @param {string|null} [options.relationName=null]
+     * @param {string|function(relation): number|null} [options.weightKey=null] – shortest by weight instead of hops
+     * @param {number|null} [options.samples=null] – number of sampled sources; `null` = exact
+     * @param {boolean} [options.normalized=true] – divide by the number of node pairs
+     * @param {string|null} [options.writeTo=null] – metadata key to store each node's score in
+     * @param {number} [options.limit=Infinity]
+     * @returns {Array<{node: Object, score: number}>} highest score first
+     */
+    betweennessCentrality(options = {}) {
+        const {
+            directions = ['outgoing', 'incoming'],
+            relationName = null,
+            weightKey = null,
+            samples = null,
+            normalized = true,
+            writeTo = null,
+            limit = Infinity
+        } = options;
+
+        const ids = Array.from(this.nodes.keys());
+        const count = ids.length;
+        const adjacency = this._adjacencyLists({
+            directions,
+            relationName,
+            weightOf: this._weightFunction(weightKey, 1)
+        });
+        const weighted = weightKey !== null;
+        const sources = this._sampleIds(ids, samples);
+
+        const scores = new Map(ids.map(id => [id, 0]));
+        sources.forEach(source => {
+            const { order, sigma, predecessors } = this._singleSourceShortestPaths(source, adjacency, weighted);
+            const dependency = new Map();
+
+            while (order.length > 0) {
+                const w = order.pop();
+                const coefficient = (1 + (dependency.get(w) || 0)) / sigma.get(w);
+                predecessors.get(w).forEach(v => {
+                    dependency.set(v, (dependency.get(v) || 0) + sigma.get(v) * coefficient);
+                });
+                if (w !== source) {
+                    scores.set(w, scores.get(w) + (dependency.get(w) || 0));
+                }
             }
+        });
+
+        const undirected = directions.includes('outgoing') && directions.includes('incoming');
+        let scale = sources.length > 0 ? count / sources.length : 1;
+        if (undirected) scale /= 2;
+        if (normalized && count > 2) {
+            scale /= undirected ? (count - 1) * (count - 2) / 2 : (count - 1) * (count - 2);
         }
+        scores.forEach((score, id) => scores.set(id, score * scale));
 
-        return results;
+        return this._rankScores(scores, { writeTo, limit });
     }
 
     /**
-     * _buildHierarchicalStructure(entityType, entity, maxHops, directions, endOnNode, similarity)
-     * @internal
+     * closenessCentrality(options)
      * @description
-     *   Helper method to build hierarchical structure from either a node or relation.
-     * @param {'node'|'relation'} entityType
-     * @param {Object} entity
-     * @param {number} maxHops
-     * @param {string[]} directions
-     * @param {boolean} endOnNode
-     * @param {number} [similarity] - Similarity score for root entity
-     * @returns {Object} Hierarchical structure
+     *   How close each node is to all others it can reach, using the
+     *   Wasserman–Faust form `((r-1)/(n-1)) × ((r-1)/Σd)` so nodes in small
+     *   components are not over-rated (`r` = nodes reachable incl. itself).
+     *   With `samples`, distances are estimated from that many random
+     *   pivot nodes (Eppstein–Wang) instead of one search per node.
+     * @param {Object} [options={}]
+     * @param {string[]} [options.directions=['outgoing','incoming']] – direction distances are measured in
+     * @param {string|null} [options.relationName=null]
+     * @param {string|function(relation): number|null} [options.weightKey=null]
+     * @param {number|null} [options.samples=null] – number of pivots; `null` = exact
+     * @param {string|null} [options.writeTo=null] – metadata key to store each node's score in
+     * @param {number} [options.limit=Infinity]
+     * @returns {Array<{node: Object, score: number}>} highest score first
      */
-    _buildHierarchicalStructure(entityType, entity, maxHops, directions, endOnNode, similarity) {
-        const visited = new Set();
+    closenessCentrality(options = {}) {
+        const {
+            directions = ['outgoing', 'incoming'],
+            relationName = null,
+            weightKey = null,
+            samples = null,
+            writeTo = null,
+            limit = Infinity
+        } = options;
 
-        const buildNode = (nodeEntity, depth) => {
-            if (depth > maxHops || visited.has(`node:${nodeEntity.id}`)) {
-                return {
-                    type: 'node',
-                    entity: nodeEntity,
-                    ...(depth === 0 && similarity !== undefined ? { similarity } : {}),
-                    outgoingRelations: [],
-                    incomingRelations: []
-                };
-            }
+        const ids = Array.from(this.nodes.keys());
+        const count = ids.length;
+        const weightOf = this._weightFunction(weightKey, 1);
+        const weighted = weightKey !== null;
+        const scores = new Map(ids.map(id => [id, 0]));
+        if (count < 2) return this._rankScores(scores, { writeTo, limit });
+
+        const totalDistance = new Map(ids.map(id => [id, 0]));
+        const reached = new Map(ids.map(id => [id, 0]));
+
+        if (samples === null || samples >= count) {
+            const adjacency = this._adjacencyLists({ directions, relationName, weightOf });
+            ids.forEach(id => {
+                const { distance } = this._singleSourceShortestPaths(id, adjacency, weighted);
+                distance.forEach(d => {
+                    totalDistance.set(id, totalDistance.get(id) + d);
+                });
+                reached.set(id, distance.size - 1);
+            });
+        } else {
+            // Distances *to* each pivot, i.e. searches over reversed edges
+            const reversed = directions.map(d => (d === 'outgoing' ? 'incoming' : 'outgoing'));
+            const adjacency = this._adjacencyLists({ directions: reversed, relationName, weightOf });
+            const pivots = this._sampleIds(ids, samples);
+            const factor = (count - 1) / pivots.length;
+
+            pivots.forEach(pivot => {
+                const { distance } = this._singleSourceShortestPaths(pivot, adjacency, weighted);
+                distance.forEach((d, id) => {
+                    if (id === pivot) return;
+                    totalDistance.set(id, totalDistance.get(id) + d * factor);
+                    reached.set(id, reached.get(id) + factor);
+                });
+            });
+        }
 
-            visited.add(`node:${nodeEntity.id}`);
+        ids.forEach(id => {
+            const others = reached.get(id);
+            const total = totalDistance.get(id);
+            scores.set(id, total > 0 ? (others / (count - 1)) * (others / total) : 0);
+        });
 
-            const nodeResult = {
-                type: 'node',
-                entity: nodeEntity,
-                ...(depth === 0 && similarity !== undefined ? { similarity } : {}),
-                outgoingRelations: [],
-                incomingRelations: []
-            };
+        return this._rankScores(scores, { writeTo, limit });
+    }
 
-            // Don't traverse further if we're at max hops
-            if (depth >= maxHops) {
-                return nodeResult;
+    /**
+     * connectedComponents(options)
+     * @description
+     *   Weakly connected components: groups of nodes linked by relations
+     *   in either direction.
+     * @param {Object} [options={}]
+     * @param {string|null} [options.relationName=null]
+     * @param {string|null} [options.writeTo=null] – metadata key to store each node's component id in
+     * @returns {{count: number, membership: Object<string, number>, components: string[][]}}
+     *   component ids are positions in `components` (largest first)
+     */
+    connectedComponents(options = {}) {
+        const { relationName = null, writeTo = null } = options;
+
+        const adjacency = this._adjacencyLists({ directions: ['outgoing', 'incoming'], relationName, weightOf: null });
+        const seen = new Set();
+        const groups = [];
+
+        this.nodes.forEach((_, start) => {
+            if (seen.has(start)) return;
+            seen.add(start);
+
+            const group = [start];
+            for (let head = 0; head < group.length; head++) {
+                adjacency.get(group[head]).forEach(({ otherNodeId }) => {
+                    if (!seen.has(otherNodeId)) {
+                        seen.add(otherNodeId);
+                        group.push(otherNodeId);
+                    }
+                });
             }
+            groups.push(group);
+        });
 
-            // Get connected relations
-            const relationIds = this.nodeRelations.get(nodeEntity.id) || new Set();
-            for (const relationId of relationIds) {
-                const relation = this.relations.get(relationId);
-                if (!relation || visited.has(`relation:${relationId}`)) continue;
-
-                // Check direction
-                const isOutgoing = relation.fromNodeId === nodeEntity.id;
-                const direction = isOutgoing ? 'outgoing' : 'incoming';
-                if (!directions.includes(direction)) continue;
+        const { count, membership, groups: components } = this._groupResult(groups, writeTo);
+        return { count, membership, components };
+    }
 
-                const relationStructure = buildRelation(relation, depth + 1, nodeEntity.id);
-                if (relationStructure) {
-                    if (isOutgoing) {
-                        nodeResult.outgoingRelations.push(relationStructure);
-                    } else {
-                        nodeResult.incomingRelations.push(relationStructure);
+    /**
+     * stronglyConnectedComponents(options)
+     * @description
+     *   Groups of nodes that can all reach each other along outgoing
+     *   relations (iterative Tarjan, safe on deep graphs).
+     * @param {Object} [options={}]
+     * @param {string|null} [options.relationName=null]
+     * @param {string|null} [options.writeTo=null] – metadata key to store each node's component id in
+     * @returns {{count: number, membership: Object<string, number>, components: string[][]}}
+     *   component ids are positions in `components` (largest first)
+     */
+    stronglyConnectedComponents(options = {}) {
+        const { relationName = null, writeTo = null } = options;
+
+        const adjacency = this._adjacencyLists({ directions: ['outgoing'], relationName, weightOf: null });
+        const index = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const groups = [];
+        let counter = 0;
+
+        this.nodes.forEach((_, root) => {
+            if (index.has(root)) return;
+
+            // Explicit call stack of [nodeId, position of next neighbor to visit]
+            const callStack = [[root, 0]];
+            index.set(root, counter);
+            lowLink.set(root, counter);
+            counter++;
+            stack.push(root);
+            onStack.add(root);
+
+            while (callStack.length > 0) {
+                const frame = callStack[callStack.length - 1];
+                const [v, position] = frame;
+                const edges = adjacency.get(v);
+
+                if (position < edges.length) {
+                    frame[1]++;
+                    const w = edges[position].otherNodeId;
+                    if (!index.has(w)) {
+                        index.set(w, counter);
+                        lowLink.set(w, counter);
+                        counter++;
+                        stack.push(w);
+                        onStack.add(w);
+                        callStack.push([w, 0]);
+                    } else if (onStack.has(w)) {
+                        lowLink.set(v, Math.min(lowLink.get(v), index.get(w)));
                     }
+                    continue;
                 }
-            }
 
-            return nodeResult;
-        };
+                callStack.pop();
+                if (callStack.length > 0) {
+                    const parent = callStack[callStack.length - 1][0];
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(v)));
+                }
 
-        const buildRelation = (relationEntity, depth, fromNodeId) => {
-            if (depth > maxHops || visited.has(`relation:${relationEntity.id}`)) {
-                return {
-                    type: 'relation',
-                    entity: relationEntity,
-                    ...(depth === 0 && similarity !== undefined ? { similarity } : {}),
-                    fromNode: null,
-                    toNode: null
-                };
+                if (lowLink.get(v) === index.get(v)) {
+                    const group = [];
+                    let w;
+                    do {
+                        w = stack.pop();
+                        onStack.delete(w);
+                        group.push(w);
+                    } while (w !== v);
+                    groups.push(group.reverse());
+                }
             }
+        });
 
-            visited.add(`relation:${relationEntity.id}`);
+        const { count, membership, groups: components } = this._groupResult(groups, writeTo);
+        return { count, membership, components };
+    }
 
-            const relationResult = {
-                type: 'relation',
-                entity: relationEntity,
-                ...(depth === 0 && similarity !== undefined ? { similarity } : {}),
-                fromNode: null,
-                toNode: null
-            };
+    /**
+     * detectCommunities(options)
+     * @description
+     *   Louvain modularity optimization, treating relations as undirected.
+     *   Nodes are visited in insertion order and ties keep the current
+     *   community, so results are deterministic for a given graph.
+     * @param {Object} [options={}]
+     * @param {string|function(relation): number|null} [options.weightKey=null] – edge weight (default 1 per relation)
+     * @param {number} [options.resolution=1] – higher values give more, smaller communities
+     * @param {string|null} [options.relationName=null]
+     * @param {number} [options.maxLevels=10] – maximum aggregation levels
+     * @param {string|null} [options.writeTo=null] – metadata key to store each node's community id in
+     * @returns {{count: number, membership: Object<string, number>, communities: string[][], modularity: number}}
+     *   community ids are positions in `communities` (largest first)
+     */
+    detectCommunities(options = {}) {
+        const {
+            weightKey = null,
+            resolution = 1,
+            relationName = null,
+            maxLevels = 10,
+            writeTo = null
+        } = options;
 
-            // If we're at max hops and endOnNode is false, don't traverse to nodes
-            if (depth >= maxHops && !endOnNode) {
-                return relationResult;
+        const ids = Array.from(this.nodes.keys());
+        const position = new Map(ids.map((id, i) => [id, i]));
+        const weightOf = this._weightFunction(weightKey, 1);
+
+        // Level graph: symmetric neighbor weights plus self-loop weight per vertex
+        let neighbors = ids.map(() => new Map());
+        let selfLoops = ids.map(() => 0);
+        let totalWeight = 0;
+
+        this.relations.forEach(relation => {
+            if (relationName && relation.name !== relationName) return;
+            const i = position.get(relation.fromNodeId);
+            const j = position.get(relation.toNodeId);
+            if (i === undefined || j === undefined) return;
+
+            const weight = weightOf ? weightOf(relation) : 1;
+            totalWeight += weight;
+            if (i === j) {
+                selfLoops[i] += weight;
+            } else {
+                neighbors[i].set(j, (neighbors[i].get(j) || 0) + weight);
+                neighbors[j].set(i, neighbors[i].get(j));
             }
+        });
 
-            // Build connected nodes
-            const fromNode = this.nodes.get(relationEntity.fromNodeId);
-            const toNode = this.nodes.get(relationEntity.toNodeId);
+        // membership of each original node in the current level's vertices
+        let assignment = ids.map((_, i) => i);
 
-            if (fromNode) {
-                relationResult.fromNode = buildNode(fromNode, depth + 1);
+        const twiceTotal = 2 * totalWeight;
+        for (let level = 0; level < maxLevels && twiceTotal > 0; level++) {
+            const size = neighbors.length;
+            const degree = neighbors.map((links, i) => {
+                let sum = 2 * selfLoops[i];
+                links.forEach(weight => { sum += weight; });
+                return sum;
+            });
+            const community = degree.map((_, i) => i);
+            const communityDegree = degree.slice();
+
+            let improved = false;
+            let moved = true;
+            while (moved) {
+                moved = false;
+                for (let i = 0; i < size; i++) {
+                    const current = community[i];
+                    communityDegree[current] -= degree[i];
+
+                    const linkWeight = new Map([[current, 0]]);
+                    neighbors[i].forEach((weight, j) => {
+                        linkWeight.set(community[j], (linkWeight.get(community[j]) || 0) + weight);
+                    });
+
+                    let best = current;
+                    let bestGain = linkWeight.get(current) - resolution * communityDegree[current] * degree[i] / twiceTotal;
+                    linkWeight.forEach((weight, candidate) => {
+                        const gain = weight - resolution * communityDegree[candidate] * degree[i] / twiceTotal;
+                        if (gain > bestGain + 1e-12) {
+                            best = candidate;
+                            bestGain = gain;
+                        }
+                    });
+
+                    community[i] = best;
+                    communityDegree[best] += degree[i];
+                    if (best !== current) {
+                        moved = true;
+                        improved = true;
+                    }
+                }
             }
+            if (!improved) break;
 
-            if (toNode) {
-                relationResult.toNode = buildNode(toNode, depth + 1);
+            // Aggregate each community into one vertex of the next level
+            const renumber = new Map();
+            community.forEach(c => {
+                if (!renumber.has(c)) renumber.set(c, renumber.size);
+            });
+            const nextNeighbors = Array.from(renumber, () => new Map());
+            const nextSelfLoops = Array.from(renumber, () => 0);
+
+            for (let i = 0; i < size; i++) {
+                const ci = renumber.get(community[i]);
+                nextSelfLoops[ci] += selfLoops[i];
+                neighbors[i].forEach((weight, j) => {
+                    if (j < i) return;
+                    const cj = renumber.get(community[j]);
+                    if (ci === cj) {
+                        nextSelfLoops[ci] += weight;
+                    } else {
+                        nextNeighbors[ci].set(cj, (nextNeighbors[ci].get(cj) || 0) + weight);
+                        nextNeighbors[cj].set(ci, nextNeighbors[ci].get(cj));
+                    }
+                });
             }
 
-            return relationResult;
-        };
+            assignment = assignment.map(vertex => renumber.get(community[vertex]));
+            neighbors = nextNeighbors;
+            selfLoops = nextSelfLoops;
+        }
 
-        if (entityType === 'node') {
-            return buildNode(entity, 0);
-        } else if (entityType === 'relation') {
-            return buildRelation(entity, 0);
+        const byVertex = new Map();
+        assignment.forEach((vertex, i) => {
+            if (!byVertex.has(vertex)) byVertex.set(vertex, []);
+            byVertex.get(vertex).push(ids[i]);
+        });
+
+        // After aggregation each vertex is a community: Q = Σ (internal/m - γ (degree/2m)²)
+        let modularity = 0;
+        if (twiceTotal > 0) {
+            neighbors.forEach((links, c) => {
+                let degree = 2 * selfLoops[c];
+                links.forEach(weight => { degree += weight; });
+                modularity += selfLoops[c] / totalWeight - resolution * Math.pow(degree / twiceTotal, 2);
+            });
         }
 
-        return null;
+        const { count, membership, groups: communities } = this._groupResult(Array.from(byVertex.values()), writeTo);
+        return { count, membership, communities, modularity };
     }
 
     /**
-     * matchesConditions(entity, conditions)
+     * _groupResult(groups, writeTo)
      * @internal
      * @description
-     *   Generic predicate that checks each `conditions` key:
-     *     - `metadata`: calls `matchesMetadataConditions`
-     *     - `name`: exact, RegExp, or "contains" filter
-     *     - `id`, `fromNodeId`, `toNodeId`: strict equal
-     *     - `cosineSimilarity`: performs cosine similarity search
-     * @param {Object} entity
-     * @param {Object} conditions
-     * @returns {boolean}
+     *   Orders node groups largest first, numbers them by position and
+     *   builds the `nodeId -> group id` membership map, optionally writing
+     *   the id into node metadata (in one transaction, so a single flush).
+     * @param {string[][]} groups
+     * @param {string|null} writeTo – metadata key, or `null`
+     * @returns {{count: number, membership: Object<string, number>, groups: string[][]}}
      */
-    matchesConditions(entity, conditions) {
-        for (const [key, value] of Object.entries(conditions)) {
-            if (key === 'metadata') {
-                if (!this.matchesMetadataConditions(entity.metadata, value)) {
-                    return false;
-                }
-            } else if (key === 'cosineSimilarity') {
-                // Handle cosine similarity condition
-                const { queryEmbedding, embeddingKey = 'embedding', threshold = 0.5 } = value;
-                const embedding = entity.metadata[embeddingKey];
-                if (!Array.isArray(embedding)) {
-                    return false;
+    _groupResult(groups, writeTo) {
+        const sorted = groups.slice().sort((a, b) => b.length - a.length);
+        const membership = {};
+        sorted.forEach((group, groupId) => {
+            group.forEach(nodeId => { membership[nodeId] = groupId; });
+        });
+
+        if (writeTo) {
+            this.transaction(() => {
+                Object.keys(membership).forEach(nodeId => {
+                    this.updateNode(nodeId, { metadata: { [writeTo]: membership[nodeId] } });
+                });
+            });
+        }
+
+        return { count: sorted.length, membership, groups: sorted };
+    }
+
+    /**
+     * _adjacencyLists(options)
+     * @internal
+     * @description
+     *   Snapshot of the graph as `nodeId -> [{otherNodeId, weight}]`,
+     *   collapsing parallel relations to the lightest one (or to the sum
+     *   of their weights), for algorithms that sweep the whole graph many
+     *   times.
+     * @param {Object} options
+     * @param {string[]} options.directions
+     * @param {string|null} options.relationName
+     * @param {function(relation): number|null} options.weightOf – `null` gives every edge weight 1
+     * @param {boolean} [options.sumParallel=false] – add up parallel relations instead
+     * @returns {Map<string, Array<{otherNodeId: string, weight: number}>>}
+     */
+    _adjacencyLists({ directions, relationName, weightOf, sumParallel = false }) {
+        const adjacency = new Map();
+
+        this.nodes.forEach((_, nodeId) => {
+            const merged = new Map();
+            this._adjacent(nodeId, { directions, relationName }).forEach(({ relation, otherNodeId }) => {
+                const weight = weightOf ? weightOf(relation) : 1;
+                if (!merged.has(otherNodeId)) {
+                    merged.set(otherNodeId, weight);
+                } else if (sumParallel) {
+                    merged.set(otherNodeId, merged.get(otherNodeId) + weight);
+                } else if (weight < merged.get(otherNodeId)) {
+                    merged.set(otherNodeId, weight);
                 }
-                const similarity = this.cosineSimilarity(queryEmbedding, embedding);
-                if (similarity < threshold) {
-                    return false;
+            });
+            adjacency.set(nodeId, Array.from(merged, ([otherNodeId, weight]) => ({ otherNodeId, weight })));
+        });
+
+        return adjacency;
+    }
+
+    /**
+     * _singleSourceShortestPaths(source, adjacency, weighted)
+     * @internal
+     * @description
+     *   BFS (or Dijkstra when `weighted`) from `source` that also counts
+     *   shortest paths, as needed by Brandes' betweenness.
+     * @param {string} source
+     * @param {Map} adjacency – from `_adjacencyLists`
+     * @param {boolean} weighted
+     * @returns {{order: string[], distance: Map<string, number>, sigma: Map<string, number>, predecessors: Map<string, string[]>}}
+     *   `order` lists reached nodes by non-decreasing distance
+     */
+    _singleSourceShortestPaths(source, adjacency, weighted) {
+        const order = [];
+        const distance = new Map([[source, 0]]);
+        const sigma = new Map([[source, 1]]);
+        const predecessors = new Map([[source, []]]);
+
+        if (!weighted) {
+            const queue = [source];
+            for (let head = 0; head < queue.length; head++) {
+                const v = queue[head];
+                order.push(v);
+                for (const { otherNodeId: w } of adjacency.get(v)) {
+                    if (!distance.has(w)) {
+                        distance.set(w, distance.get(v) + 1);
+                        sigma.set(w, 0);
+                        predecessors.set(w, []);
+                        queue.push(w);
+                    }
+                    if (distance.get(w) === distance.get(v) + 1) {
+                        sigma.set(w, sigma.get(w) + sigma.get(v));
+                        predecessors.get(w).push(v);
+                    }
                 }
-            } else if (key === 'name') {
-                if (typeof value === 'string') {
-                    if (entity.name !== value) return false;
-                } else if (value instanceof RegExp) {
-                    if (!value.test(entity.name)) return false;
-                } else if (typeof value === 'object' && value.contains) {
-                    if (!entity.name.toLowerCase().includes(value.contains.toLowerCase())) return false;
+            }
+            return { order, distance, sigma, predecessors };
+        }
+
+        const settled = new Set();
+        const queue = new BinaryHeap((a, b) => a.distance - b.distance);
+        queue.push({ nodeId: source, distance: 0 });
+
+        while (queue.size > 0) {
+            const { nodeId: v, distance: dv } = queue.pop();
+            if (settled.has(v) || dv > distance.get(v)) continue;
+            settled.add(v);
+            order.push(v);
+
+            for (const { otherNodeId: w, weight } of adjacency.get(v)) {
+                const candidate = dv + weight;
+                if (!distance.has(w) || candidate < distance.get(w)) {
+                    distance.set(w, candidate);
+                    sigma.set(w, sigma.get(v));
+                    predecessors.set(w, [v]);
+                    queue.push({ nodeId: w, distance: candidate });
+                } else if (candidate === distance.get(w) && !settled.has(w)) {
+                    sigma.set(w, sigma.get(w) + sigma.get(v));
+                    predecessors.get(w).push(v);
                 }
-            } else if (key === 'id') {
-                if (entity.id !== value) return false;
-            } else if (key === 'fromNodeId' || key === 'toNodeId') {
-                if (entity[key] !== value) return false;
             }
         }
-        return true;
+
+        return { order, distance, sigma, predecessors };
     }
 
     /**
-     * matchesMetadataConditions(metadata, conditions)
+     * _sampleIds(ids, samples)
      * @internal
      * @description
-     *   For each key in `conditions`, applies operators:
-     *     `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `contains`, `in`, etc.
-     *     Also supports `cosineSimilarity` for vector comparisons.
+     *   Picks `samples` distinct ids uniformly at random (partial
+     *   Fisher–Yates), or all ids when `samples` is `null` or too large.
+     * @param {string[]} ids
+     * @param {number|null} samples
+     * @returns {string[]}
+     */
+    _sampleIds(ids, samples) {
+        if (samples === null || samples >= ids.length) return ids;
+
+        const pool = ids.slice();
+        for (let i = 0; i < samples; i++) {
+            const j = i + Math.floor(Math.random() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, samples);
+    }
+
+    /**
+     * _rankScores(scores, options)
+     * @internal
+     * @description
+     *   Turns a `nodeId -> score` map into a list sorted by descending
+     *   score, optionally writing every score into node metadata first
+     *   (in one transaction, so a single flush).
+     * @param {Map<string, number>} scores
+     * @param {Object} options
+     * @param {string|null} options.writeTo – metadata key, or `null`
+     * @param {number} options.limit
+     * @returns {Array<{node: Object, score: number}>}
+     */
+    _rankScores(scores, { writeTo, limit }) {
+        if (writeTo) {
+            this.transaction(() => {
+                scores.forEach((score, nodeId) => {
+                    this.updateNode(nodeId, { metadata: { [writeTo]: score } });
+                });
+            });
+        }
+
+        return Array.from(scores, ([nodeId, score]) => ({ node: this.nodes.get(nodeId), score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * searchNodes(conditions)
+     * @description
+     *   Returns all nodes for which `matchesConditions(node, conditions)`
+     *   is true. Supports filtering on `name`, `id`, and nested `metadata`.
+     *   When a secondary index covers an `eq`, `in` or range condition,
+     *   only the indexed candidates are checked (result order then follows
+     *   the index rather than insertion order).
+     * @param {Object} [conditions={}]
+     * @returns {Array<node>}
+     */
+    searchNodes(conditions = {}) {
+        const results = [];
+        const candidates = this._indexCandidates('node', conditions);
+
+        (candidates || this.nodes).forEach(node => {
+            if (this.matchesConditions(node, conditions)) {
+                results.push(node);
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * searchRelations(conditions)
+     * @description
+     *   Same as `searchNodes` but for relations, including index use.
+     * @param {Object} [conditions={}]
+     * @returns {Array<relation>}
+     */
+    searchRelations(conditions = {}) {
+        const results = [];
+        const candidates = this._indexCandidates('relation', conditions);
+
+        (candidates || this.relations).forEach(relation => {
+            if (this.matchesConditions(relation, conditions)) {
+                results.push(relation);
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * query(text, params)
+     * @description
+     *   Runs a Cypher-like query (see `query.js` for the supported subset):
+     *     MATCH (p:paper)-[r:mentions]->(c) WHERE r.confidence > $min RETURN p, c LIMIT 10
+     *   Node labels match `metadata.type`, relation labels the relation
+     *   name. WHERE comparisons use the `matchesMetadataConditions`
+     *   operators, and ones on a single variable also narrow the start
+     *   candidates (using secondary indexes where they exist).
+     * @param {string} text
+     * @param {Object} [params={}] – values for `$name` placeholders
+     * @returns {Array<Object>} one object per row, keyed by RETURN column (alias or expression text)
+     * @throws on syntax errors, unknown variables and missing parameters
+     */
+    query(text, params = {}) {
+        return executeQuery(this, parseQuery(text), params);
+    }
+
+    /**
+     * matchPattern(pattern, options)
+     * @description
+     *   Finds every occurrence of a small subgraph (motif). Variables in
+     *   `pattern.nodes` get `searchNodes` conditions; `pattern.edges`
+     *   require a relation `from -> to`, optionally with a name (or list
+     *   of names) and `where` relation conditions. An edge with `as`
+     *   also binds the matching relation (one result per relation).
+     *
+     *   Candidate sets are first pruned until every candidate has a
+     *   matching relation for each of its edges, then variables are bound
+     *   by backtracking, most-constrained first, extending from already
+     *   bound neighbors. Symmetric patterns yield each occurrence once
+     *   per symmetry (e.g. `b`/`c` swapped).
+     * @param {Object} pattern
+     * @param {Object<string, Object>} [pattern.nodes={}] – variable -> node conditions
+     * @param {Array<{from:string, to:string, name?:string|string[], where?:Object, as?:string}>} [pattern.edges=[]]
+     * @param {Object} [options={}]
+     * @param {boolean} [options.distinctNodes=true] – different variables bind different nodes
+     * @param {number} [options.limit=Infinity]
+     * @returns {Array<Object<string, node|relation>>} one binding object per match
+     * @throws on malformed edges or an `as` name clashing with a node variable
+     */
+    matchPattern(pattern, options = {}) {
+        const { nodes: nodeConditions = {}, edges = [] } = pattern;
+        const { distinctNodes = true, limit = Infinity } = options;
+
+        const variables = Array.from(new Set([
+            ...Object.keys(nodeConditions),
+            ...edges.reduce((all, edge) => all.concat([edge.from, edge.to]), [])
+        ]));
+        const specs = edges.map(edge => {
+            if (typeof edge.from !== 'string' || typeof edge.to !== 'string') {
+                throw new Error('Pattern edges need string `from` and `to` variables');
+            }
+            if (edge.as !== undefined && variables.includes(edge.as)) {
+                throw new Error(`Edge alias "${edge.as}" clashes with a node variable`);
+            }
+            return {
+                from: edge.from,
+                to: edge.to,
+                names: edge.name === undefined || edge.name === null ? null : [].concat(edge.name),
+                where: edge.where || {},
+                as: edge.as
+            };
+        });
+
+        if (variables.length === 0 || limit <= 0) return [];
+
+        const relationMatches = (spec, relation) => (
+            (!spec.names || spec.names.includes(relation.name)) && this.matchesConditions(relation, spec.where)
+        );
+        const linking = (spec, fromId, toId) => this._adjacent(fromId, { directions: ['outgoing'] })
+            .filter(({ relation, otherNodeId }) => otherNodeId === toId && relationMatches(spec, relation))
+            .map(({ relation }) => relation);
+
+        const candidates = new Map();
+        variables.forEach(variable => {
+            candidates.set(variable, new Set(this.searchNodes(nodeConditions[variable] || {}).map(node => node.id)));
+        });
+
+        // Drop candidates that lack a matching relation to some candidate at the other end of an edge
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const spec of specs) {
+                const fromSet = candidates.get(spec.from);
+                const toSet = candidates.get(spec.to);
+                const supported = (nodeId, direction) => this._adjacent(nodeId, { directions: [direction] })
+                    .some(({ relation, otherNodeId }) => (
+                        (spec.from === spec.to ? otherNodeId === nodeId : (direction === 'outgoing' ? toSet : fromSet).has(otherNodeId))
+                        && relationMatches(spec, relation)
+                    ));
+
+                for (const nodeId of Array.from(fromSet)) {
+                    if (!supported(nodeId, 'outgoing')) {
+                        fromSet.delete(nodeId);
+                        changed = true;
+                    }
+                }
+                for (const nodeId of Array.from(toSet)) {
+                    if (!supported(nodeId, 'incoming')) {
+                        toSet.delete(nodeId);
+                        changed = true;
+                    }
+                }
+            }
+            if (variables.some(variable => candidates.get(variable).size === 0)) return [];
+        }
+
+        // Most constrained first, preferring variables connected to ones already ordered
+        const order = [];
+        const remaining = new Set(variables);
+        while (remaining.size > 0) {
+            const connected = Array.from(remaining).filter(variable => specs.some(spec => (
+                (spec.from === variable && order.includes(spec.to)) || (spec.to === variable && order.includes(spec.from))
+            )));
+            const pool = connected.length > 0 ? connected : Array.from(remaining);
+            const next = pool.reduce((best, variable) => (
+                candidates.get(variable).size < candidates.get(best).size ? variable : best
+            ));
+            order.push(next);
+            remaining.delete(next);
+        }
+
+        const results = [];
+        const bound = {};
+        const relationBindings = {};
+        const usedNodes = new Set();
+        const usedRelations = new Set();
+
+        const assignEdges = (pending, i, next) => {
+            if (i === pending.length) {
+                next();
+                return;
+            }
+            const spec = pending[i];
+            const relations = linking(spec, bound[spec.from].id, bound[spec.to].id)
+                .filter(relation => !usedRelations.has(relation.id));
+            if (relations.length === 0) return;
+
+            if (spec.as === undefined) {
+                assignEdges(pending, i + 1, next);
+                return;
+            }
+            for (const relation of relations) {
+                if (results.length >= limit) return;
+                relationBindings[spec.as] = relation;
+                usedRelations.add(relation.id);
+                assignEdges(pending, i + 1, next);
+                usedRelations.delete(relation.id);
+                delete relationBindings[spec.as];
+            }
+        };
+
+        const extend = depth => {
+            if (results.length >= limit) return;
+            if (depth === order.length) {
+                results.push({ ...bound, ...relationBindings });
+                return;
+            }
+
+            const variable = order[depth];
+            const allowed = candidates.get(variable);
+            let pool = allowed;
+            const anchor = specs.find(spec => (
+                (spec.from === variable && spec.to !== variable && bound[spec.to])
+                || (spec.to === variable && spec.from !== variable && bound[spec.from])
+            ));
+            if (anchor) {
+                const fromBound = anchor.to === variable;
+                const anchorId = bound[fromBound ? anchor.from : anchor.to].id;
+                pool = new Set(this._adjacent(anchorId, { directions: [fromBound ? 'outgoing' : 'incoming'] })
+                    .map(({ otherNodeId }) => otherNodeId)
+                    .filter(nodeId => allowed.has(nodeId)));
+            }
+
+            for (const nodeId of pool) {
+                if (results.length >= limit) return;
+                if (distinctNodes && usedNodes.has(nodeId)) continue;
+
+                bound[variable] = this.nodes.get(nodeId);
+                usedNodes.add(nodeId);
+                const pending = specs.filter(spec => (
+                    (spec.from === variable || spec.to === variable) && bound[spec.from] && bound[spec.to]
+                ));
+                assignEdges(pending, 0, () => extend(depth + 1));
+                usedNodes.delete(nodeId);
+                delete bound[variable];
+            }
+        };
+
+        extend(0);
+        return results;
+    }
+
+    /**
+     * V(start)
+     * @description
+     *   Starts a lazy, chainable traversal from nodes (see `traversal.js`):
+     *     db.V({ metadata: { type: 'paper' } }).out('mentions').dedup().limit(20).toArray()
+     * @param {string|string[]|Object} [start] – a node ID, an array of IDs,
+     *   or `searchNodes` conditions; all nodes when omitted
+     * @returns {Traversal}
+     */
+    V(start) {
+        return new Traversal(this, db => this._traversalSource(db.nodes, start, conditions => db.searchNodes(conditions)));
+    }
+
+    /**
+     * E(start)
+     * @description
+     *   Starts a traversal from relations, like `V()`.
+     * @param {string|string[]|Object} [start] – a relation ID, an array of IDs,
+     *   or `searchRelations` conditions; all relations when omitted
+     * @returns {Traversal}
+     */
+    E(start) {
+        return new Traversal(this, db => this._traversalSource(db.relations, start, conditions => db.searchRelations(conditions)));
+    }
+
+    /**
+     * _traversalSource(entities, start, search)
+     * @internal
+     * @description
+     *   Resolves the `start` argument of `V()` / `E()` when the traversal runs.
+     * @returns {Iterable<Object>}
+     */
+    _traversalSource(entities, start, search) {
+        if (start === undefined || start === null) return entities.values();
+        if (typeof start === 'string') start = [start];
+        if (Array.isArray(start)) return start.map(id => entities.get(id)).filter(Boolean);
+        return search(start);
+    }
+
+    /**
+     * searchNodesByCosineSimilarity(queryEmbedding, options)
+     * @description
+     *   Finds nodes with embeddings similar to the query embedding using cosine similarity
+     *   or another `metric`. Uses the vector index on `embeddingKey` (see `createVectorIndex`)
+     *   when one exists for the same metric, otherwise compares against every node.
+     * @param {number[]} queryEmbedding - The query embedding vector
+     * @param {Object} [options={}]
+     * @param {string} [options.embeddingKey='embedding'] - Key in metadata where embedding is stored
+     * @param {'cosine'|'dot'|'euclidean'|'manhattan'|function} [options.metric='cosine'] - Scoring metric
+     * @param {'similarity'|'distance'} [options.metricType='similarity'] - Direction of a custom `metric` function
+     * @param {number} [options.threshold] - Minimum similarity, or maximum distance for distance metrics
+     *   (default: 0.5 for cosine, no cutoff otherwise)
+     * @param {number} [options.limit=10] - Maximum number of results to return
+     * @param {boolean} [options.exact=false] - Skip the vector index and compare against every node
+     * @param {number} [options.efSearch] - Beam width for the vector index (defaults to the index's `efSearch`)
+     * @returns {Array<{node: Object, similarity?: number, distance?: number}>} - Closest first; `distance`
+     *   for distance metrics, `similarity` otherwise
+     */
+    searchNodesByCosineSimilarity(queryEmbedding, options = {}) {
+        return this._similaritySearch('node', queryEmbedding, options);
+    }
+
+    /**
+     * searchRelationsByCosineSimilarity(queryEmbedding, options)
+     * @description
+     *   Same as `searchNodesByCosineSimilarity` but for relations.
+     * @param {number[]} queryEmbedding - The query embedding vector
+     * @param {Object} [options={}] - See `searchNodesByCosineSimilarity`
+     * @returns {Array<{relation: Object, similarity?: number, distance?: number}>}
+     */
+    searchRelationsByCosineSimilarity(queryEmbedding, options = {}) {
+        return this._similaritySearch('relation', queryEmbedding, options);
+    }
+
+    /**
+     * _similaritySearch(type, queryEmbedding, options)
+     * @internal
+     * @description
+     *   Shared implementation of the node/relation similarity searches.
+     * @param {'node'|'relation'} type
+     * @param {number[]} queryEmbedding
+     * @param {Object} options
+     * @returns {Array<Object>}
+     */
+    _similaritySearch(type, queryEmbedding, options) {
+        const {
+            embeddingKey = 'embedding',
+            metric: metricOption = 'cosine',
+            metricType,
+            limit = 10,
+            exact = false,
+            efSearch
+        } = options;
+        const metric = resolveMetric(metricOption, metricType);
+        const threshold = options.threshold !== undefined ? options.threshold : metric.defaultThreshold;
+        const scoreKey = metric.isDistance ? 'distance' : 'similarity';
+
+        if (!isVector(queryEmbedding) || queryEmbedding.length === 0) {
+            throw new Error('Query embedding must be a non-empty array');
+        }
+
+        const results = [];
+        const candidates = exact ? null : this._vectorCandidates(type, queryEmbedding, embeddingKey, metric, limit, efSearch);
+
+        (candidates || (type === 'node' ? this.nodes : this.relations)).forEach(entity => {
+            const embedding = entity.metadata[embeddingKey];
+            if (isVector(embedding)) {
+                const score = this._vectorScore(metric, queryEmbedding, embedding);
+                if (metric.passes(score, threshold)) {
+                    results.push({ [type]: entity, [scoreKey]: score });
+                }
+            }
+        });
+
+        // Sort closest first and apply limit
+        return results
+            .sort((a, b) => metric.compare(a[scoreKey], b[scoreKey]))
+            .slice(0, limit);
+    }
+
+    /**
+     * _vectorScore(metric, vecA, vecB)
+     * @internal
+     * @description
+     *   Scores two vectors with a resolved metric, applying the same checks
+     *   as `cosineSimilarity`.
+     * @param {Object} metric - result of `resolveMetric`
+     * @param {number[]} vecA
+     * @param {number[]} vecB
+     * @returns {number}
+     */
+    _vectorScore(metric, vecA, vecB) {
+        if (metric.name === 'cosine') {
+            return this.cosineSimilarity(vecA, vecB);
+        }
+        if (!isVector(vecA) || !isVector(vecB)) {
+            throw new Error('Both vectors must be arrays');
+        }
+        if (vecA.length !== vecB.length) {
+            throw new Error('Vectors must have the same length');
+        }
+        return metric.fn(vecA, vecB);
+    }
+
+    /**
+     * _matchesSimilarityCondition(value, condition)
+     * @internal
+     * @description
+     *   Evaluates a `cosineSimilarity`-style condition
+     *   (`{ queryEmbedding, threshold?, metric?, metricType? }`) against one
+     *   embedding. Non-vector values never match.
+     * @param {any} value
+     * @param {Object} condition
+     * @returns {boolean}
+     */
+    _matchesSimilarityCondition(value, condition) {
+        const { queryEmbedding, metric: metricOption = 'cosine', metricType } = condition;
+        if (!isVector(value) || !isVector(queryEmbedding)) {
+            return false;
+        }
+
+        const metric = resolveMetric(metricOption, metricType);
+        const threshold = condition.threshold !== undefined ? condition.threshold : metric.defaultThreshold;
+        return metric.passes(this._vectorScore(metric, queryEmbedding, value), threshold);
+    }
+
+    /**
+     * cosineSimilarity(vecA, vecB)
+     * @description
+     *   Calculates cosine similarity between two vectors.
+     *   Returns a value between -1 and 1, where 1 means identical direction.
+     * @param {number[]} vecA - First vector
+     * @param {number[]} vecB - Second vector
+     * @returns {number} - Cosine similarity score
+     */
+    cosineSimilarity(vecA, vecB) {
+        if (!isVector(vecA) || !isVector(vecB)) {
+            throw new Error('Both vectors must be arrays');
+        }
+
+        if (vecA.length !== vecB.length) {
+            throw new Error('Vectors must have the same length');
+        }
+
+        if (vecA.length === 0) {
+            return 0;
+        }
+
+        let dotProduct = 0;
+        let magnitudeA = 0;
+        let magnitudeB = 0;
+
+        for (let i = 0; i < vecA.length; i++) {
+            dotProduct += vecA[i] * vecB[i];
+            magnitudeA += vecA[i] * vecA[i];
+            magnitudeB += vecB[i] * vecB[i];
+        }
+
+        magnitudeA = Math.sqrt(magnitudeA);
+        magnitudeB = Math.sqrt(magnitudeB);
+
+        if (magnitudeA === 0 || magnitudeB === 0) {
+            return 0;
+        }
+
+        return dotProduct / (magnitudeA * magnitudeB);
+    }
+
+    /**
+     * searchAndTraverse(queryEmbedding, options)
+     * @description
+     *   GraphRAG-ready method that finds entities by cosine similarity (or another `metric`)
+     *   and other filters, then traverses from each match for specified hops in a hierarchical structure.
+     * @param {number[]} queryEmbedding - The query embedding vector
+     * @param {Object} [options={}]
+     * @param {string} [options.embeddingKey='embedding'] - Key in metadata where embedding is stored
+     * @param {'cosine'|'dot'|'euclidean'|'manhattan'|function} [options.metric='cosine'] - Scoring metric
+     * @param {'similarity'|'distance'} [options.metricType='similarity'] - Direction of a custom `metric` function
+     * @param {number} [options.threshold] - Minimum similarity / maximum distance (default: 0.5 for cosine)
+     * @param {number} [options.limit=10] - Maximum number of initial matches
+     * @param {number} [options.hops=3] - Number of hops to traverse from each initial match
+     * @param {Object} [options.nodeFilters={}] - Additional filters for nodes
+     * @param {Object} [options.relationFilters={}] - Additional filters for relations
+     * @param {boolean} [options.searchNodes=true] - Whether to search nodes
+     * @param {boolean} [options.searchRelations=true] - Whether to search relations
+     * @param {string[]} [options.directions=['outgoing','incoming']] - Traversal directions
+     * @param {boolean} [options.endOnNode=false] - Whether to ensure traversal always ends on a node
+     * @param {boolean} [options.exact=false] - Skip vector indexes for the initial similarity search
+     * @param {number} [options.efSearch] - Beam width for vector indexes
+     * @returns {Array<{type: string, entity: Object, similarity?: number, distance?: number, outgoingRelations?: Array, incomingRelations?: Array, fromNode?: Object, toNode?: Object}>}
+     */
+    searchAndTraverse(queryEmbedding, options = {}) {
+        const {
+            embeddingKey = 'embedding',
+            metric: metricOption = 'cosine',
+            metricType,
+            threshold,
+            limit = 10,
+            hops = 3,
+            nodeFilters = {},
+            relationFilters = {},
+            searchNodes = true,
+            searchRelations = true,
+            directions = ['outgoing', 'incoming'],
+            endOnNode = false,
+            exact = false,
+            efSearch
+        } = options;
+
+        if (!isVector(queryEmbedding) || queryEmbedding.length === 0) {
+            throw new Error('Query embedding must be a non-empty array');
+        }
+
+        const metric = resolveMetric(metricOption, metricType);
+        const scoreKey = metric.isDistance ? 'distance' : 'similarity';
+        const results = [];
+        const initialMatches = [];
+
+        // Find initial node matches
+        if (searchNodes) {
+            const nodeMatches = this.searchNodesByCosineSimilarity(queryEmbedding, {
+                embeddingKey,
+                metric: metricOption,
+                metricType,
+                threshold,
+                limit: Math.ceil(limit / (searchRelations ? 2 : 1)),
+                exact,
+                efSearch
+            });
+
+            // Apply additional node filters
+            const filteredNodeMatches = nodeMatches.filter(match =>
+                this.matchesConditions(match.node, nodeFilters)
+            );
+
+            initialMatches.push(...filteredNodeMatches.map(match => ({
+                type: 'node',
+                entity: match.node,
+                score: match[scoreKey]
+            })));
+        }
+
+        // Find initial relation matches
+        if (searchRelations) {
+            const relationMatches = this.searchRelationsByCosineSimilarity(queryEmbedding, {
+                embeddingKey,
+                metric: metricOption,
+                metricType,
+                threshold,
+                limit: Math.ceil(limit / (searchNodes ? 2 : 1)),
+                exact,
+                efSearch
+            });
+
+            // Apply additional relation filters
+            const filteredRelationMatches = relationMatches.filter(match =>
+                this.matchesConditions(match.relation, relationFilters)
+            );
+
+            initialMatches.push(...filteredRelationMatches.map(match => ({
+                type: 'relation',
+                entity: match.relation,
+                score: match[scoreKey]
+            })));
+        }
+
+        // Sort closest first and take top results
+        initialMatches.sort((a, b) => metric.compare(a.score, b.score));
+        const topMatches = initialMatches.slice(0, limit);
+
+        // Build hierarchical structure from each initial match
+        for (const initialMatch of topMatches) {
+            const hierarchicalResult = this._buildHierarchicalStructure(
+                initialMatch.type,
+                initialMatch.entity,
+                hops,
+                directions,
+                endOnNode,
+                { [scoreKey]: initialMatch.score }
+            );
+
+            if (hierarchicalResult) {
+                results.push(hierarchicalResult);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * _buildHierarchicalStructure(entityType, entity, maxHops, directions, endOnNode, rootScore)
+     * @internal
+     * @description
+     *   Helper method to build hierarchical structure from either a node or relation.
+     * @param {'node'|'relation'} entityType
+     * @param {Object} entity
+     * @param {number} maxHops
+     * @param {string[]} directions
+     * @param {boolean} endOnNode
+     * @param {Object} [rootScore={}] - Score fields for the root entity, e.g. `{ similarity: 0.93 }`
+     * @returns {Object} Hierarchical structure
+     */
+    _buildHierarchicalStructure(entityType, entity, maxHops, directions, endOnNode, rootScore = {}) {
+        const visited = new Set();
+
+        const buildNode = (nodeEntity, depth) => {
+            if (depth > maxHops || visited.has(`node:${nodeEntity.id}`)) {
+                return {
+                    type: 'node',
+                    entity: nodeEntity,
+                    ...(depth === 0 ? rootScore : {}),
+                    outgoingRelations: [],
+                    incomingRelations: []
+                };
+            }
+
+            visited.add(`node:${nodeEntity.id}`);
+
+            const nodeResult = {
+                type: 'node',
+                entity: nodeEntity,
+                ...(depth === 0 ? rootScore : {}),
+                outgoingRelations: [],
+                incomingRelations: []
+            };
+
+            // Don't traverse further if we're at max hops
+            if (depth >= maxHops) {
+                return nodeResult;
+            }
+
+            // Get connected relations
+            const relationIds = this.nodeRelations.get(nodeEntity.id) || new Set();
+            for (const relationId of relationIds) {
+                const relation = this.relations.get(relationId);
+                if (!relation || visited.has(`relation:${relationId}`)) continue;
+
+                // Check direction; undirected relations are listed as outgoing unless only incoming is asked for
+                const oriented = this._orient(relation, nodeEntity.id, directions);
+                if (!oriented) continue;
+
+                const relationStructure = buildRelation(relation, depth + 1, nodeEntity.id);
+                if (relationStructure) {
+                    if (oriented.direction === 'outgoing' || (oriented.direction === 'both' && directions.includes('outgoing'))) {
+                        nodeResult.outgoingRelations.push(relationStructure);
+                    } else {
+                        nodeResult.incomingRelations.push(relationStructure);
+                    }
+                }
+            }
+
+            return nodeResult;
+        };
+
+        const buildRelation = (relationEntity, depth, fromNodeId) => {
+            if (depth > maxHops || visited.has(`relation:${relationEntity.id}`)) {
+                return {
+                    type: 'relation',
+                    entity: relationEntity,
+                    ...(depth === 0 ? rootScore : {}),
+                    fromNode: null,
+                    toNode: null
+                };
+            }
+
+            visited.add(`relation:${relationEntity.id}`);
+
+            const relationResult = {
+                type: 'relation',
+                entity: relationEntity,
+                ...(depth === 0 ? rootScore : {}),
+                fromNode: null,
+                toNode: null
+            };
+
+            // If we're at max hops and endOnNode is false, don't traverse to nodes
+            if (depth >= maxHops && !endOnNode) {
+                return relationResult;
+            }
+
+            // Build connected nodes
+            const fromNode = this.nodes.get(relationEntity.fromNodeId);
+            const toNode = this.nodes.get(relationEntity.toNodeId);
+
+            if (fromNode) {
+                relationResult.fromNode = buildNode(fromNode, depth + 1);
+            }
+
+            if (toNode) {
+                relationResult.toNode = buildNode(toNode, depth + 1);
+            }
+
+            return relationResult;
+        };
+
+        if (entityType === 'node') {
+            return buildNode(entity, 0);
+        } else if (entityType === 'relation') {
+            return buildRelation(entity, 0);
+        }
+
+        return null;
+    }
+
+    /**
+     * matchesConditions(entity, conditions)
+     * @internal
+     * @description
+     *   Generic predicate that checks each `conditions` key:
+     *     - `metadata`: calls `matchesMetadataConditions`
+     *     - `name`: exact, RegExp, or "contains" filter
+     *     - `id`, `fromNodeId`, `toNodeId`: strict equal
+     *     - `cosineSimilarity`: `{ queryEmbedding, embeddingKey, threshold, metric }`
+     *       similarity (or distance) check against an embedding
+     * @param {Object} entity
+     * @param {Object} conditions
+     * @returns {boolean}
+     */
+    matchesConditions(entity, conditions) {
+        for (const [key, value] of Object.entries(conditions)) {
+            if (key === 'metadata') {
+                if (!this.matchesMetadataConditions(entity.metadata, value)) {
+                    return false;
+                }
+            } else if (key === 'cosineSimilarity') {
+                // Handle similarity condition (cosine unless `metric` says otherwise)
+                const { embeddingKey = 'embedding' } = value;
+                if (!this._matchesSimilarityCondition(entity.metadata[embeddingKey], value)) {
+                    return false;
+                }
+            } else if (key === 'name') {
+                if (typeof value === 'string') {
+                    if (entity.name !== value) return false;
+                } else if (value instanceof RegExp) {
+                    if (!value.test(entity.name)) return false;
+                } else if (typeof value === 'object' && value.contains) {
+                    if (!entity.name.toLowerCase().includes(value.contains.toLowerCase())) return false;
+                }
+            } else if (key === 'id') {
+                if (entity.id !== value) return false;
+            } else if (key === 'fromNodeId' || key === 'toNodeId') {
+                if (entity[key] !== value) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * matchesMetadataConditions(metadata, conditions)
+     * @internal
+     * @description
+     *   For each key in `conditions`, applies operators:
+     *     `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `contains`, `in`, etc.
+     *     Also supports `cosineSimilarity` (`{ queryEmbedding, threshold, metric }`)
+     *     for vector comparisons.
      * @param {Object} metadata
      * @param {Object} conditions
-     * @returns {boolean}
+     * @returns {boolean}
+     */
+    matchesMetadataConditions(metadata, conditions) {
+        for (const [key, condition] of Object.entries(conditions)) {
+            const value = metadata[key];
+
+            if (typeof condition === 'object' && condition !== null) {
+                // A missing key never satisfies a range operator, as sorted
+                // indexes do not hold entities without the key
+                const comparable = value !== undefined;
+
+                if (condition.eq !== undefined && value !== condition.eq) return false;
+                if (condition.ne !== undefined && value === condition.ne) return false;
+                if (condition.gt !== undefined && (!comparable || value <= condition.gt)) return false;
+                if (condition.gte !== undefined && (!comparable || value < condition.gte)) return false;
+                if (condition.lt !== undefined && (!comparable || value >= condition.lt)) return false;
+                if (condition.lte !== undefined && (!comparable || value > condition.lte)) return false;
+                if (condition.contains !== undefined && !String(value).toLowerCase().includes(String(condition.contains).toLowerCase())) return false;
+                if (condition.startsWith !== undefined && !String(value).startsWith(String(condition.startsWith))) return false;
+                if (condition.endsWith !== undefined && !String(value).endsWith(String(condition.endsWith))) return false;
+                if (condition.in !== undefined && !condition.in.includes(value)) return false;
+
+                // Handle similarity in metadata conditions
+                if (condition.cosineSimilarity !== undefined
+                    && !this._matchesSimilarityCondition(value, condition.cosineSimilarity)) {
+                    return false;
+                }
+            } else {
+                if (value !== condition) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * updateNode(nodeId, updates)
+     * @description
+     *   Applies `updates.name` and/or shallow-merges `updates.metadata`
+     *   into an existing node, then persists.
+     * @param {string} nodeId
+     * @param {{name?:string,metadata?:Object}} updates
+     * @returns {node}
+     * @throws if node not found
+     * @throws {ValidationError} if the result violates its schema, or a
+     *   changed `metadata.type` breaks a relation schema's endpoint types
+     */
+    updateNode(nodeId, updates) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            throw new Error(`Node with id ${nodeId} not found`);
+        }
+        ({ updates } = this._runBeforeHooks('updateNode', { id: nodeId, node, updates }));
+
+        const updated = this._applyUpdates(node, updates);
+        this._assertValid('node', updated);
+        // A changed `metadata.type` may break endpoint restrictions of attached relations
+        const withUpdate = id => (id === nodeId ? updated : this.nodes.get(id));
+        this._assertValid('relation', Array.from(this.nodeRelations.get(nodeId) || [], id => this.relations.get(id)), withUpdate);
+        this._assertUnique('node', updated);
+
+        const before = this._copyEntity(node);
+        this._beforeChange('node', nodeId);
+        node.name = updated.name;
+        node.metadata = updated.metadata;
+
+        this._afterChange('put', 'node', node);
+        this.flushToDisk();
+        this._emitChange('nodeUpdated', { before, after: node });
+        return node;
+    }
+
+    /**
+     * updateRelation(relationId, updates)
+     * @description
+     *   Similar to `updateNode` but for an edge.
+     * @param {string} relationId
+     * @param {{name?:string,metadata?:Object}} updates
+     * @returns {relation}
+     * @throws if relation not found
+     * @throws {ValidationError} if the result violates its schema
+     */
+    updateRelation(relationId, updates) {
+        const relation = this.relations.get(relationId);
+        if (!relation) {
+            throw new Error(`Relation with id ${relationId} not found`);
+        }
+        ({ updates } = this._runBeforeHooks('updateRelation', { id: relationId, relation, updates }));
+
+        const updated = this._applyUpdates(relation, updates);
+        this._assertValid('relation', updated);
+        this._assertUnique('relation', updated);
+
+        const before = this._copyEntity(relation);
+        this._beforeChange('relation', relationId);
+        relation.name = updated.name;
+        relation.metadata = updated.metadata;
+
+        this._afterChange('put', 'relation', relation);
+        this.flushToDisk();
+        this._emitChange('relationUpdated', { before, after: relation });
+        return relation;
+    }
+
+    /**
+     * updateBySearch(entityType, searchConditions, updates)
+     * @description
+     *   Bulk‐updates all nodes or relations matching `searchConditions`
+     *   inside a single transaction (one flush, all-or-nothing).
+     *   Returns an array of updated entities.
+     * @param {'node'|'relation'} entityType
+     * @param {Object} searchConditions
+     * @param {Object} updates
+     * @returns {Array<node|relation>}
+     * @throws {ValidationError} if any updated entity violates its schema (nothing is changed)
+     */
+    updateBySearch(entityType, searchConditions, updates) {
+        return this.transaction(() => {
+            const results = [];
+
+            if (entityType === 'node') {
+                const nodes = this.searchNodes(searchConditions);
+                nodes.forEach(node => {
+                    results.push(this.updateNode(node.id, updates));
+                });
+            } else if (entityType === 'relation') {
+                const relations = this.searchRelations(searchConditions);
+                relations.forEach(relation => {
+                    results.push(this.updateRelation(relation.id, updates));
+                });
+            }
+
+            return results;
+        });
+    }
+
+    /**
+     * deleteNode(nodeId)
+     * @description
+     *   Removes a node and all its attached relations:
+     *     1. Deletes relations from `relations` map
+     *     2. Cleans up other nodes' `nodeRelations` sets
+     *     3. Deletes node entry
+     *     4. Persists changes
+     * @param {string} nodeId
+     * @returns {node} the removed node
+     * @throws if node not found
+     */
+    deleteNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            throw new Error(`Node with id ${nodeId} not found`);
+        }
+        this._runBeforeHooks('deleteNode', { id: nodeId, node });
+
+        // Delete all relations connected to this node
+        const relationIds = this.nodeRelations.get(nodeId) || new Set();
+        const removedRelations = [];
+        relationIds.forEach(relationId => {
+            removedRelations.push(this.relations.get(relationId));
+            this._beforeChange('relation', relationId);
+            this.relations.delete(relationId);
+            this._afterChange('delete', 'relation', relationId);
+        });
+
+        // Remove from other nodes' relation sets
+        this.nodeRelations.forEach((relations, otherNodeId) => {
+            if (otherNodeId !== nodeId) {
+                relationIds.forEach(relationId => {
+                    relations.delete(relationId);
+                });
+            }
+        });
+
+        // Delete the node and its relations
+        this._beforeChange('node', nodeId);
+        this.nodes.delete(nodeId);
+        this.nodeRelations.delete(nodeId);
+        this._afterChange('delete', 'node', nodeId);
+
+        this.flushToDisk();
+        removedRelations.forEach(relation => {
+            if (relation) this._emitChange('relationDeleted', { relation });
+        });
+        this._emitChange('nodeDeleted', { node });
+        return node;
+    }
+
+    /**
+     * deleteRelation(relationId)
+     * @description
+     *   Removes an edge, updates its two endpoints' `nodeRelations`,
+     *   and persists.
+     * @param {string} relationId
+     * @returns {relation} the removed relation
+     * @throws if relation not found
+     */
+    deleteRelation(relationId) {
+        const relation = this.relations.get(relationId);
+        if (!relation) {
+            throw new Error(`Relation with id ${relationId} not found`);
+        }
+        this._runBeforeHooks('deleteRelation', { id: relationId, relation });
+
+        // Remove from node-relations index
+        this.nodeRelations.get(relation.fromNodeId)?.delete(relationId);
+        this.nodeRelations.get(relation.toNodeId)?.delete(relationId);
+
+        // Delete the relation
+        this._beforeChange('relation', relationId);
+        this.relations.delete(relationId);
+        this._afterChange('delete', 'relation', relationId);
+
+        this.flushToDisk();
+        this._emitChange('relationDeleted', { relation });
+        return relation;
+    }
+
+    /**
+     * deleteBySearch(entityType, searchConditions)
+     * @description
+     *   Deletes all nodes or relations matching the search criteria
+     *   inside a single transaction (one flush, all-or-nothing).
+     *   Returns an array of removed entities.
+     * @param {'node'|'relation'} entityType
+     * @param {Object} searchConditions
+     * @returns {Array<node|relation>}
+     */
+    deleteBySearch(entityType, searchConditions) {
+        return this.transaction(() => {
+            const results = [];
+
+            if (entityType === 'node') {
+                const nodes = this.searchNodes(searchConditions);
+                nodes.forEach(node => {
+                    results.push(this.deleteNode(node.id));
+                });
+            } else if (entityType === 'relation') {
+                const relations = this.searchRelations(searchConditions);
+                relations.forEach(relation => {
+                    results.push(this.deleteRelation(relation.id));
+                });
+            }
+
+            return results;
+        });
+    }
+
+    /**
+     * transaction(fn)
+     * @description
+     *   Runs `fn(tx)` as one atomic unit. `tx` is this database; every
+     *   mutation made through it is staged in memory and flushed to disk
+     *   once, after `fn` returns. If `fn` throws, all staged changes to
+     *   `nodes`, `relations` and `nodeRelations` are undone (entity objects
+     *   keep their identity) and the error is rethrown; nothing is written.
+     *   Nested calls join the outermost transaction. `fn` must be
+     *   synchronous. Change events are held back until commit and
+     *   dropped on rollback.
+     * @param {function(TinyGraphDB): any} fn
+     * @returns {any} whatever `fn` returns
+     * @throws whatever `fn` throws, after rolling back
+     */
+    transaction(fn) {
+        if (this._transaction) {
+            return fn(this);
+        }
+
+        const tx = {
+            nodes: new Map(), // nodeId -> { entity, snapshot, revisions } as before the transaction
+            relations: new Map(), // relationId -> { entity, snapshot, revisions }
+            logLength: this._pendingLog.length,
+            flushRequested: false,
+            events: [] // [event, payload] emitted on commit
+        };
+        this._transaction = tx;
+
+        let result;
+        try {
+            result = fn(this);
+            if (result && typeof result.then === 'function') {
+                throw new Error('Transaction callback must be synchronous');
+            }
+        } catch (error) {
+            this._rollbackTransaction(tx);
+            throw error;
+        } finally {
+            this._transaction = null;
+        }
+
+        if (tx.flushRequested || tx.nodes.size > 0 || tx.relations.size > 0) {
+            this.flushToDisk();
+        }
+        tx.events.forEach(([event, payload]) => this.emit(event, payload));
+        return result;
+    }
+
+    /**
+     * _rollbackTransaction(tx)
+     * @internal
+     * @description
+     *   Restores every entity touched in `tx` to its recorded state,
+     *   patches the affected `nodeRelations` sets, secondary and vector
+     *   indexes and revision history, and drops journal
+     *   records queued by the transaction.
+     * @param {Object} tx
+     * @returns {void}
+     */
+    _rollbackTransaction(tx) {
+        tx.nodes.forEach(({ entity, snapshot, revisions }, nodeId) => {
+            this._removeFromIndexes('node', nodeId);
+            this._restoreRevisions('node', nodeId, revisions);
+
+            if (snapshot) {
+                Object.assign(entity, snapshot);
+                this.nodes.set(nodeId, entity);
+                this._addToIndexes('node', entity);
+                if (!this.nodeRelations.has(nodeId)) {
+                    this.nodeRelations.set(nodeId, new Set());
+                }
+            } else {
+                this.nodes.delete(nodeId);
+                this.nodeRelations.delete(nodeId);
+            }
+            this._syncVectorIndexes('node', nodeId);
+        });
+
+        tx.relations.forEach(({ entity, snapshot, revisions }, relationId) => {
+            this._removeFromIndexes('relation', relationId);
+            this._restoreRevisions('relation', relationId, revisions);
+
+            const current = this.relations.get(relationId);
+            if (current) {
+                this.nodeRelations.get(current.fromNodeId)?.delete(relationId);
+                this.nodeRelations.get(current.toNodeId)?.delete(relationId);
+            }
+
+            if (snapshot) {
+                Object.assign(entity, snapshot);
+                this.relations.set(relationId, entity);
+                this._addToIndexes('relation', entity);
+                this.nodeRelations.get(entity.fromNodeId).add(relationId);
+                this.nodeRelations.get(entity.toNodeId).add(relationId);
+            } else {
+                this.relations.delete(relationId);
+            }
+            this._syncVectorIndexes('relation', relationId);
+        });
+
+        this._pendingLog.length = tx.logLength;
+    }
+
+    /**
+     * _assertNoTransaction(method)
+     * @internal
+     * @description
+     *   Guards operations that replace or persist the whole graph and so
+     *   cannot be staged or rolled back.
+     * @param {string} method
+     * @returns {void}
+     * @throws if a transaction is running
+     */
+    _assertNoTransaction(method) {
+        if (this._transaction) {
+            throw new Error(`${method}() cannot be called inside a transaction`);
+        }
+    }
+
+    /**
+     * before(operation, hook)
+     * @description
+     *   Registers a hook that runs before a write, in registration order:
+     *     - `addNode`: `{ name, metadata }`
+     *     - `addRelation`: `{ name, fromNodeId, toNodeId, metadata, directed }`
+     *     - `updateNode` / `updateRelation`: `{ id, node|relation, updates }`
+     *     - `deleteNode` / `deleteRelation`: `{ id, node|relation }`
+     *   Returning `false` vetoes the write (the operation throws), returning
+     *   an object replaces the payload fields it holds (transform), anything
+     *   else leaves it as is. Bulk operations (`updateBySearch`, `deleteBySearch`) run the
+     *   hooks per entity, so a veto rolls the whole batch back. Relations
+     *   removed along with a node only run the `deleteNode` hook.
+     * @param {string} operation
+     * @param {function(Object): Object|boolean|void} hook
+     * @returns {function(): void} removes the hook
+     * @throws on an unknown operation
+     */
+    before(operation, hook) {
+        if (!HOOK_OPERATIONS.includes(operation)) {
+            throw new Error(`Unknown hook operation: ${operation}. Expected one of ${HOOK_OPERATIONS.join(', ')}`);
+        }
+        if (typeof hook !== 'function') {
+            throw new Error('Hook must be a function');
+        }
+
+        if (!this._hooks.has(operation)) {
+            this._hooks.set(operation, []);
+        }
+        this._hooks.get(operation).push(hook);
+
+        return () => {
+            const hooks = this._hooks.get(operation) || [];
+            const index = hooks.indexOf(hook);
+            if (index !== -1) hooks.splice(index, 1);
+        };
+    }
+
+    /**
+     * _runBeforeHooks(operation, payload)
+     * @internal
+     * @description
+     *   Passes `payload` through the hooks registered for `operation`.
+     * @param {string} operation
+     * @param {Object} payload
+     * @returns {Object} the payload with the fields hooks returned
+     * @throws if a hook vetoes
+     */
+    _runBeforeHooks(operation, payload) {
+        const hooks = this._hooks.get(operation);
+        if (!hooks || hooks.length === 0) return payload;
+
+        let current = payload;
+        for (const hook of hooks.slice()) {
+            const result = hook(current);
+            if (result === false) {
+                throw new Error(`${operation} was vetoed by a before hook`);
+            }
+            if (typeof result === 'object' && result !== null) {
+                // Fields the hook leaves out keep their current value
+                current = { ...current, ...result };
+            }
+        }
+        return current;
+    }
+
+    /**
+     * _emitChange(event, payload)
+     * @internal
+     * @description
+     *   Emits a change event once the change is persisted, or queues it
+     *   until the running transaction commits. Payloads:
+     *     - `nodeAdded` / `nodeDeleted`: `{ node }`
+     *     - `relationAdded` / `relationDeleted`: `{ relation }`
+     *     - `nodeUpdated` / `relationUpdated`: `{ before, after }`, where
+     *       `before` is a copy and `after` the live entity
+     * @param {string} event
+     * @param {Object} payload
+     * @returns {void}
+     */
+    _emitChange(event, payload) {
+        if (this._transaction) {
+            this._transaction.events.push([event, payload]);
+        } else {
+            this.emit(event, payload);
+        }
+    }
+
+    /**
+     * _copyEntity(entity)
+     * @internal
+     * @returns {Object} a copy of `entity` with its own `metadata` object
+     */
+    _copyEntity(entity) {
+        return { ...entity, metadata: { ...entity.metadata } };
+    }
+
+    /**
+     * createIndex(entityType, key, options)
+     * @description
+     *   Creates a secondary index on `metadata[key]` for nodes or relations
+     *   and fills it from the current graph. The index is maintained on
+     *   every add/update/delete, its definition is persisted with the
+     *   snapshot, and its contents are rebuilt on load. `searchNodes` /
+     *   `searchRelations` use it automatically:
+     *     • `hash`: plain values, `eq`, `in`
+     *     • `sorted`: the above plus `gt`, `gte`, `lt`, `lte`
+     * @param {'node'|'relation'} entityType
+     * @param {string} key – metadata key
+     * @param {Object} [options={}]
+     * @param {'hash'|'sorted'} [options.type='hash']
+     * @returns {{entityType:string,key:string,type:string}} the index definition
+     * @throws on an unknown entity/index type or if the index already exists
+     */
+    createIndex(entityType, key, options = {}) {
+        const { type = 'hash' } = options;
+        const indexes = this._indexesFor(entityType);
+
+        if (typeof key !== 'string' || key === '') {
+            throw new Error('Index key must be a non-empty string');
+        }
+        if (indexes.has(key)) {
+            throw new Error(`Index on ${entityType} metadata key '${key}' already exists`);
+        }
+
+        const index = this._createIndexInstance(key, type);
+        index.load(entityType === 'node' ? this.nodes : this.relations);
+        indexes.set(key, index);
+
+        this._persistDefinitions();
+        return { entityType, key, type };
+    }
+
+    /**
+     * dropIndex(entityType, key)
+     * @description
+     *   Removes a secondary index and persists the change.
+     * @param {'node'|'relation'} entityType
+     * @param {string} key
+     * @returns {boolean} whether an index was removed
+     */
+    dropIndex(entityType, key) {
+        const removed = this._indexesFor(entityType).delete(key);
+        if (removed) {
+            this._persistDefinitions();
+        }
+        return removed;
+    }
+
+    /**
+     * listIndexes()
+     * @description
+     *   Returns the definitions of all secondary indexes.
+     * @returns {Array<{entityType:string,key:string,type:string}>}
+     */
+    listIndexes() {
+        const result = [];
+        ['node', 'relation'].forEach(entityType => {
+            this.indexes[entityType].forEach((index, key) => {
+                result.push({ entityType, key, type: index.type });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * _indexesFor(entityType)
+     * @internal
+     * @param {'node'|'relation'} entityType
+     * @returns {Map<string, HashIndex|SortedIndex>}
+     * @throws on an unknown entity type
+     */
+    _indexesFor(entityType) {
+        if (entityType !== 'node' && entityType !== 'relation') {
+            throw new Error(`Unknown entity type: ${entityType}`);
+        }
+        return this.indexes[entityType];
+    }
+
+    /**
+     * _createIndexInstance(key, type)
+     * @internal
+     * @param {string} key
+     * @param {'hash'|'sorted'} type
+     * @returns {HashIndex|SortedIndex}
+     * @throws on an unknown index type
+     */
+    _createIndexInstance(key, type) {
+        if (type === 'hash') return new HashIndex(key);
+        if (type === 'sorted') return new SortedIndex(key);
+        throw new Error(`Unknown index type: ${type}`);
+    }
+
+    /**
+     * _addToIndexes(type, entity)
+     * @internal
+     * @description
+     *   Adds one entity to every secondary and unique index of its type.
+     * @param {'node'|'relation'} type
+     * @param {Object} entity
+     * @returns {void}
+     */
+    _addToIndexes(type, entity) {
+        this.indexes[type].forEach((index, key) => index.add(entity.id, entity.metadata[key]));
+        this.uniqueConstraints[type].forEach(index => index.add(entity));
+    }
+
+    /**
+     * _removeFromIndexes(type, id)
+     * @internal
+     * @description
+     *   Removes one entity from every secondary and unique index of its type.
+     * @param {'node'|'relation'} type
+     * @param {string} id
+     * @returns {void}
+     */
+    _removeFromIndexes(type, id) {
+        this.indexes[type].forEach(index => index.remove(id));
+        this.uniqueConstraints[type].forEach(index => index.remove(id));
+    }
+
+    /**
+     * _rebuildIndexes()
+     * @internal
+     * @description
+     *   Clears and refills every secondary, unique and vector index from
+     *   the current maps.
+     * @returns {void}
+     */
+    _rebuildIndexes() {
+        ['node', 'relation'].forEach(type => {
+            const entities = type === 'node' ? this.nodes : this.relations;
+            this.indexes[type].forEach(index => index.load(entities));
+
+            this.uniqueConstraints[type].forEach(index => {
+                index.clear();
+                entities.forEach(entity => index.add(entity));
+            });
+
+            this.vectorIndexes[type].forEach((index, key) => {
+                const fresh = new HNSWIndex(index);
+                entities.forEach(entity => {
+                    if (this._isIndexableVector(fresh, entity.metadata[key])) {
+                        fresh.add(entity.id, entity.metadata[key]);
+                    }
+                });
+                this.vectorIndexes[type].set(key, fresh);
+            });
+        });
+    }
+
+    /**
+     * _persistDefinitions()
+     * @internal
+     * @description
+     *   Writes a full snapshot so that definition changes (secondary and
+     *   vector indexes, …), which are not journal records, reach disk.
+     * @returns {void}
+     */
+    _persistDefinitions() {
+        if (this.storage === 'journal') {
+            this.compact();
+        } else {
+            this.flushToDisk();
+        }
+    }
+
+    /**
+     * createVectorIndex(entityType, embeddingKey, options)
+     * @description
+     *   Builds an approximate nearest-neighbor (HNSW) index over
+     *   `metadata[embeddingKey]` of nodes or relations. It is maintained
+     *   incrementally on every add/update/delete, its definition is
+     *   persisted with the snapshot and the graph is rebuilt on load.
+     *   `searchNodesByCosineSimilarity`, `searchRelationsByCosineSimilarity`
+     *   and `searchAndTraverse` use it automatically for that key.
+     *   Entities whose embedding is missing or has a different length than
+     *   the first indexed one are left out of the index.
+     * @param {'node'|'relation'} entityType
+     * @param {string} [embeddingKey='embedding']
+     * @param {Object} [options={}]
+     * @param {number} [options.M=16] – links per element; more = better recall, more memory
+     * @param {number} [options.efConstruction=200] – build beam width; more = better graph, slower inserts
+     * @param {number} [options.efSearch=50] – default query beam width; more = better recall, slower queries
+     * @param {'cosine'|'dot'|'euclidean'|'manhattan'} [options.metric='cosine'] – searches only use the
+     *   index when they ask for the same metric
+     * @returns {{entityType:string,embeddingKey:string,M:number,efConstruction:number,efSearch:number,metric:string}}
+     * @throws on an unknown entity type or metric, or if the index already exists
+     */
+    createVectorIndex(entityType, embeddingKey = 'embedding', options = {}) {
+        const vectorIndexes = this._vectorIndexesFor(entityType);
+        if (vectorIndexes.has(embeddingKey)) {
+            throw new Error(`Vector index on ${entityType} metadata key '${embeddingKey}' already exists`);
+        }
+
+        const { M = 16, efConstruction = 200, efSearch = 50, metric = 'cosine' } = options;
+        if (!METRIC_NAMES.includes(metric)) {
+            throw new Error(`Vector indexes support the metrics ${METRIC_NAMES.join(', ')}; got ${metric}`);
+        }
+
+        const index = new HNSWIndex({ M, efConstruction, efSearch, metric });
+        const entities = entityType === 'node' ? this.nodes : this.relations;
+        entities.forEach(entity => {
+            if (this._isIndexableVector(index, entity.metadata[embeddingKey])) {
+                index.add(entity.id, entity.metadata[embeddingKey]);
+            }
+        });
+        vectorIndexes.set(embeddingKey, index);
+
+        this._persistDefinitions();
+        return {
+            entityType,
+            embeddingKey,
+            M: index.M,
+            efConstruction: index.efConstruction,
+            efSearch: index.efSearch,
+            metric
+        };
+    }
+
+    /**
+     * dropVectorIndex(entityType, embeddingKey)
+     * @description
+     *   Removes a vector index; similarity searches on that key go back
+     *   to exact brute force.
+     * @param {'node'|'relation'} entityType
+     * @param {string} [embeddingKey='embedding']
+     * @returns {boolean} whether an index was removed
+     */
+    dropVectorIndex(entityType, embeddingKey = 'embedding') {
+        const removed = this._vectorIndexesFor(entityType).delete(embeddingKey);
+        if (removed) {
+            this._persistDefinitions();
+        }
+        return removed;
+    }
+
+    /**
+     * listVectorIndexes()
+     * @description
+     *   Returns the definitions of all vector indexes.
+     * @returns {Array<{entityType:string,embeddingKey:string,M:number,efConstruction:number,efSearch:number,metric:string}>}
+     */
+    listVectorIndexes() {
+        const result = [];
+        ['node', 'relation'].forEach(entityType => {
+            this.vectorIndexes[entityType].forEach((index, embeddingKey) => {
+                result.push({
+                    entityType,
+                    embeddingKey,
+                    M: index.M,
+                    efConstruction: index.efConstruction,
+                    efSearch: index.efSearch,
+                    metric: index.metric
+                });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * _vectorIndexesFor(entityType)
+     * @internal
+     * @param {'node'|'relation'} entityType
+     * @returns {Map<string, HNSWIndex>}
+     * @throws on an unknown entity type
+     */
+    _vectorIndexesFor(entityType) {
+        if (entityType !== 'node' && entityType !== 'relation') {
+            throw new Error(`Unknown entity type: ${entityType}`);
+        }
+        return this.vectorIndexes[entityType];
+    }
+
+    /**
+     * _isIndexableVector(index, vector)
+     * @internal
+     * @param {HNSWIndex} index
+     * @param {any} vector
+     * @returns {boolean} whether `vector` can be added to `index`
+     */
+    _isIndexableVector(index, vector) {
+        return isVector(vector) && vector.length > 0
+            && (index.dimensions === null || vector.length === index.dimensions);
+    }
+
+    /**
+     * _syncVectorIndexes(type, id)
+     * @internal
+     * @description
+     *   Brings every vector index of `type` in line with the current state
+     *   of one entity. Unchanged embeddings are left alone so that metadata
+     *   updates do not churn the HNSW graph.
+     * @param {'node'|'relation'} type
+     * @param {string} id
+     * @returns {void}
+     */
+    _syncVectorIndexes(type, id) {
+        const entity = (type === 'node' ? this.nodes : this.relations).get(id);
+
+        this.vectorIndexes[type].forEach((index, key) => {
+            const vector = entity ? entity.metadata[key] : undefined;
+            if (!this._isIndexableVector(index, vector)) {
+                index.remove(id);
+                return;
+            }
+
+            const current = index.getVector(id);
+            if (current && current.every((value, i) => value === vector[i])) return;
+            index.add(id, vector);
+        });
+    }
+
+    /**
+     * _vectorCandidates(type, queryEmbedding, embeddingKey, metric, limit, efSearch)
+     * @internal
+     * @description
+     *   Approximate top-`limit` entities from the vector index on
+     *   `embeddingKey`, or `null` when no index exists for that metric
+     *   and dimensionality.
+     * @returns {Array<node|relation>|null}
+     */
+    _vectorCandidates(type, queryEmbedding, embeddingKey, metric, limit, efSearch) {
+        const index = this.vectorIndexes[type].get(embeddingKey);
+        if (!index || index.metric !== metric.name || index.dimensions !== queryEmbedding.length) return null;
+
+        const entities = type === 'node' ? this.nodes : this.relations;
+        return index.search(queryEmbedding, limit, efSearch).map(({ id }) => entities.get(id));
+    }
+
+    /**
+     * _indexCandidates(type, conditions)
+     * @internal
+     * @description
+     *   Uses the `id` condition or secondary indexes to narrow a search.
+     *   Every metadata condition an index can answer (`eq`, plain value,
+     *   `in`, `gt/gte/lt/lte`) yields a candidate id set; the smallest is
+     *   used. Candidates still go through `matchesConditions`.
+     * @param {'node'|'relation'} type
+     * @param {Object} conditions
+     * @returns {Array<node|relation>|null} candidates, or `null` to scan everything
      */
-    matchesMetadataConditions(metadata, conditions) {
-        for (const [key, condition] of Object.entries(conditions)) {
-            const value = metadata[key];
+    _indexCandidates(type, conditions) {
+        const entities = type === 'node' ? this.nodes : this.relations;
 
-            if (typeof condition === 'object' && condition !== null) {
-                if (condition.eq !== undefined && value !== condition.eq) return false;
-                if (condition.ne !== undefined && value === condition.ne) return false;
-                if (condition.gt !== undefined && value <= condition.gt) return false;
-                if (condition.gte !== undefined && value < condition.gte) return false;
-                if (condition.lt !== undefined && value >= condition.lt) return false;
-                if (condition.lte !== undefined && value > condition.lte) return false;
-                if (condition.contains !== undefined && !String(value).toLowerCase().includes(String(condition.contains).toLowerCase())) return false;
-                if (condition.startsWith !== undefined && !String(value).startsWith(String(condition.startsWith))) return false;
-                if (condition.endsWith !== undefined && !String(value).endsWith(String(condition.endsWith))) return false;
-                if (condition.in !== undefined && !condition.in.includes(value)) return false;
+        if (typeof conditions.id === 'string') {
+            const entity = entities.get(conditions.id);
+            return entity ? [entity] : [];
+        }
 
-                // Handle cosine similarity in metadata conditions
-                if (condition.cosineSimilarity !== undefined) {
-                    const { queryEmbedding, threshold = 0.5 } = condition.cosineSimilarity;
-                    if (!Array.isArray(value) || !Array.isArray(queryEmbedding)) {
-                        return false;
-                    }
-                    const similarity = this.cosineSimilarity(queryEmbedding, value);
-                    if (similarity < threshold) {
-                        return false;
-                    }
-                }
+        const metadataConditions = conditions.metadata;
+        if (!metadataConditions || this.indexes[type].size === 0) return null;
+
+        let best = null;
+        for (const [key, condition] of Object.entries(metadataConditions)) {
+            const index = this.indexes[type].get(key);
+            if (!index) continue;
+
+            let ids = null;
+            if (typeof condition !== 'object' || condition === null) {
+                if (condition !== undefined) ids = index.lookup(condition);
+            } else if (condition.eq !== undefined) {
+                ids = index.lookup(condition.eq);
+            } else if (Array.isArray(condition.in) && !condition.in.includes(undefined)) {
+                ids = new Set();
+                condition.in.forEach(value => index.lookup(value).forEach(id => ids.add(id)));
             } else {
-                if (value !== condition) return false;
+                ids = index.range(condition);
+            }
+
+            if (ids && (!best || ids.size < best.size)) {
+                best = ids;
             }
         }
-        return true;
+
+        if (!best) return null;
+        return Array.from(best, id => entities.get(id)).filter(Boolean);
     }
 
     /**
-     * updateNode(nodeId, updates)
+     * defineSchema(entityType, typeName, schema)
      * @description
-     *   Applies `updates.name` and/or shallow-merges `updates.metadata`
-     *   into an existing node, then persists.
-     * @param {string} nodeId
-     * @param {{name?:string,metadata?:Object}} updates
-     * @returns {node}
-     * @throws if node not found
+     *   Defines (or replaces) the schema for nodes whose `metadata.type`
+     *   is `typeName`, or for relations named `typeName` (see `schema.js`
+     *   for the format). Relation schemas may restrict the endpoint node
+     *   types with `from` / `to`. The schema is enforced on every add,
+     *   update and import, and persisted with the snapshot. Existing
+     *   entities must already conform.
+     * @param {'node'|'relation'} entityType
+     * @param {string} typeName
+     * @param {Object} schema
+     * @returns {{entityType:string,typeName:string,schema:Object}} the normalized definition
+     * @throws if the schema is malformed
+     * @throws {ValidationError} if existing entities violate it (the schema is not defined)
      */
-    updateNode(nodeId, updates) {
-        const node = this.nodes.get(nodeId);
-        if (!node) {
-            throw new Error(`Node with id ${nodeId} not found`);
+    defineSchema(entityType, typeName, schema) {
+        const schemas = this._schemasFor(entityType);
+        if (typeof typeName !== 'string' || typeName === '') {
+            throw new Error('Schema type name must be a non-empty string');
         }
 
-        if (updates.name !== undefined) {
-            node.name = updates.name;
+        const normalized = normalizeSchema(entityType, schema);
+        const previous = schemas.get(typeName);
+        schemas.set(typeName, normalized);
+
+        try {
+            const entities = entityType === 'node' ? this.nodes : this.relations;
+            this._assertValid(entityType, Array.from(entities.values()));
+        } catch (error) {
+            if (previous) {
+                schemas.set(typeName, previous);
+            } else {
+                schemas.delete(typeName);
+            }
+            throw error;
         }
-        if (updates.metadata !== undefined) {
-            node.metadata = {
-                ...node.metadata,
-                ...this._clone(updates.metadata)
-            };
+
+        this._persistDefinitions();
+        return { entityType, typeName, schema: normalized };
+    }
+
+    /**
+     * dropSchema(entityType, typeName)
+     * @description
+     *   Removes a schema and persists the change.
+     * @param {'node'|'relation'} entityType
+     * @param {string} typeName
+     * @returns {boolean} whether a schema was removed
+     */
+    dropSchema(entityType, typeName) {
+        const removed = this._schemasFor(entityType).delete(typeName);
+        if (removed) {
+            this._persistDefinitions();
         }
+        return removed;
+    }
 
-        this.flushToDisk();
-        return node;
+    /**
+     * listSchemas()
+     * @description
+     *   Returns all schema definitions.
+     * @returns {Array<{entityType:string,typeName:string,schema:Object}>}
+     */
+    listSchemas() {
+        const result = [];
+        ['node', 'relation'].forEach(entityType => {
+            this.schemas[entityType].forEach((schema, typeName) => {
+                result.push({ entityType, typeName, schema });
+            });
+        });
+        return result;
     }
 
     /**
-     * updateRelation(relationId, updates)
+     * _schemasFor(entityType)
+     * @internal
+     * @param {'node'|'relation'} entityType
+     * @returns {Map<string, Object>}
+     * @throws on an unknown entity type
+     */
+    _schemasFor(entityType) {
+        if (entityType !== 'node' && entityType !== 'relation') {
+            throw new Error(`Unknown entity type: ${entityType}`);
+        }
+        return this.schemas[entityType];
+    }
+
+    /**
+     * _assertValid(entityType, entities, getNode)
+     * @internal
      * @description
-     *   Similar to `updateNode` but for an edge.
+     *   Validates one or more entities against their schemas and throws a
+     *   single `ValidationError` listing every problem.
+     * @param {'node'|'relation'} entityType
+     * @param {Object|Object[]} entities
+     * @param {function(string): node|undefined} [getNode] – resolves relation
+     *   endpoints (defaults to the current graph)
+     * @returns {void}
+     * @throws {ValidationError}
+     */
+    _assertValid(entityType, entities, getNode = id => this.nodes.get(id)) {
+        if (this.schemas[entityType].size === 0) return;
+
+        const errors = [];
+        [].concat(entities).forEach(entity => {
+            errors.push(...this._schemaErrors(entityType, entity, getNode));
+        });
+        if (errors.length === 0) return;
+
+        const summary = errors.slice(0, 3).map(e => `${e.entityType} "${e.type}" ${e.path} ${e.message}`).join('; ');
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        throw new ValidationError(`Schema validation failed: ${summary}${more}`, errors);
+    }
+
+    /**
+     * _schemaErrors(entityType, entity, getNode)
+     * @internal
+     * @returns {Array<{entityType:string,type:string,id:string,path:string,message:string}>}
+     */
+    _schemaErrors(entityType, entity, getNode) {
+        const metadata = entity.metadata || {};
+        const typeName = entityType === 'node' ? metadata.type : entity.name;
+        const schema = this.schemas[entityType].get(typeName);
+        if (!schema) return [];
+
+        const errors = validateMetadata(schema, metadata);
+        if (entityType === 'relation') {
+            [['from', entity.fromNodeId], ['to', entity.toNodeId]].forEach(([end, nodeId]) => {
+                if (!schema[end]) return;
+                const node = getNode(nodeId);
+                const nodeType = node && node.metadata ? node.metadata.type : undefined;
+                if (!schema[end].includes(nodeType)) {
+                    errors.push({
+                        path: end === 'from' ? 'fromNodeId' : 'toNodeId',
+                        message: `must point to a node of type ${schema[end].join(' | ')} (got ${nodeType === undefined ? 'none' : nodeType})`
+                    });
+                }
+            });
+        }
+
+        return errors.map(error => ({ entityType, type: typeName, id: entity.id, ...error }));
+    }
+
+    /**
+     * _applyUpdates(entity, updates)
+     * @internal
+     * @description
+     *   Computes the result of `updateNode` / `updateRelation` without
+     *   touching the entity, so it can be validated first.
+     * @returns {Object} a copy with the new `name` and merged `metadata`
+     * @throws if `updates` is not an object
+     */
+    _applyUpdates(entity, updates) {
+        if (typeof updates !== 'object' || updates === null || Array.isArray(updates)) {
+            throw new Error(`Updates for ${entity.id} must be an object, got ${updates === null ? 'null' : typeof updates}`);
+        }
+        return {
+            ...entity,
+            name: updates.name !== undefined ? updates.name : entity.name,
+            metadata: updates.metadata !== undefined
+                ? { ...entity.metadata, ...this._packVectors(this._clone(updates.metadata)) }
+                : entity.metadata
+        };
+    }
+
+    /**
+     * createUniqueConstraint(entityType, fields)
+     * @description
+     *   Requires the combination of `fields` to be unique among nodes or
+     *   relations. Fields are `name`, `fromNodeId`, `toNodeId` or
+     *   `metadata.<path>`; entities missing any of them are exempt.
+     *   Enforced on add, update and import; persisted with the snapshot.
+     * @param {'node'|'relation'} entityType
+     * @param {string|string[]} fields
+     * @returns {{entityType:string,fields:string[]}} the constraint definition
+     * @throws on invalid fields, if the constraint exists, or (as
+     *   `ValidationError`) if existing entities already violate it
+     */
+    createUniqueConstraint(entityType, fields) {
+        const constraints = this._uniqueConstraintsFor(entityType);
+        fields = [].concat(fields);
+
+        if (fields.length === 0 || fields.some(field => (
+            typeof field !== 'string' || !(['name', 'fromNodeId', 'toNodeId'].includes(field) || /^metadata\.[^.]/.test(field))
+        ))) {
+            throw new Error('Unique constraint fields must be name, fromNodeId, toNodeId or metadata.<key>');
+        }
+        const name = fields.join(',');
+        if (constraints.has(name)) {
+            throw new Error(`Unique constraint on ${entityType} (${name}) already exists`);
+        }
+
+        const index = new UniqueIndex(fields);
+        const entities = entityType === 'node' ? this.nodes : this.relations;
+        this._assertUniqueAll(entityType, Array.from(entities.values()), [index]);
+        entities.forEach(entity => index.add(entity));
+        constraints.set(name, index);
+
+        this._persistDefinitions();
+        return { entityType, fields };
+    }
+
+    /**
+     * dropUniqueConstraint(entityType, fields)
+     * @description
+     *   Removes a unique constraint and persists the change.
+     * @param {'node'|'relation'} entityType
+     * @param {string|string[]} fields
+     * @returns {boolean} whether a constraint was removed
+     */
+    dropUniqueConstraint(entityType, fields) {
+        const removed = this._uniqueConstraintsFor(entityType).delete([].concat(fields).join(','));
+        if (removed) {
+            this._persistDefinitions();
+        }
+        return removed;
+    }
+
+    /**
+     * listUniqueConstraints()
+     * @description
+     *   Returns the definitions of all unique constraints.
+     * @returns {Array<{entityType:string,fields:string[]}>}
+     */
+    listUniqueConstraints() {
+        const result = [];
+        ['node', 'relation'].forEach(entityType => {
+            this.uniqueConstraints[entityType].forEach(index => {
+                result.push({ entityType, fields: index.fields.slice() });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * _uniqueConstraintsFor(entityType)
+     * @internal
+     * @param {'node'|'relation'} entityType
+     * @returns {Map<string, UniqueIndex>}
+     * @throws on an unknown entity type
+     */
+    _uniqueConstraintsFor(entityType) {
+        if (entityType !== 'node' && entityType !== 'relation') {
+            throw new Error(`Unknown entity type: ${entityType}`);
+        }
+        return this.uniqueConstraints[entityType];
+    }
+
+    /**
+     * _assertUnique(type, entity)
+     * @internal
+     * @description
+     *   Checks `entity` (new, or the would-be result of an update) against
+     *   the current holders of each unique constraint.
+     * @param {'node'|'relation'} type
+     * @param {Object} entity
+     * @returns {void}
+     * @throws {ValidationError}
+     */
+    _assertUnique(type, entity) {
+        const errors = [];
+        this.uniqueConstraints[type].forEach((index, name) => {
+            const owner = index.ownerOf(entity);
+            if (owner !== undefined && owner !== entity.id) {
+                errors.push(this._uniqueError(type, entity, name, owner));
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError(`Unique constraint violated: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`, errors);
+        }
+    }
+
+    /**
+     * _assertUniqueAll(type, entities, indexes)
+     * @internal
+     * @description
+     *   Checks that a whole set of entities (an import, or existing data
+     *   for a new constraint) has no duplicates among themselves.
+     * @param {'node'|'relation'} type
+     * @param {Object[]} entities
+     * @param {UniqueIndex[]} [indexes] – constraints to check; defaults to all of `type`
+     * @returns {void}
+     * @throws {ValidationError}
+     */
+    _assertUniqueAll(type, entities, indexes = Array.from(this.uniqueConstraints[type].values())) {
+        const errors = [];
+        indexes.forEach(index => {
+            const seen = new Map();
+            entities.forEach(entity => {
+                const key = index.keyOf(entity);
+                if (key === null) return;
+                if (seen.has(key)) {
+                    errors.push(this._uniqueError(type, entity, index.fields.join(','), seen.get(key)));
+                } else {
+                    seen.set(key, entity.id);
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            const summary = errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ');
+            const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+            throw new ValidationError(`Unique constraint violated: ${summary}${more}`, errors);
+        }
+    }
+
+    /**
+     * _uniqueError(type, entity, name, owner)
+     * @internal
+     * @returns {{entityType:string,type:string,id:string,path:string,message:string}}
+     */
+    _uniqueError(type, entity, name, owner) {
+        return {
+            entityType: type,
+            type: type === 'node' ? (entity.metadata || {}).type : entity.name,
+            id: entity.id,
+            path: name,
+            message: `must be unique (already used by ${type} ${owner})`
+        };
+    }
+
+    /**
+     * asOf(timestamp)
+     * @description
+     *   Returns a read-only view of the graph as it was at `timestamp`
+     *   (versioned mode). The view supports every read method —
+     *   `searchNodes`, traversals, paths, `query`, algorithms without
+     *   `writeTo` — over copies of the entity revisions valid at that
+     *   time; secondary and vector indexes are not used. Write methods
+     *   throw.
+     * @param {number|Date|string} timestamp – ms since the epoch, a Date or a date string
+     * @returns {TinyGraphDB} the view
+     * @throws if the graph is not versioned or `timestamp` is not a valid time
+     */
+    asOf(timestamp) {
+        this._assertVersioned('asOf');
+        const ts = new Date(timestamp).getTime();
+        if (Number.isNaN(ts)) {
+            throw new Error(`Invalid timestamp: ${timestamp}`);
+        }
+
+        const view = Object.create(TinyGraphDB.prototype);
+        EventEmitter.call(view);
+        Object.assign(view, {
+            filePath: this.filePath,
+            storage: this.storage,
+            embeddingStorage: this.embeddingStorage,
+            asOfTimestamp: ts,
+            nodes: this._stateAt('node', ts),
+            relations: this._stateAt('relation', ts),
+            nodeRelations: new Map(),
+            indexes: { node: new Map(), relation: new Map() },
+            vectorIndexes: { node: new Map(), relation: new Map() },
+            schemas: this.schemas,
+            uniqueConstraints: { node: new Map(), relation: new Map() },
+            history: null,
+            idCounter: 0,
+            _pendingLog: [],
+            _journalRecordCount: 0,
+            _transaction: null,
+            _hooks: new Map()
+        });
+        MUTATING_METHODS.forEach(method => {
+            view[method] = () => {
+                throw new Error(`${method}() is not available on a read-only asOf() view`);
+            };
+        });
+
+        view.relations.forEach((relation, relationId) => {
+            if (!view.nodes.has(relation.fromNodeId) || !view.nodes.has(relation.toNodeId)) {
+                view.relations.delete(relationId);
+            }
+        });
+        view.rebuildNodeRelationsIndex();
+        return view;
+    }
+
+    /**
+     * getNodeHistory(nodeId)
+     * @description
+     *   Lists every revision of a node, oldest first, including those of
+     *   deleted nodes (versioned mode). A revision is valid from
+     *   `validFrom` (inclusive; `null` if it predates versioning) until
+     *   `validTo` (exclusive; `null` while current). A deleted node's last
+     *   revision ends at the deletion.
+     * @param {string} nodeId
+     * @returns {Array<{validFrom:number|null,validTo:number|null,node:node}>} empty for unknown ids
+     * @throws if the graph is not versioned
+     */
+    getNodeHistory(nodeId) {
+        this._assertVersioned('getNodeHistory');
+        return (this.history.node.get(nodeId) || []).map(({ validFrom, validTo, value }) => ({
+            validFrom,
+            validTo,
+            node: this._copyEntity(value)
+        }));
+    }
+
+    /**
+     * getRelationHistory(relationId)
+     * @description
+     *   Same as `getNodeHistory` for a relation.
      * @param {string} relationId
-     * @param {{name?:string,metadata?:Object}} updates
-     * @returns {relation}
-     * @throws if relation not found
+     * @returns {Array<{validFrom:number|null,validTo:number|null,relation:relation}>}
+     * @throws if the graph is not versioned
      */
-    updateRelation(relationId, updates) {
-        const relation = this.relations.get(relationId);
-        if (!relation) {
-            throw new Error(`Relation with id ${relationId} not found`);
+    getRelationHistory(relationId) {
+        this._assertVersioned('getRelationHistory');
+        return (this.history.relation.get(relationId) || []).map(({ validFrom, validTo, value }) => ({
+            validFrom,
+            validTo,
+            relation: this._copyEntity(value)
+        }));
+    }
+
+    /**
+     * _assertVersioned(method)
+     * @internal
+     * @param {string} method
+     * @returns {void}
+     * @throws if no revision history is recorded
+     */
+    _assertVersioned(method) {
+        if (!this.history) {
+            throw new Error(`${method}() requires a versioned graph; open it with { versioned: true }`);
+        }
+    }
+
+    /**
+     * _recordRevision(op, type, payload, ts)
+     * @internal
+     * @description
+     *   Ends the entity's current revision at `ts` and, for `put`, starts
+     *   a new one holding a copy of the entity. A second change within
+     *   the same millisecond replaces the revision it started. Changes
+     *   older than the latest revision are ignored: they are journal
+     *   records already folded into the snapshot.
+     * @param {'put'|'delete'} op
+     * @param {'node'|'relation'} type
+     * @param {Object|string} payload – the entity for `put`, its id for `delete`
+     * @param {number} ts
+     * @returns {void}
+     */
+    _recordRevision(op, type, payload, ts) {
+        const id = op === 'put' ? payload.id : payload;
+        const histories = this.history[type];
+        if (!histories.has(id)) {
+            histories.set(id, []);
         }
+        const revisions = histories.get(id);
+        const latest = revisions[revisions.length - 1];
+
+        if (latest && latest.validFrom !== null && ts < latest.validFrom) return;
 
-        if (updates.name !== undefined) {
-            relation.name = updates.name;
+        if (latest && latest.validTo === null) {
+            if (op === 'put' && latest.validFrom === ts) {
+                latest.value = this._copyEntity(payload);
+                return;
+            }
+            latest.validTo = ts;
         }
-        if (updates.metadata !== undefined) {
-            relation.metadata = {
-                ...relation.metadata,
-                ...this._clone(updates.metadata)
-            };
+        if (op === 'put') {
+            revisions.push({ validFrom: ts, validTo: null, value: this._copyEntity(payload) });
         }
-
-        this.flushToDisk();
-        return relation;
     }
 
     /**
-     * updateBySearch(entityType, searchConditions, updates)
+     * _restoreRevisions(type, id, revisions)
+     * @internal
      * @description
-     *   Bulk‐updates all nodes or relations matching `searchConditions`.
-     *   Returns an array of updated entities.
-     * @param {'node'|'relation'} entityType
-     * @param {Object} searchConditions
-     * @param {Object} updates
-     * @returns {Array<node|relation>}
+     *   Puts back an entity's history as recorded by `_beforeChange`.
+     * @param {'node'|'relation'} type
+     * @param {string} id
+     * @param {Array|null} revisions
+     * @returns {void}
      */
-    updateBySearch(entityType, searchConditions, updates) {
-        const results = [];
+    _restoreRevisions(type, id, revisions) {
+        if (!this.history) return;
 
-        if (entityType === 'node') {
-            const nodes = this.searchNodes(searchConditions);
-            nodes.forEach(node => {
-                results.push(this.updateNode(node.id, updates));
-            });
-        } else if (entityType === 'relation') {
-            const relations = this.searchRelations(searchConditions);
-            relations.forEach(relation => {
-                results.push(this.updateRelation(relation.id, updates));
-            });
+        if (revisions) {
+            this.history[type].set(id, revisions);
+        } else {
+            this.history[type].delete(id);
         }
-
-        return results;
     }
 
     /**
-     * deleteNode(nodeId)
+     * _stateAt(type, ts)
+     * @internal
      * @description
-     *   Removes a node and all its attached relations:
-     *     1. Deletes relations from `relations` map
-     *     2. Cleans up other nodes' `nodeRelations` sets
-     *     3. Deletes node entry
-     *     4. Persists changes
-     * @param {string} nodeId
-     * @returns {node} the removed node
-     * @throws if node not found
+     *   Collects copies of the revisions valid at `ts`.
+     * @param {'node'|'relation'} type
+     * @param {number} ts
+     * @returns {Map<string, Object>}
      */
-    deleteNode(nodeId) {
-        const node = this.nodes.get(nodeId);
-        if (!node) {
-            throw new Error(`Node with id ${nodeId} not found`);
-        }
-
-        // Delete all relations connected to this node
-        const relationIds = this.nodeRelations.get(nodeId) || new Set();
-        relationIds.forEach(relationId => {
-            this.relations.delete(relationId);
-        });
-
-        // Remove from other nodes' relation sets
-        this.nodeRelations.forEach((relations, otherNodeId) => {
-            if (otherNodeId !== nodeId) {
-                relationIds.forEach(relationId => {
-                    relations.delete(relationId);
-                });
+    _stateAt(type, ts) {
+        const entities = new Map();
+        this.history[type].forEach((revisions, id) => {
+            for (let i = revisions.length - 1; i >= 0; i--) {
+                const { validFrom, validTo, value } = revisions[i];
+                if (validFrom === null || validFrom <= ts) {
+                    if (validTo === null || validTo > ts) {
+                        entities.set(id, this._copyEntity(value));
+                    }
+                    break;
+                }
             }
         });
-
-        // Delete the node and its relations
-        this.nodes.delete(nodeId);
-        this.nodeRelations.delete(nodeId);
-
-        this.flushToDisk();
-        return node;
+        return entities;
     }
 
     /**
-     * deleteRelation(relationId)
+     * _serializeHistory()
+     * @internal
      * @description
-     *   Removes an edge, updates its two endpoints' `nodeRelations`,
-     *   and persists.
-     * @param {string} relationId
-     * @returns {relation} the removed relation
-     * @throws if relation not found
+     *   Lists the history for the snapshot. Current revisions are stored
+     *   without their value, which is the entity itself.
+     * @returns {Array<{entityType:string,id:string,revisions:Array}>}
      */
-    deleteRelation(relationId) {
-        const relation = this.relations.get(relationId);
-        if (!relation) {
-            throw new Error(`Relation with id ${relationId} not found`);
-        }
-
-        // Remove from node-relations index
-        this.nodeRelations.get(relation.fromNodeId)?.delete(relationId);
-        this.nodeRelations.get(relation.toNodeId)?.delete(relationId);
-
-        // Delete the relation
-        this.relations.delete(relationId);
-
-        this.flushToDisk();
-        return relation;
+    _serializeHistory() {
+        const result = [];
+        ['node', 'relation'].forEach(entityType => {
+            this.history[entityType].forEach((revisions, id) => {
+                result.push({
+                    entityType,
+                    id,
+                    revisions: revisions.map(({ validFrom, validTo, value }) => (
+                        validTo === null ? { validFrom, validTo } : { validFrom, validTo, value }
+                    ))
+                });
+            });
+        });
+        return result;
     }
 
     /**
-     * deleteBySearch(entityType, searchConditions)
+     * _loadHistory(entries, nodes, relations)
+     * @internal
      * @description
-     *   Deletes all nodes or relations matching the search criteria.
-     *   Returns an array of removed entities.
-     * @param {'node'|'relation'} entityType
-     * @param {Object} searchConditions
-     * @returns {Array<node|relation>}
+     *   Restores history written by `_serializeHistory`, taking the value
+     *   of current revisions from the snapshot's entities.
+     * @param {Array<{entityType:string,id:string,revisions:Array}>} entries
+     * @param {Map} nodes – the snapshot's nodes
+     * @param {Map} relations – the snapshot's relations
+     * @returns {{node:Map, relation:Map}} history to enable versioned mode with
      */
-    deleteBySearch(entityType, searchConditions) {
-        const results = [];
-
-        if (entityType === 'node') {
-            const nodes = this.searchNodes(searchConditions);
-            nodes.forEach(node => {
-                results.push(this.deleteNode(node.id));
-            });
-        } else if (entityType === 'relation') {
-            const relations = this.searchRelations(searchConditions);
-            relations.forEach(relation => {
-                results.push(this.deleteRelation(relation.id));
-            });
-        }
-
-        return results;
+    _loadHistory(entries, nodes, relations) {
+        const history = { node: new Map(), relation: new Map() };
+        entries.forEach(({ entityType, id, revisions }) => {
+            const current = (entityType === 'node' ? nodes : relations).get(id);
+            history[entityType].set(id, revisions
+                .filter(revision => revision.validTo !== null || current)
+                .map(revision => ({
+                    validFrom: revision.validFrom,
+                    validTo: revision.validTo,
+                    value: revision.validTo === null ? this._copyEntity(current) : revision.value
+                })));
+        });
+        return history;
     }
 
     /**
@@ -1003,7 +4411,8 @@ class TinyGraphDB {
      * @description
      *   Finds all adjacent nodes to `nodeId` by looking up its
      *   `nodeRelations` set, returning each neighbor plus the
-     *   connecting relation and direction.
+     *   connecting relation and direction (`'both'` for undirected
+     *   relations).
      * @param {string} nodeId
      * @returns {Array<{node,relation,direction}>}
      */
@@ -1020,7 +4429,8 @@ class TinyGraphDB {
                     neighbors.push({
                         node: otherNode,
                         relation: relation,
-                        direction: relation.fromNodeId === nodeId ? 'outgoing' : 'incoming'
+                        direction: relation.directed === false ? 'both'
+                            : relation.fromNodeId === nodeId ? 'outgoing' : 'incoming'
                     });
                 }
             }
@@ -1051,9 +4461,18 @@ class TinyGraphDB {
      * @description
      *   Dumps the entire in-memory graph as a JSON-serializable
      *   object `{nodes:…, relations:…}` without writing to disk.
+     *   With `embeddingStorage`, entities are copied so embeddings can be
+     *   returned as plain arrays.
      * @returns {{nodes:Array,relations:Array}}
      */
     exportData() {
+        if (this.embeddingStorage) {
+            return {
+                nodes: Array.from(this.nodes.values(), node => this._unpackVectors(node)),
+                relations: Array.from(this.relations.values(), relation => this._unpackVectors(relation))
+            };
+        }
+
         return {
             nodes: Array.from(this.nodes.values()),
             relations: Array.from(this.relations.values())
@@ -1064,29 +4483,542 @@ class TinyGraphDB {
      * importData(data)
      * @description
      *   Completely replaces current graph with supplied data,
-     *   rebuilds indexes, and persists to `filePath`.
+     *   rebuilds indexes, and persists to `filePath`. In journal mode
+     *   the log is compacted into a fresh snapshot. Emits one `imported`
+     *   event rather than per-entity events. Everything is checked
+     *   against the defined schemas first; nothing is replaced if any
+     *   entity fails, or if `data` breaks a unique constraint.
      * @param {{nodes:Array,relations:Array}} data
      * @returns {void}
+     * @throws if called inside a transaction
+     * @throws {ValidationError} listing every schema or unique-constraint violation in `data`
      */
     importData(data) {
+        this._assertNoTransaction('importData');
+
+        const incomingNodes = new Map((data.nodes || []).map(node => [node.id, node]));
+        this._assertValid('node', data.nodes || []);
+        this._assertValid('relation', data.relations || [], id => incomingNodes.get(id));
+        this._assertUniqueAll('node', data.nodes || []);
+        this._assertUniqueAll('relation', data.relations || []);
+
+        // Versioned graphs keep the replaced entities' history
+        const removed = this.history ? {
+            node: Array.from(this.nodes.keys()).filter(id => !incomingNodes.has(id)),
+            relation: Array.from(this.relations.keys())
+        } : null;
+
         this.nodes.clear();
         this.relations.clear();
         this.nodeRelations.clear();
 
         if (data.nodes) {
             data.nodes.forEach(node => {
+                this._packVectors(node.metadata);
                 this.nodes.set(node.id, node);
             });
         }
 
         if (data.relations) {
             data.relations.forEach(relation => {
+                this._packVectors(relation.metadata);
                 this.relations.set(relation.id, relation);
             });
         }
 
+        if (removed) {
+            const timestamp = Date.now();
+            removed.relation = removed.relation.filter(id => !this.relations.has(id));
+            removed.node.forEach(id => this._recordRevision('delete', 'node', id, timestamp));
+            removed.relation.forEach(id => this._recordRevision('delete', 'relation', id, timestamp));
+            this.nodes.forEach(node => this._recordRevision('put', 'node', node, timestamp));
+            this.relations.forEach(relation => this._recordRevision('put', 'relation', relation, timestamp));
+        }
+
         this.rebuildNodeRelationsIndex();
-        this.flushToDisk();
+        this._rebuildIndexes();
+        this.compact();
+        this.emit('imported', { nodes: this.nodes.size, relations: this.relations.size });
+    }
+
+    /**
+     * exportGraphML()
+     * @description
+     *   Serializes the graph as GraphML (for yEd, Gephi, NetworkX, …).
+     *   Node and relation names are stored in a `label` key, and each
+     *   metadata key becomes a typed key (`boolean`, `long`, `double` or
+     *   `string`). Embeddings, nested objects and mixed-type keys are
+     *   written as JSON strings marked `tgdb:encoding="json"`, so
+     *   `importGraphML` restores them exactly.
+     * @returns {string} the GraphML document
+     */
+    exportGraphML() {
+        return toGraphML(this.exportData());
+    }
+
+    /**
+     * importGraphML(xml)
+     * @description
+     *   Replaces the graph with the contents of a GraphML document through
+     *   `importData`, so the same validation applies. Files from other tools
+     *   take names from a `label` or `name` key (or a yEd label), falling
+     *   back to the node id and `related_to` for edges.
+     * @param {string} xml
+     * @returns {void}
+     * @throws on malformed or inconsistent documents, and as `importData` does
+     */
+    importGraphML(xml) {
+        this.importData(fromGraphML(xml));
+    }
+
+    /**
+     * exportGEXF()
+     * @description
+     *   Serializes the graph as GEXF 1.3 (Gephi's format). Names become
+     *   labels, metadata becomes typed attributes like in `exportGraphML`,
+     *   and a numeric `weight` is also written as the edge weight.
+     * @returns {string} the GEXF document
+     */
+    exportGEXF() {
+        return toGEXF(this.exportData());
+    }
+
+    /**
+     * importGEXF(xml)
+     * @description
+     *   Replaces the graph with the contents of a GEXF document through
+     *   `importData`. Edge weights from other tools land in `metadata.weight`.
+     * @param {string} xml
+     * @returns {void}
+     * @throws on malformed or inconsistent documents, and as `importData` does
+     */
+    importGEXF(xml) {
+        this.importData(fromGEXF(xml));
+    }
+
+    /**
+     * importCSV(options)
+     * @description
+     *   Adds the nodes and relations in CSV files to the graph (unlike
+     *   `importData`, nothing is replaced). Both files are streamed and
+     *   parsed first, then every row is added through `addNode` /
+     *   `addRelation` in one transaction: schemas, constraints and hooks
+     *   apply, any bad row rolls back the whole import, and the graph is
+     *   flushed once at the end.
+     *
+     *   Each file needs a header row. In the nodes file, the `idColumn`
+     *   holds an external key and `nameColumn` the name. In the edges file,
+     *   `fromColumn` / `toColumn` hold external keys (or ids of nodes
+     *   already in the graph) and `nameColumn` the relation name; a
+     *   `directed` column of `false` makes a relation undirected and its
+     *   `idColumn` is ignored. All other columns become metadata: empty
+     *   cells are skipped, dotted columns (`address.city`) become nested
+     *   objects, and values are converted according to `typeCoercion`.
+     * @param {Object} options
+     * @param {string} [options.nodesFile]
+     * @param {string} [options.edgesFile]
+     * @param {string} [options.idColumn='id']
+     * @param {string} [options.nameColumn='name']
+     * @param {string} [options.fromColumn='from']
+     * @param {string} [options.toColumn='to']
+     * @param {boolean|Object<string, 'auto'|'string'|'number'|'boolean'|'json'|function(string): any>} [options.typeCoercion=true]
+     *   `true` converts numbers, booleans, `null` and JSON arrays/objects
+     *   (`auto`), `false` keeps every value as text; an object sets the
+     *   type per column, with `auto` for the rest
+     * @param {string} [options.delimiter=',']
+     * @returns {Promise<{nodes:number, relations:number, idMap:Map<string,string>}>}
+     *   counts of added entities, and the id each external node key got
+     * @throws (rejects) on unreadable files, missing columns, duplicate
+     *   keys, unknown endpoints or bad values, naming the file and line,
+     *   and on anything `addNode` / `addRelation` reject
+     */
+    async importCSV(options = {}) {
+        const {
+            nodesFile,
+            edgesFile,
+            idColumn = 'id',
+            nameColumn = 'name',
+            fromColumn = 'from',
+            toColumn = 'to',
+            typeCoercion = true,
+            delimiter = ','
+        } = options;
+        this._assertNoTransaction('importCSV');
+        if (!nodesFile && !edgesFile) {
+            throw new Error('importCSV() needs a nodesFile, an edgesFile or both');
+        }
+        const typeOf = columnTypes(typeCoercion);
+
+        const nodeRows = [];
+        if (nodesFile) {
+            const keys = new Set();
+            await this._readCSVRows(nodesFile, delimiter, [nameColumn], [idColumn], typeOf, row => {
+                const key = row.reserved[idColumn];
+                if (key !== undefined) {
+                    if (keys.has(key)) {
+                        throw new Error(`duplicate ${idColumn} "${key}"`);
+                    }
+                    keys.add(key);
+                }
+                nodeRows.push(row);
+            });
+        }
+
+        const relationRows = [];
+        if (edgesFile) {
+            await this._readCSVRows(edgesFile, delimiter, [nameColumn, fromColumn, toColumn], [idColumn, 'directed'], typeOf, row => {
+                relationRows.push(row);
+            });
+        }
+
+        const idMap = new Map();
+        const resolve = (row, column) => {
+            const key = row.reserved[column];
+            if (idMap.has(key)) return idMap.get(key);
+            if (this.nodes.has(key)) return key;
+            throw new Error(`${edgesFile} line ${row.line}: unknown node "${key}" in column "${column}"`);
+        };
+
+        this.transaction(() => {
+            nodeRows.forEach(row => {
+                const node = this.addNode(row.reserved[nameColumn], row.metadata);
+                if (row.reserved[idColumn] !== undefined) {
+                    idMap.set(row.reserved[idColumn], node.id);
+                }
+            });
+            relationRows.forEach(row => {
+                const directed = row.reserved.directed === undefined || !/^(false|0|no)$/i.test(row.reserved.directed.trim());
+                this.addRelation(row.reserved[nameColumn], resolve(row, fromColumn), resolve(row, toColumn), row.metadata, { directed });
+            });
+        });
+
+        return { nodes: nodeRows.length, relations: relationRows.length, idMap };
+    }
+
+    /**
+     * _readCSVRows(file, delimiter, required, optional, typeOf, onRow)
+     * @internal
+     * @description
+     *   Streams a CSV file with a header row and calls `onRow` with
+     *   `{ line, reserved, metadata }` for each record: the text of the
+     *   `required` and `optional` columns, and the rest as metadata.
+     *   Errors thrown by `onRow` get the file and line prepended.
+     * @returns {Promise<void>}
+     */
+    async _readCSVRows(file, delimiter, required, optional, typeOf, onRow) {
+        let header = null;
+        for await (const { line, fields } of readCSV(file, delimiter)) {
+            if (!header) {
+                header = fields;
+                const missing = required.filter(column => !header.includes(column));
+                if (missing.length > 0) {
+                    throw new Error(`${file}: missing column(s) ${missing.join(', ')}`);
+                }
+                continue;
+            }
+
+            try {
+                const row = { line, reserved: {}, metadata: {} };
+                header.forEach((column, i) => {
+                    const text = i < fields.length ? fields[i] : '';
+                    if (required.includes(column) || optional.includes(column)) {
+                        if (text !== '') row.reserved[column] = text;
+                    } else if (text !== '') {
+                        let value;
+                        try {
+                            value = coerceValue(text, typeOf(column));
+                        } catch (error) {
+                            throw new Error(`column "${column}": ${error.message}`);
+                        }
+                        setPath(row.metadata, column, value);
+                    }
+                });
+                required.forEach(column => {
+                    if (row.reserved[column] === undefined) {
+                        throw new Error(`empty ${column}`);
+                    }
+                });
+                onRow(row);
+            } catch (error) {
+                error.message = `${file} line ${line}: ${error.message}`;
+                throw error;
+            }
+        }
+        if (!header) {
+            throw new Error(`${file}: no header row`);
+        }
+    }
+
+    /**
+     * exportCSV(options)
+     * @description
+     *   Streams the graph to a nodes file (`id`, `name`, then one column
+     *   per metadata key) and/or an edges file (`id`, `from`, `to`,
+     *   `name`, `directed` if any relation is undirected, then metadata).
+     *   Nested objects are flattened into dotted columns; arrays, embeddings,
+     *   numbers, booleans, `null` and strings that would otherwise be read
+     *   as one of those are written as JSON, so `importCSV` with
+     *   `typeCoercion: true` reads every value back unchanged. Column names can be
+     *   changed with the same options `importCSV` takes.
+     * @param {Object} options
+     * @param {string} [options.nodesFile]
+     * @param {string} [options.edgesFile]
+     * @param {string} [options.idColumn='id']
+     * @param {string} [options.nameColumn='name']
+     * @param {string} [options.fromColumn='from']
+     * @param {string} [options.toColumn='to']
+     * @param {string} [options.delimiter=',']
+     * @returns {Promise<{nodes:number, relations:number}>} rows written
+     * @throws (rejects) if a metadata column has the same name as one of
+     *   the fixed columns, or on write errors
+     */
+    async exportCSV(options = {}) {
+        const {
+            nodesFile,
+            edgesFile,
+            idColumn = 'id',
+            nameColumn = 'name',
+            fromColumn = 'from',
+            toColumn = 'to',
+            delimiter = ','
+        } = options;
+        if (!nodesFile && !edgesFile) {
+            throw new Error('exportCSV() needs a nodesFile, an edgesFile or both');
+        }
+
+        // Entity references only; rows are generated as the files are written
+        const nodes = Array.from(this.nodes.values());
+        const relations = Array.from(this.relations.values());
+        const tables = [];
+        if (nodesFile) {
+            tables.push([nodesFile, nodes, [idColumn, nameColumn], node => [node.id, node.name]]);
+        }
+        if (edgesFile) {
+            const undirected = relations.some(relation => relation.directed === false);
+            const fixed = [idColumn, fromColumn, toColumn, nameColumn].concat(undirected ? ['directed'] : []);
+            tables.push([edgesFile, relations, fixed, relation => [
+                relation.id,
+                relation.fromNodeId,
+                relation.toNodeId,
+                relation.name
+            ].concat(undirected ? [String(relation.directed !== false)] : [])]);
+        }
+
+        // Work out every header before writing anything
+        const writes = tables.map(([file, entities, fixed, fixedValues]) => {
+            const columns = [];
+            const seen = new Set();
+            entities.forEach(entity => Object.keys(flattenMetadata(entity.metadata)).forEach(column => {
+                if (seen.has(column)) return;
+                if (fixed.includes(column)) {
+                    throw new Error(`Metadata key "${column}" has the same name as a fixed column of ${file}; choose other column names`);
+                }
+                seen.add(column);
+                columns.push(column);
+            }));
+
+            const rows = function* () {
+                for (const entity of entities) {
+                    const flattened = flattenMetadata(entity.metadata);
+                    yield fixedValues(entity).concat(columns.map(column => (
+                        flattened[column] === undefined ? '' : formatValue(flattened[column])
+                    )));
+                }
+            };
+            return [file, fixed.concat(columns), rows()];
+        });
+
+        for (const [file, header, rows] of writes) {
+            await writeCSV(file, header, rows, delimiter);
+        }
+        return { nodes: nodesFile ? nodes.length : 0, relations: edgesFile ? relations.length : 0 };
+    }
+
+    /**
+     * toDOT(options)
+     * @description
+     *   Renders the graph, or part of it, as Graphviz DOT, e.g. for
+     *   `dot -Tsvg`. See `toMermaid` for the options; here `directed: false`
+     *   relations are drawn with `dir=none`, clusters become
+     *   `subgraph cluster_<n>` and the roots of a `searchAndTraverse`
+     *   hierarchy are drawn thicker.
+     * @param {Object} [options={}] – same as `toMermaid`
+     * @returns {string}
+     * @throws on an unrecognized `source`, shape or direction
+     */
+    toDOT(options = {}) {
+        return toDOT(this._visualizationGraph(options.source), options);
+    }
+
+    /**
+     * toMermaid(options)
+     * @description
+     *   Renders the graph, or part of it, as a Mermaid flowchart for
+     *   Markdown docs and PR discussions. Undirected relations are drawn
+     *   as `---`, clusters become `subgraph`s, styles become `classDef`s
+     *   and the roots of a `searchAndTraverse` hierarchy are outlined.
+     * @param {Object} [options={}]
+     * @param {Array|Object} [options.source] – what to draw: the whole
+     *   graph by default, or the result of `traverseFromNode` /
+     *   `traverseFromRelation` (triplets), `searchAndTraverse` (one or more
+     *   hierarchies) or `exportData`. Relations are drawn with both of
+     *   their nodes.
+     * @param {string|function(Object): string} [options.nodeLabel='name']
+     *   `'name'`, `'id'`, a metadata key (dotted for nested values; the name
+     *   is used when it is missing) or a function of the node
+     * @param {string|function(Object): string|null} [options.relationLabel='name']
+     *   the same for relations; `null` draws no labels
+     * @param {string|null} [options.styleBy=null] – metadata key whose value
+     *   picks the node style
+     * @param {Object<string, {fill?:string, stroke?:string, color?:string, shape?:string}>} [options.styles={}]
+     *   style per `styleBy` value; values without one get a fill color
+     *   from a built-in palette. `shape` is one of `box`, `round`,
+     *   `ellipse`, `circle`, `diamond`, `hexagon`, `stadium`
+     * @param {string|null} [options.clusterBy=null] – metadata key to group
+     *   nodes by; nodes without it are drawn outside any group
+     * @param {'LR'|'RL'|'TB'|'BT'} [options.direction='LR'] – layout direction
+     * @param {string} [options.title] – diagram title
+     * @returns {string}
+     * @throws on an unrecognized `source`, shape or direction
+     */
+    toMermaid(options = {}) {
+        return toMermaid(this._visualizationGraph(options.source), options);
+    }
+
+    /**
+     * _visualizationGraph(source)
+     * @internal
+     * @description
+     *   Collects the nodes and relations to draw for `toDOT` / `toMermaid`.
+     *   Relation endpoints missing from `source` (relations at the edge of
+     *   a hierarchy) are looked up; relations to deleted nodes are dropped.
+     * @param {Array|Object} [source]
+     * @returns {{nodes:Array, relations:Array, highlighted:Set<string>}}
+     *   `highlighted` holds the ids of hierarchy roots
+     * @throws if `source` is not a supported result
+     */
+    _visualizationGraph(source) {
+        const nodes = new Map();
+        const relations = new Map();
+        const highlighted = new Set();
+        const addNode = node => {
+            if (node) nodes.set(node.id, node);
+        };
+        const addRelation = relation => {
+            if (relation) relations.set(relation.id, relation);
+        };
+
+        const walk = item => {
+            if (!item) return;
+            if (item.type === 'node') {
+                addNode(item.entity);
+                (item.outgoingRelations || []).forEach(walk);
+                (item.incomingRelations || []).forEach(walk);
+            } else {
+                addRelation(item.entity);
+                walk(item.fromNode);
+                walk(item.toNode);
+            }
+        };
+        const isHierarchy = item => item && (item.type === 'node' || item.type === 'relation') && item.entity;
+
+        if (source === undefined || source === null) {
+            this.nodes.forEach(addNode);
+            this.relations.forEach(addRelation);
+        } else if (Array.isArray(source) && source.every(item => Array.isArray(item) && item.length === 3)) {
+            source.forEach(([fromNode, relation, toNode]) => {
+                addNode(fromNode);
+                addRelation(relation);
+                addNode(toNode);
+            });
+        } else if (Array.isArray(source.nodes) && Array.isArray(source.relations)) {
+            source.nodes.forEach(addNode);
+            source.relations.forEach(addRelation);
+        } else if ((Array.isArray(source) ? source : [source]).every(isHierarchy)) {
+            (Array.isArray(source) ? source : [source]).forEach(root => {
+                highlighted.add(root.entity.id);
+                walk(root);
+            });
+        } else {
+            throw new Error('Unrecognized source: pass triplets, searchAndTraverse results or { nodes, relations }');
+        }
+
+        const drawable = Array.from(relations.values()).filter(relation => (
+            [relation.fromNodeId, relation.toNodeId].every(nodeId => {
+                if (!nodes.has(nodeId) && this.nodes.has(nodeId)) {
+                    nodes.set(nodeId, this.nodes.get(nodeId));
+                }
+                return nodes.has(nodeId);
+            })
+        ));
+
+        return { nodes: Array.from(nodes.values()), relations: drawable, highlighted };
+    }
+
+    /**
+     * createSnapshot(name)
+     * @description
+     *   Saves the current nodes and relations as a named snapshot in
+     *   `<filePath>.snapshots/`. Storage is content-addressed per bucket
+     *   of entities, so a snapshot only writes the buckets that differ
+     *   from every stored one.
+     * @param {string} name – letters, digits, `_`, `-` and `.`
+     * @returns {{name:string,createdAt:number,nodes:number,relations:number,objectsWritten:number}}
+     * @throws if called inside a transaction, on an invalid name or if
+     *   the snapshot already exists
+     */
+    createSnapshot(name) {
+        this._assertNoTransaction('createSnapshot');
+        return this._snapshotStore().save(name, this.exportData());
+    }
+
+    /**
+     * listSnapshots()
+     * @description
+     *   Lists saved snapshots, oldest first.
+     * @returns {Array<{name:string,createdAt:number,nodes:number,relations:number}>}
+     */
+    listSnapshots() {
+        return this._snapshotStore().list();
+    }
+
+    /**
+     * restoreSnapshot(name)
+     * @description
+     *   Replaces the graph with a saved snapshot through `importData`, so
+     *   `nodeRelations` and all indexes are rebuilt and the data is
+     *   checked against the current schemas and unique constraints. Index,
+     *   schema and constraint definitions are left as they are.
+     * @param {string} name
+     * @returns {{name:string,nodes:number,relations:number}}
+     * @throws if called inside a transaction, if the snapshot does not
+     *   exist or is corrupt, or (as `ValidationError`) if its data breaks
+     *   a schema or constraint
+     */
+    restoreSnapshot(name) {
+        this._assertNoTransaction('restoreSnapshot');
+        this.importData(this._snapshotStore().load(name));
+        return { name, nodes: this.nodes.size, relations: this.relations.size };
+    }
+
+    /**
+     * deleteSnapshot(name)
+     * @description
+     *   Removes a snapshot and any stored data no other snapshot uses.
+     * @param {string} name
+     * @returns {boolean} whether the snapshot existed
+     */
+    deleteSnapshot(name) {
+        return this._snapshotStore().remove(name);
+    }
+
+    /**
+     * _snapshotStore()
+     * @internal
+     * @returns {SnapshotStore}
+     */
+    _snapshotStore() {
+        return new SnapshotStore(this.snapshotPath, (file, contents) => this._writeFileAtomic(file, contents));
     }
 
     /**
@@ -1106,12 +5038,29 @@ class TinyGraphDB {
      * @description
      *   Performs a deep clone of JSON-safe data via
      *   `JSON.parse(JSON.stringify(obj))` to avoid shared references.
+     *   Typed arrays come back as plain arrays.
      * @param {any} obj
      * @returns {any}
      */
     _clone(obj) {
-        return JSON.parse(JSON.stringify(obj));
+        return JSON.parse(JSON.stringify(obj, jsonReplacer));
     }
 }
 
+/**
+ * Anonymous traversal starter for `where()` / `repeat()`, e.g. `__.out('cites')`.
+ */
+TinyGraphDB.__ = __;
+
+/**
+ * Error class thrown on schema violations; carries `errors[]`.
+ */
+TinyGraphDB.ValidationError = ValidationError;
+
+/**
+ * HTTP/JSON server for a database instance, and the matching client.
+ */
+TinyGraphDB.createServer = createServer;
+TinyGraphDB.Client = TinyGraphClient;
+
 module.exports = TinyGraphDB;
@@ -0,0 +1,398 @@
+/**
+ * @class HashIndex
+ * @description
+ *   Equality index over one metadata key:
+ *     - `buckets: Map<value, Set<id>>` for `eq` / `in` lookups
+ *     - `values: Map<id, value>` so an entry can be removed without
+ *       knowing the value it was indexed under
+ *   Entities whose value is `undefined` are not indexed.
+ *
+ * @param {string} key – metadata key being indexed
+ */
+class HashIndex {
+    constructor(key) {
+        this.key = key;
+        this.type = 'hash';
+        this.buckets = new Map(); // value -> Set of ids
+        this.values = new Map(); // id -> indexed value
+    }
+
+    /**
+     * add(id, value)
+     * @description
+     *   Indexes `id` under `value`, replacing any previous entry for `id`.
+     * @param {string} id
+     * @param {any} value
+     * @returns {void}
+     */
+    add(id, value) {
+        this.remove(id);
+        if (value === undefined) return;
+
+        if (!this.buckets.has(value)) {
+            this.buckets.set(value, new Set());
+        }
+        this.buckets.get(value).add(id);
+        this.values.set(id, value);
+    }
+
+    /**
+     * remove(id)
+     * @description
+     *   Drops the entry for `id`, if any.
+     * @param {string} id
+     * @returns {void}
+     */
+    remove(id) {
+        if (!this.values.has(id)) return;
+
+        const value = this.values.get(id);
+        const bucket = this.buckets.get(value);
+        bucket.delete(id);
+        if (bucket.size === 0) {
+            this.buckets.delete(value);
+        }
+        this.values.delete(id);
+    }
+
+    /**
+     * lookup(value)
+     * @description
+     *   Returns the ids indexed under `value`.
+     * @param {any} value
+     * @returns {Set<string>}
+     */
+    lookup(value) {
+        return this.buckets.get(value) || new Set();
+    }
+
+    /**
+     * range(bounds)
+     * @description
+     *   Hash indexes cannot answer range queries.
+     * @returns {null}
+     */
+    range() {
+        return null;
+    }
+
+    /**
+     * clear()
+     * @description
+     *   Removes every entry.
+     * @returns {void}
+     */
+    clear() {
+        this.buckets.clear();
+        this.values.clear();
+    }
+
+    /**
+     * load(entities)
+     * @description
+     *   Replaces every entry with the values of `entities`.
+     * @param {Map<string, Object>|Object[]} entities
+     * @returns {void}
+     */
+    load(entities) {
+        this.clear();
+        entities.forEach(entity => this.add(entity.id, entity.metadata[this.key]));
+    }
+}
+
+/**
+ * @class SortedIndex
+ * @extends HashIndex
+ * @description
+ *   Equality + range index over one metadata key. Besides the hash
+ *   buckets it keeps numbers and strings in two arrays of `{value,id}`
+ *   sorted by value, searched with binary search. Range queries are only
+ *   answered when every indexed value has the same type as the bound;
+ *   otherwise JS comparison coercion could match values the index
+ *   would miss, so `range()` returns `null` and the caller scans.
+ *
+ * @param {string} key – metadata key being indexed
+ */
+class SortedIndex extends HashIndex {
+    constructor(key) {
+        super(key);
+        this.type = 'sorted';
+        this.sorted = { number: [], string: [] };
+        this.otherCount = 0; // indexed values that are neither finite-comparable numbers nor strings
+    }
+
+    add(id, value) {
+        super.add(id, value);
+        if (value === undefined) return;
+
+        const list = this._listFor(value);
+        if (list) {
+            list.splice(this._lowerBound(list, value, id), 0, { value, id });
+        } else {
+            this.otherCount++;
+        }
+    }
+
+    remove(id) {
+        if (!this.values.has(id)) return;
+
+        const value = this.values.get(id);
+        const list = this._listFor(value);
+        if (list) {
+            const i = this._lowerBound(list, value, id);
+            if (i < list.length && list[i].id === id) {
+                list.splice(i, 1);
+            }
+        } else {
+            this.otherCount--;
+        }
+
+        super.remove(id);
+    }
+
+    /**
+     * range({ gt, gte, lt, lte })
+     * @description
+     *   Returns ids whose value satisfies every given bound, or `null`
+     *   if the index cannot answer exactly (mixed value types, or bounds
+     *   of different types).
+     * @param {{gt?:any,gte?:any,lt?:any,lte?:any}} bounds
+     * @returns {Set<string>|null}
+     */
+    range(bounds) {
+        const defined = ['gt', 'gte', 'lt', 'lte'].filter(op => bounds[op] !== undefined);
+        if (defined.length === 0) return null;
+
+        const type = typeof bounds[defined[0]];
+        if ((type !== 'number' && type !== 'string') || defined.some(op => typeof bounds[op] !== type)) {
+            return null;
+        }
+        if (defined.some(op => Number.isNaN(bounds[op]))) return null;
+
+        const otherType = type === 'number' ? 'string' : 'number';
+        if (this.otherCount > 0 || this.sorted[otherType].length > 0) {
+            return null;
+        }
+
+        const list = this.sorted[type];
+        let start = 0;
+        let end = list.length;
+
+        if (bounds.gte !== undefined) start = Math.max(start, this._firstIndex(list, v => v >= bounds.gte));
+        if (bounds.gt !== undefined) start = Math.max(start, this._firstIndex(list, v => v > bounds.gt));
+        if (bounds.lte !== undefined) end = Math.min(end, this._firstIndex(list, v => v > bounds.lte));
+        if (bounds.lt !== undefined) end = Math.min(end, this._firstIndex(list, v => v >= bounds.lt));
+
+        const ids = new Set();
+        for (let i = start; i < end; i++) {
+            ids.add(list[i].id);
+        }
+        return ids;
+    }
+
+    clear() {
+        super.clear();
+        this.sorted = { number: [], string: [] };
+        this.otherCount = 0;
+    }
+
+    /**
+     * load(entities)
+     * @description
+     *   Bulk version of `add()`: appends every value and sorts each array
+     *   once, instead of a splice per entity.
+     * @param {Map<string, Object>|Object[]} entities
+     * @returns {void}
+     */
+    load(entities) {
+        this.clear();
+        entities.forEach(entity => {
+            const value = entity.metadata[this.key];
+            HashIndex.prototype.add.call(this, entity.id, value);
+            if (value === undefined) return;
+
+            const list = this._listFor(value);
+            if (list) {
+                list.push({ value, id: entity.id });
+            } else {
+                this.otherCount++;
+            }
+        });
+
+        // Same order as `_lowerBound()`: by value, then id
+        const compare = (a, b) => {
+            if (a.value !== b.value) return a.value < b.value ? -1 : 1;
+            if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+            return 0;
+        };
+        this.sorted.number.sort(compare);
+        this.sorted.string.sort(compare);
+    }
+
+    /**
+     * _listFor(value)
+     * @internal
+     * @description
+     *   Picks the sorted array a value belongs to, or `null` for values
+     *   that only live in the hash buckets (`null`, booleans, NaN, objects…).
+     * @param {any} value
+     * @returns {Array|null}
+     */
+    _listFor(value) {
+        if (typeof value === 'number' && !Number.isNaN(value)) return this.sorted.number;
+        if (typeof value === 'string') return this.sorted.string;
+        return null;
+    }
+
+    /**
+     * _lowerBound(list, value, id)
+     * @internal
+     * @description
+     *   Position of the first entry not less than `(value, id)`.
+     * @returns {number}
+     */
+    _lowerBound(list, value, id) {
+        let lo = 0;
+        let hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            const entry = list[mid];
+            if (entry.value < value || (entry.value === value && entry.id < id)) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * _firstIndex(list, predicate)
+     * @internal
+     * @description
+     *   Position of the first entry whose value satisfies a predicate
+     *   that is monotonic over the sorted order.
+     * @returns {number}
+     */
+    _firstIndex(list, predicate) {
+        let lo = 0;
+        let hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (predicate(list[mid].value)) {
+                hi = mid;
+            } else {
+                lo = mid + 1;
+            }
+        }
+        return lo;
+    }
+}
+
+/**
+ * @class UniqueIndex
+ * @description
+ *   Backs a unique constraint over one or more fields of an entity
+ *   (`name`, `fromNodeId`, `toNodeId` or `metadata.<path>`). Maps the
+ *   combined value of the fields to the id owning it. Entities with a
+ *   missing or `null` field are not constrained.
+ *
+ * @param {string[]} fields
+ */
+class UniqueIndex {
+    constructor(fields) {
+        this.fields = fields;
+        this.owners = new Map(); // value key -> id
+        this.keys = new Map(); // id -> value key
+    }
+
+    /**
+     * keyOf(entity)
+     * @description
+     *   Serializes the constrained field values of `entity`.
+     * @param {Object} entity
+     * @returns {string|null} `null` if any field is missing or `null`
+     */
+    keyOf(entity) {
+        const values = this.fields.map(field => readField(entity, field));
+        if (values.some(value => value === undefined || value === null)) return null;
+        return JSON.stringify(values);
+    }
+
+    /**
+     * ownerOf(entity)
+     * @description
+     *   Returns the id of the entity already holding `entity`'s values.
+     * @param {Object} entity
+     * @returns {string|undefined}
+     */
+    ownerOf(entity) {
+        const key = this.keyOf(entity);
+        return key === null ? undefined : this.owners.get(key);
+    }
+
+    /**
+     * add(entity)
+     * @description
+     *   Records `entity` as the owner of its values, replacing its
+     *   previous entry.
+     * @param {Object} entity
+     * @returns {void}
+     */
+    add(entity) {
+        this.remove(entity.id);
+
+        const key = this.keyOf(entity);
+        if (key === null) return;
+        this.owners.set(key, entity.id);
+        this.keys.set(entity.id, key);
+    }
+
+    /**
+     * remove(id)
+     * @description
+     *   Drops the entry for `id`, if any.
+     * @param {string} id
+     * @returns {void}
+     */
+    remove(id) {
+        const key = this.keys.get(id);
+        if (key === undefined) return;
+
+        if (this.owners.get(key) === id) {
+            this.owners.delete(key);
+        }
+        this.keys.delete(id);
+    }
+
+    /**
+     * clear()
+     * @description
+     *   Removes every entry.
+     * @returns {void}
+     */
+    clear() {
+        this.owners.clear();
+        this.keys.clear();
+    }
+}
+
+/**
+ * readField(entity, field)
+ * @description
+ *   Reads `name`, `id`, `fromNodeId`, `toNodeId` or a dotted
+ *   `metadata.<path>` from an entity.
+ * @param {Object} entity
+ * @param {string} field
+ * @returns {any}
+ */
+function readField(entity, field) {
+    let value = entity;
+    for (const part of field.split('.')) {
+        if (value === undefined || value === null) return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+module.exports = { HashIndex, SortedIndex, UniqueIndex };
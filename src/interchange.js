@@ -0,0 +1,471 @@
+const { parseXML, escapeXML, localName } = require('./xml');
+const { jsonReplacer } = require('./vectors');
+
+/**
+ * GraphML and GEXF conversion for `exportData()` / `importData()` data.
+ *
+ * Metadata keys become typed attribute keys (`boolean`, `long`, `double`
+ * or `string`), one per key name, typed from every value it takes.
+ * Anything else (embeddings, arrays, nested objects, null, keys whose
+ * values mix types) is written as a JSON string on a `string` key marked
+ * `tgdb:encoding="json"`, so it is decoded back to the same value on
+ * import. Other tools simply see a string attribute.
+ */
+
+const NAMESPACE = 'https://github.com/freakynit/tiny-graph-db';
+const GRAPHML_NAMESPACE = 'http://graphml.graphdrawing.org/xmlns';
+const GEXF_NAMESPACE = 'http://gexf.net/1.3';
+
+// Relation name for imported edges without a label
+const DEFAULT_RELATION_NAME = 'related_to';
+
+// Characters XML 1.0 cannot carry, even as character references
+const NON_XML_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF]/;
+
+const TYPE_ALIASES = {
+    int: 'long', integer: 'long', long: 'long', short: 'long', byte: 'long', biginteger: 'long',
+    float: 'double', double: 'double', bigdecimal: 'double',
+    boolean: 'boolean'
+};
+
+/**
+ * toGraphML(data)
+ * @description
+ *   Writes a GraphML document. Relation names and node names are stored
+ *   in a `label` key; undirected relations get `directed="false"` (or the
+ *   whole graph `edgedefault="undirected"` when every relation is).
+ * @param {{nodes:Array,relations:Array}} data
+ * @returns {string}
+ */
+function toGraphML({ nodes, relations }) {
+    const nodeKeys = attributeKeys(nodes);
+    const edgeKeys = attributeKeys(relations);
+    const allUndirected = relations.length > 0 && relations.every(relation => relation.directed === false);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<graphml xmlns="${GRAPHML_NAMESPACE}" xmlns:tgdb="${NAMESPACE}">`
+    ];
+
+    [['node', 'n', nodeKeys], ['edge', 'e', edgeKeys]].forEach(([domain, prefix, keys]) => {
+        lines.push(`  <key id="${prefix}0" for="${domain}" attr.name="label" attr.type="string" tgdb:role="name"/>`);
+        keys.forEach((key, i) => {
+            key.id = `${prefix}${i + 1}`;
+            lines.push(`  <key id="${key.id}" for="${domain}" attr.name="${escapeXML(key.name)}" attr.type="${xmlType(key)}"${encodingAttribute(key)}/>`);
+        });
+    });
+
+    lines.push(`  <graph id="G" edgedefault="${allUndirected ? 'undirected' : 'directed'}">`);
+    nodes.forEach(node => {
+        lines.push(`    <node id="${escapeXML(node.id)}">`);
+        lines.push(`      <data key="n0">${escapeXML(node.name)}</data>`);
+        graphMLData(nodeKeys, node.metadata).forEach(line => lines.push(`      ${line}`));
+        lines.push('    </node>');
+    });
+    relations.forEach(relation => {
+        const directed = allUndirected || relation.directed !== false ? '' : ' directed="false"';
+        lines.push(`    <edge id="${escapeXML(relation.id)}" source="${escapeXML(relation.fromNodeId)}" target="${escapeXML(relation.toNodeId)}"${directed}>`);
+        lines.push(`      <data key="e0">${escapeXML(relation.name)}</data>`);
+        graphMLData(edgeKeys, relation.metadata).forEach(line => lines.push(`      ${line}`));
+        lines.push('    </edge>');
+    });
+    lines.push('  </graph>', '</graphml>', '');
+
+    return lines.join('\n');
+}
+
+function graphMLData(keys, metadata = {}) {
+    return keys
+        .filter(key => metadata[key.name] !== undefined)
+        .map(key => `<data key="${key.id}">${escapeXML(encodeValue(key, metadata[key.name]))}</data>`);
+}
+
+/**
+ * fromGraphML(text)
+ * @description
+ *   Reads the first graph of a GraphML document, including the nodes and
+ *   edges of nested graphs. Names come from our `label` key, otherwise a
+ *   `label` or `name` attribute or a yEd label, falling back to the node
+ *   id (or `related_to` for edges). Key defaults are applied; keys without
+ *   `attr.name` (such as yEd graphics) are skipped.
+ * @param {string} text
+ * @returns {{nodes:Array,relations:Array}}
+ * @throws on malformed XML, a missing graph, duplicate ids or edges to unknown nodes
+ */
+function fromGraphML(text) {
+    const root = parseXML(text);
+    if (localName(root.name) !== 'graphml') {
+        throw new Error(`Not a GraphML document: root element is <${root.name}>`);
+    }
+    const graph = childrenNamed(root, 'graph')[0];
+    if (!graph) {
+        throw new Error('GraphML document has no <graph>');
+    }
+
+    const keys = { node: new Map(), edge: new Map() };
+    childrenNamed(root, 'key').forEach(element => {
+        const attributes = element.attributes;
+        const domain = attributes.for || 'all';
+        if (!attributes['attr.name'] || !['node', 'edge', 'all'].includes(domain)) return;
+
+        const defaultElement = childrenNamed(element, 'default')[0];
+        const key = {
+            id: attributes.id,
+            name: attributes['attr.name'],
+            type: importType(attributes['attr.type'], attributes['tgdb:encoding']),
+            role: attributes['tgdb:role'],
+            defaultText: defaultElement ? defaultElement.text : undefined
+        };
+        if (domain !== 'edge') keys.node.set(key.id, key);
+        if (domain !== 'node') keys.edge.set(key.id, key);
+    });
+
+    const elements = { node: [], edge: [] };
+    collectGraphElements(graph, elements);
+    const edgesDirected = graph.attributes.edgedefault !== 'undirected';
+
+    const nodes = elements.node.map(element => {
+        const { name, metadata } = readGraphMLData(element, keys.node, 'NodeLabel');
+        return { id: element.attributes.id, name: name === undefined ? element.attributes.id : name, metadata };
+    });
+    const relations = elements.edge.map(element => {
+        const { name, metadata } = readGraphMLData(element, keys.edge, 'EdgeLabel');
+        const relation = {
+            id: element.attributes.id,
+            name: name === undefined ? DEFAULT_RELATION_NAME : name,
+            fromNodeId: element.attributes.source,
+            toNodeId: element.attributes.target,
+            metadata
+        };
+        const directed = element.attributes.directed === undefined
+            ? edgesDirected
+            : element.attributes.directed === 'true';
+        if (!directed) relation.directed = false;
+        return relation;
+    });
+
+    return finish(nodes, relations);
+}
+
+function collectGraphElements(graph, elements) {
+    graph.children.forEach(child => {
+        const name = localName(child.name);
+        if (name === 'node' || name === 'edge') {
+            elements[name].push(child);
+        }
+        if (name === 'node') {
+            childrenNamed(child, 'graph').forEach(nested => collectGraphElements(nested, elements));
+        }
+    });
+}
+
+function readGraphMLData(element, keys, yedLabel) {
+    const values = new Map();
+    childrenNamed(element, 'data').forEach(data => {
+        if (keys.has(data.attributes.key)) values.set(data.attributes.key, data.text);
+    });
+
+    const byName = name => Array.from(keys.values()).find(key => key.name === name);
+    const nameKey = Array.from(keys.values()).find(key => key.role === 'name') || byName('label') || byName('name');
+
+    let name;
+    const metadata = {};
+    keys.forEach(key => {
+        const text = values.has(key.id) ? values.get(key.id) : key.defaultText;
+        if (text === undefined) return;
+        if (key === nameKey) {
+            name = text;
+        } else {
+            metadata[key.name] = decodeValue(key, text);
+        }
+    });
+
+    if (name === undefined) {
+        const label = findDescendant(element, yedLabel);
+        if (label && label.text.trim() !== '') name = label.text.trim();
+    }
+    return { name, metadata };
+}
+
+/**
+ * toGEXF(data)
+ * @description
+ *   Writes a GEXF 1.3 document. Names become node and edge labels, a
+ *   numeric `weight` metadata value is also written as the edge weight,
+ *   and undirected relations get `type="undirected"` (or the graph
+ *   `defaultedgetype="undirected"` when every relation is).
+ * @param {{nodes:Array,relations:Array}} data
+ * @returns {string}
+ */
+function toGEXF({ nodes, relations }) {
+    const nodeKeys = attributeKeys(nodes);
+    const edgeKeys = attributeKeys(relations);
+    const allUndirected = relations.length > 0 && relations.every(relation => relation.directed === false);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gexf xmlns="${GEXF_NAMESPACE}" xmlns:tgdb="${NAMESPACE}" version="1.3">`,
+        '  <meta>',
+        '    <creator>tiny-graph-db</creator>',
+        '  </meta>',
+        `  <graph mode="static" defaultedgetype="${allUndirected ? 'undirected' : 'directed'}">`
+    ];
+
+    [['node', nodeKeys], ['edge', edgeKeys]].forEach(([domain, keys]) => {
+        if (keys.length === 0) return;
+        lines.push(`    <attributes class="${domain}">`);
+        keys.forEach((key, i) => {
+            key.id = String(i);
+            lines.push(`      <attribute id="${key.id}" title="${escapeXML(key.name)}" type="${xmlType(key)}"${encodingAttribute(key)}/>`);
+        });
+        lines.push('    </attributes>');
+    });
+
+    lines.push('    <nodes>');
+    nodes.forEach(node => {
+        const values = gexfValues(nodeKeys, node.metadata);
+        const open = `      <node id="${escapeXML(node.id)}" label="${escapeXML(node.name)}"`;
+        if (values.length === 0) {
+            lines.push(`${open}/>`);
+            return;
+        }
+        lines.push(`${open}>`, '        <attvalues>');
+        values.forEach(line => lines.push(`          ${line}`));
+        lines.push('        </attvalues>', '      </node>');
+    });
+    lines.push('    </nodes>', '    <edges>');
+    relations.forEach(relation => {
+        const values = gexfValues(edgeKeys, relation.metadata);
+        const weight = relation.metadata && typeof relation.metadata.weight === 'number' && Number.isFinite(relation.metadata.weight)
+            ? ` weight="${relation.metadata.weight}"`
+            : '';
+        const type = allUndirected || relation.directed !== false ? '' : ' type="undirected"';
+        const open = `      <edge id="${escapeXML(relation.id)}" source="${escapeXML(relation.fromNodeId)}" target="${escapeXML(relation.toNodeId)}" label="${escapeXML(relation.name)}"${type}${weight}`;
+        if (values.length === 0) {
+            lines.push(`${open}/>`);
+            return;
+        }
+        lines.push(`${open}>`, '        <attvalues>');
+        values.forEach(line => lines.push(`          ${line}`));
+        lines.push('        </attvalues>', '      </edge>');
+    });
+    lines.push('    </edges>', '  </graph>', '</gexf>', '');
+
+    return lines.join('\n');
+}
+
+function gexfValues(keys, metadata = {}) {
+    return keys
+        .filter(key => metadata[key.name] !== undefined)
+        .map(key => `<attvalue for="${key.id}" value="${escapeXML(encodeValue(key, metadata[key.name]))}"/>`);
+}
+
+/**
+ * fromGEXF(text)
+ * @description
+ *   Reads a GEXF (1.1 – 1.3) document. Labels become names, falling back
+ *   to the node id (or the edge `kind`, then `related_to`). Attribute
+ *   defaults are applied, and an edge `weight` is kept as
+ *   `metadata.weight` unless an attribute of that name is set.
+ *   Visualization and dynamic (time) data are ignored.
+ * @param {string} text
+ * @returns {{nodes:Array,relations:Array}}
+ * @throws on malformed XML, a missing graph, duplicate ids or edges to unknown nodes
+ */
+function fromGEXF(text) {
+    const root = parseXML(text);
+    if (localName(root.name) !== 'gexf') {
+        throw new Error(`Not a GEXF document: root element is <${root.name}>`);
+    }
+    const graph = childrenNamed(root, 'graph')[0];
+    if (!graph) {
+        throw new Error('GEXF document has no <graph>');
+    }
+
+    const keys = { node: new Map(), edge: new Map() };
+    childrenNamed(graph, 'attributes').forEach(group => {
+        const domain = group.attributes.class;
+        if (!keys[domain]) return;
+        childrenNamed(group, 'attribute').forEach(element => {
+            const attributes = element.attributes;
+            const defaultElement = childrenNamed(element, 'default')[0];
+            keys[domain].set(attributes.id, {
+                id: attributes.id,
+                name: attributes.title || attributes.id,
+                type: importType(attributes.type, attributes['tgdb:encoding']),
+                defaultText: defaultElement ? defaultElement.text : undefined
+            });
+        });
+    });
+
+    const edgesDirected = !['undirected', 'mutual'].includes(graph.attributes.defaultedgetype);
+    const section = name => {
+        const container = childrenNamed(graph, name)[0];
+        return container ? childrenNamed(container, name.slice(0, -1)) : [];
+    };
+
+    const nodes = section('nodes').map(element => ({
+        id: element.attributes.id,
+        name: element.attributes.label === undefined ? element.attributes.id : element.attributes.label,
+        metadata: readGEXFValues(element, keys.node)
+    }));
+    const relations = section('edges').map(element => {
+        const attributes = element.attributes;
+        const metadata = readGEXFValues(element, keys.edge);
+        if (attributes.weight !== undefined && metadata.weight === undefined) {
+            metadata.weight = Number(attributes.weight);
+        }
+        const relation = {
+            id: attributes.id,
+            name: attributes.label !== undefined ? attributes.label : attributes.kind || DEFAULT_RELATION_NAME,
+            fromNodeId: attributes.source,
+            toNodeId: attributes.target,
+            metadata
+        };
+        const directed = attributes.type === undefined
+            ? edgesDirected
+            : !['undirected', 'mutual'].includes(attributes.type);
+        if (!directed) relation.directed = false;
+        return relation;
+    });
+
+    return finish(nodes, relations);
+}
+
+function readGEXFValues(element, keys) {
+    const values = new Map();
+    const container = childrenNamed(element, 'attvalues')[0];
+    if (container) {
+        childrenNamed(container, 'attvalue').forEach(attvalue => {
+            // GEXF 1.1 used `id` where later versions use `for`
+            const id = attvalue.attributes.for !== undefined ? attvalue.attributes.for : attvalue.attributes.id;
+            if (keys.has(id)) values.set(id, attvalue.attributes.value);
+        });
+    }
+
+    const metadata = {};
+    keys.forEach(key => {
+        const text = values.has(key.id) ? values.get(key.id) : key.defaultText;
+        if (text !== undefined) {
+            metadata[key.name] = decodeValue(key, text);
+        }
+    });
+    return metadata;
+}
+
+/**
+ * Types each metadata key from all of its values, in first-seen order.
+ * @returns {Array<{name:string,type:'boolean'|'long'|'double'|'string'|'json'}>}
+ */
+function attributeKeys(entities) {
+    const types = new Map();
+    entities.forEach(entity => {
+        Object.entries(entity.metadata || {}).forEach(([name, value]) => {
+            if (value === undefined) return;
+            const type = valueType(value);
+            const previous = types.get(name);
+            if (previous === undefined || previous === type) {
+                types.set(name, type);
+            } else if ((previous === 'long' && type === 'double') || (previous === 'double' && type === 'long')) {
+                types.set(name, 'double');
+            } else {
+                types.set(name, 'json');
+            }
+        });
+    });
+    return Array.from(types, ([name, type]) => ({ name, type }));
+}
+
+function valueType(value) {
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return Number.isSafeInteger(value) ? 'long' : 'double';
+    if (typeof value === 'string') return NON_XML_CHARACTERS.test(value) ? 'json' : 'string';
+    return 'json';
+}
+
+function xmlType(key) {
+    return key.type === 'json' ? 'string' : key.type;
+}
+
+function encodingAttribute(key) {
+    return key.type === 'json' ? ' tgdb:encoding="json"' : '';
+}
+
+function importType(type, encoding) {
+    if (encoding === 'json') return 'json';
+    return TYPE_ALIASES[String(type).toLowerCase()] || 'string';
+}
+
+function encodeValue(key, value) {
+    if (key.type === 'json') return JSON.stringify(value, jsonReplacer);
+    return String(value);
+}
+
+function decodeValue(key, text) {
+    switch (key.type) {
+        case 'json':
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid JSON in attribute "${key.name}": ${error.message}`);
+            }
+        case 'boolean':
+            return ['true', '1'].includes(text.trim().toLowerCase());
+        case 'long':
+            return Number(text.trim());
+        case 'double': {
+            const trimmed = text.trim();
+            if (/^[+-]?INF$/i.test(trimmed)) return trimmed[0] === '-' ? -Infinity : Infinity;
+            return Number(trimmed);
+        }
+        default:
+            return text;
+    }
+}
+
+// Checks ids and endpoints and gives id-less edges an id
+function finish(nodes, relations) {
+    const nodeIds = new Set();
+    nodes.forEach(node => {
+        if (node.id === undefined || node.id === '') {
+            throw new Error('Node without an id');
+        }
+        if (nodeIds.has(node.id)) {
+            throw new Error(`Duplicate node id: ${node.id}`);
+        }
+        nodeIds.add(node.id);
+    });
+
+    const relationIds = new Set(relations.map(relation => relation.id).filter(id => id !== undefined));
+    let counter = 0;
+    relations.forEach(relation => {
+        if (relation.id === undefined) {
+            while (relationIds.has(`e${counter}`)) counter++;
+            relation.id = `e${counter}`;
+            relationIds.add(relation.id);
+        }
+        [relation.fromNodeId, relation.toNodeId].forEach(nodeId => {
+            if (!nodeIds.has(nodeId)) {
+                throw new Error(`Edge ${relation.id} refers to unknown node ${nodeId}`);
+            }
+        });
+    });
+    if (relationIds.size !== relations.length) {
+        throw new Error('Duplicate edge ids');
+    }
+
+    return { nodes, relations };
+}
+
+function childrenNamed(element, name) {
+    return element.children.filter(child => localName(child.name) === name);
+}
+
+function findDescendant(element, name) {
+    for (const child of element.children) {
+        if (localName(child.name) === name) return child;
+        const found = findDescendant(child, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+module.exports = { toGraphML, fromGraphML, toGEXF, fromGEXF };
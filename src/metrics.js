@@ -0,0 +1,129 @@
+/**
+ * Vector similarity / distance metrics.
+ *
+ * Every metric has a `type`:
+ *   - `similarity`: larger is closer; results sort descending and a
+ *     threshold is a minimum score
+ *   - `distance`: smaller is closer; results sort ascending and a
+ *     threshold is a maximum score
+ */
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+function euclidean(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return Math.sqrt(sum);
+}
+
+function manhattan(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += Math.abs(a[i] - b[i]);
+    }
+    return sum;
+}
+
+/**
+ * cosineDistance(a, b)
+ * @description
+ *   `1 - cosine similarity`; 0 for identical direction, 2 for opposite.
+ *   Zero vectors are treated as orthogonal to everything.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineDistance(a, b) {
+    return 1 - cosine(a, b);
+}
+
+const BUILT_IN = {
+    cosine: { fn: cosine, type: 'similarity', toDistance: cosineDistance },
+    dot: { fn: dot, type: 'similarity', toDistance: (a, b) => -dot(a, b) },
+    euclidean: { fn: euclidean, type: 'distance', toDistance: euclidean },
+    manhattan: { fn: manhattan, type: 'distance', toDistance: manhattan }
+};
+
+/**
+ * resolveMetric(metric, [metricType])
+ * @description
+ *   Normalizes a `metric` option into a descriptor:
+ *     - `name`: built-in name, or `'custom'`
+ *     - `fn(a, b)`: the raw score
+ *     - `isDistance`: whether smaller scores are closer
+ *     - `toDistance(a, b)`: a "smaller is closer" form, for ANN indexes
+ *     - `defaultThreshold`: 0.5 for cosine (historical default), otherwise
+ *       no cutoff
+ *     - `passes(score, threshold)`: threshold check in the right direction
+ *     - `compare(a, b)`: sort comparator for scores, closest first
+ * @param {'cosine'|'dot'|'euclidean'|'manhattan'|function} [metric='cosine']
+ * @param {'similarity'|'distance'} [metricType='similarity'] – only used
+ *   for custom functions
+ * @returns {Object}
+ * @throws on an unknown metric name
+ */
+function resolveMetric(metric = 'cosine', metricType = 'similarity') {
+    let name;
+    let fn;
+    let type;
+    let toDistance;
+
+    if (typeof metric === 'function') {
+        if (metricType !== 'similarity' && metricType !== 'distance') {
+            throw new Error(`Unknown metric type: ${metricType}`);
+        }
+        name = 'custom';
+        fn = metric;
+        type = metricType;
+        toDistance = type === 'distance' ? fn : (a, b) => -fn(a, b);
+    } else if (Object.prototype.hasOwnProperty.call(BUILT_IN, metric)) {
+        name = metric;
+        ({ fn, type, toDistance } = BUILT_IN[metric]);
+    } else {
+        throw new Error(`Unknown similarity metric: ${metric}`);
+    }
+
+    const isDistance = type === 'distance';
+    return {
+        name,
+        fn,
+        isDistance,
+        toDistance,
+        defaultThreshold: name === 'cosine' ? 0.5 : (isDistance ? Infinity : -Infinity),
+        passes: isDistance
+            ? (score, threshold) => score <= threshold
+            : (score, threshold) => score >= threshold,
+        compare: isDistance
+            ? (a, b) => a - b
+            : (a, b) => b - a
+    };
+}
+
+module.exports = {
+    resolveMetric,
+    cosineDistance,
+    metrics: { cosine, dot, euclidean, manhattan },
+    METRIC_NAMES: Object.keys(BUILT_IN)
+};
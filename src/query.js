@@ -0,0 +1,979 @@
+/**
+ * Cypher-like query language for `TinyGraphDB.query()`.
+ *
+ * Supported subset:
+ *
+ *   MATCH pattern [, pattern ...] [MATCH ...]
+ *   [WHERE predicate]
+ *   RETURN [DISTINCT] item [AS alias] [, ...] | *
+ *   [ORDER BY expression [ASC|DESC] [, ...]]
+ *   [SKIP n] [LIMIT n]
+ *
+ *   pattern:   (a:label {key: value})-[r:name1|name2 *min..max {key: value}]->(b)
+ *              relations may point either way (`->`, `<-`) or be undirected (`-`);
+ *              `-->`, `<--` and `--` are anonymous relations
+ *   labels:    a node label matches `metadata.type`, a relation label its `name`
+ *   predicate: comparisons (`=`, `<>`, `!=`, `<`, `<=`, `>`, `>=`, `IN`, `CONTAINS`,
+ *              `STARTS WITH`, `ENDS WITH`, `IS [NOT] NULL`) combined with
+ *              `AND`, `OR`, `NOT` and parentheses
+ *   values:    numbers, strings, `true`, `false`, `null`, lists, `$params`,
+ *              `var.key` (`id`, `name`, `fromNodeId` and `toNodeId` read the
+ *              entity itself, any other key its metadata)
+ *   items:     `var`, `var.key`, literals, `count(*)`, `count([DISTINCT] expr)`
+ *
+ * Comparisons are evaluated with `matchesMetadataConditions` (so
+ * `CONTAINS` is case-insensitive, as in `searchNodes`); a comparison with
+ * a missing value is neither true nor false, as in Cypher. Within one
+ * query a relation is matched at most once per result row.
+ */
+
+const KEYWORDS = new Set([
+    'MATCH', 'WHERE', 'RETURN', 'DISTINCT', 'AS', 'ORDER', 'BY', 'ASC', 'ASCENDING',
+    'DESC', 'DESCENDING', 'SKIP', 'LIMIT', 'AND', 'OR', 'NOT', 'IN', 'CONTAINS',
+    'STARTS', 'ENDS', 'WITH', 'IS', 'NULL', 'TRUE', 'FALSE'
+]);
+
+const COMPARISON_OPERATORS = {
+    '=': 'eq',
+    '<>': 'ne',
+    '!=': 'ne',
+    '<': 'lt',
+    '<=': 'lte',
+    '>': 'gt',
+    '>=': 'gte'
+};
+
+// Operators whose metadata-condition form never rejects a row the full
+// predicate would accept, so they can pre-filter candidates (and use indexes)
+const PUSHDOWN_OPERATORS = new Set(['eq', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'startsWith', 'endsWith']);
+
+const ENTITY_FIELDS = new Set(['id', 'name', 'fromNodeId', 'toNodeId']);
+
+/**
+ * tokenize(text)
+ * @internal
+ * @param {string} text
+ * @returns {Array<{type:string, value:any, start:number, end:number}>}
+ * @throws on characters that cannot start a token and unterminated strings
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    const push = (type, value, start) => tokens.push({ type, value, start, end: i });
+
+    while (i < text.length) {
+        const ch = text[i];
+        const start = i;
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            while (i < text.length && /[A-Za-z0-9_]/.test(text[i])) i++;
+            const word = text.slice(start, i);
+            const upper = word.toUpperCase();
+            if (KEYWORDS.has(upper)) {
+                push('keyword', upper, start);
+            } else {
+                push('ident', word, start);
+            }
+        } else if (ch === '`') {
+            const close = text.indexOf('`', i + 1);
+            if (close === -1) throw syntaxError(text, start, 'unterminated quoted name');
+            i = close + 1;
+            push('ident', text.slice(start + 1, close), start);
+        } else if (/[0-9]/.test(ch)) {
+            const match = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+            i += match[0].length;
+            push('number', Number(match[0]), start);
+        } else if (ch === '"' || ch === '\'') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== ch) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    const escaped = text[i + 1];
+                    value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                    i += 2;
+                } else {
+                    value += text[i++];
+                }
+            }
+            if (i >= text.length) throw syntaxError(text, start, 'unterminated string');
+            i++;
+            push('string', value, start);
+        } else if (ch === '$') {
+            i++;
+            while (i < text.length && /[A-Za-z0-9_]/.test(text[i])) i++;
+            if (i === start + 1) throw syntaxError(text, start, 'expected a parameter name after $');
+            push('param', text.slice(start + 1, i), start);
+        } else {
+            const two = text.slice(i, i + 2);
+            if (['..', '<=', '>=', '<>', '!='].includes(two)) {
+                i += 2;
+                push('punct', two, start);
+            } else if ('()[]{}:,.*|-<>='.includes(ch)) {
+                i++;
+                push('punct', ch, start);
+            } else {
+                throw syntaxError(text, start, `unexpected character '${ch}'`);
+            }
+        }
+    }
+
+    tokens.push({ type: 'eof', value: null, start: text.length, end: text.length });
+    return tokens;
+}
+
+function syntaxError(text, position, message) {
+    return new Error(`Query syntax error at position ${position}: ${message}`);
+}
+
+/**
+ * @class Parser
+ * @internal
+ * @description
+ *   Recursive-descent parser producing the query AST consumed by
+ *   `executeQuery`.
+ */
+class Parser {
+    constructor(text) {
+        this.text = text;
+        this.tokens = tokenize(text);
+        this.pos = 0;
+        this.anonymousCount = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    is(type, value) {
+        const token = this.peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+
+    accept(type, value) {
+        if (!this.is(type, value)) return null;
+        return this.next();
+    }
+
+    expect(type, value) {
+        if (!this.is(type, value)) {
+            const token = this.peek();
+            const found = token.type === 'eof' ? 'end of query' : `'${this.text.slice(token.start, token.end)}'`;
+            throw syntaxError(this.text, token.start, `expected ${value || type}, found ${found}`);
+        }
+        return this.next();
+    }
+
+    parseQuery() {
+        const patterns = [];
+        this.expect('keyword', 'MATCH');
+        do {
+            do {
+                patterns.push(this.parsePattern());
+            } while (this.accept('punct', ','));
+        } while (this.accept('keyword', 'MATCH'));
+
+        const where = this.accept('keyword', 'WHERE') ? this.parseExpression() : null;
+
+        this.expect('keyword', 'RETURN');
+        const distinct = Boolean(this.accept('keyword', 'DISTINCT'));
+        let items = null;
+        if (!this.accept('punct', '*')) {
+            items = [];
+            do {
+                const { expr, source } = this.parseWithSource(() => this.parseExpression());
+                const alias = this.accept('keyword', 'AS') ? this.expect('ident').value : source;
+                items.push({ expr, alias });
+            } while (this.accept('punct', ','));
+        }
+
+        const orderBy = [];
+        if (this.accept('keyword', 'ORDER')) {
+            this.expect('keyword', 'BY');
+            do {
+                const { expr, source } = this.parseWithSource(() => this.parseExpression());
+                let descending = false;
+                if (this.accept('keyword', 'DESC') || this.accept('keyword', 'DESCENDING')) {
+                    descending = true;
+                } else if (!this.accept('keyword', 'ASC')) {
+                    this.accept('keyword', 'ASCENDING');
+                }
+                orderBy.push({ expr, source, descending });
+            } while (this.accept('punct', ','));
+        }
+
+        const skip = this.accept('keyword', 'SKIP') ? this.parseCount() : null;
+        const limit = this.accept('keyword', 'LIMIT') ? this.parseCount() : null;
+
+        this.expect('eof');
+        return { patterns, where, returns: { distinct, items }, orderBy, skip, limit };
+    }
+
+    parseWithSource(parse) {
+        const start = this.peek().start;
+        const expr = parse();
+        const end = this.tokens[this.pos - 1].end;
+        return { expr, source: this.text.slice(start, end).replace(/\s+/g, ' ') };
+    }
+
+    parseCount() {
+        if (this.is('param')) return { kind: 'param', name: this.next().value };
+        return { kind: 'literal', value: this.expect('number').value };
+    }
+
+    parsePattern() {
+        const nodes = [this.parseNodePattern()];
+        const relations = [];
+
+        while (this.is('punct', '-') || this.is('punct', '<')) {
+            relations.push(this.parseRelationPattern());
+            nodes.push(this.parseNodePattern());
+        }
+
+        return { nodes, relations };
+    }
+
+    parseNodePattern() {
+        this.expect('punct', '(');
+        const variable = this.is('ident') ? this.next().value : this.anonymousVariable();
+        const label = this.accept('punct', ':') ? this.expect('ident').value : null;
+        const properties = this.is('punct', '{') ? this.parseProperties() : {};
+        this.expect('punct', ')');
+        return { variable, label, properties };
+    }
+
+    parseRelationPattern() {
+        const start = this.peek().start;
+        const left = Boolean(this.accept('punct', '<'));
+        this.expect('punct', '-');
+
+        let variable = null;
+        const names = [];
+        let minHops = 1;
+        let maxHops = 1;
+        let variableLength = false;
+        let properties = {};
+
+        if (this.accept('punct', '[')) {
+            if (this.is('ident')) variable = this.next().value;
+            if (this.accept('punct', ':')) {
+                do {
+                    names.push(this.expect('ident').value);
+                } while (this.accept('punct', '|'));
+            }
+            if (this.accept('punct', '*')) {
+                variableLength = true;
+                maxHops = Infinity;
+                if (this.is('number')) {
+                    minHops = this.next().value;
+                    maxHops = minHops;
+                }
+                if (this.accept('punct', '..')) {
+                    maxHops = this.is('number') ? this.next().value : Infinity;
+                }
+                if (!Number.isInteger(minHops) || minHops < 0 || minHops > maxHops) {
+                    throw syntaxError(this.text, start, 'invalid variable-length range');
+                }
+            }
+            if (this.is('punct', '{')) properties = this.parseProperties();
+            this.expect('punct', ']');
+        }
+
+        this.expect('punct', '-');
+        const right = Boolean(this.accept('punct', '>'));
+        if (left && right) {
+            throw syntaxError(this.text, start, 'a relation cannot point both ways');
+        }
+
+        return {
+            variable: variable || this.anonymousVariable(),
+            names,
+            directions: right ? ['outgoing'] : left ? ['incoming'] : ['outgoing', 'incoming'],
+            variableLength,
+            minHops,
+            maxHops,
+            properties
+        };
+    }
+
+    parseProperties() {
+        const properties = {};
+        this.expect('punct', '{');
+        if (!this.is('punct', '}')) {
+            do {
+                const key = this.expect('ident').value;
+                this.expect('punct', ':');
+                properties[key] = this.parseOperand();
+            } while (this.accept('punct', ','));
+        }
+        this.expect('punct', '}');
+        return properties;
+    }
+
+    anonymousVariable() {
+        // Spaces can't appear in parsed names, so these never clash with user variables
+        return ` anon${this.anonymousCount++}`;
+    }
+
+    parseExpression() {
+        let expr = this.parseAnd();
+        while (this.accept('keyword', 'OR')) {
+            expr = { kind: 'or', left: expr, right: this.parseAnd() };
+        }
+        return expr;
+    }
+
+    parseAnd() {
+        let expr = this.parseNot();
+        while (this.accept('keyword', 'AND')) {
+            expr = { kind: 'and', left: expr, right: this.parseNot() };
+        }
+        return expr;
+    }
+
+    parseNot() {
+        if (this.accept('keyword', 'NOT')) {
+            return { kind: 'not', expr: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseOperand();
+        const token = this.peek();
+
+        if (token.type === 'punct' && COMPARISON_OPERATORS[token.value]) {
+            this.next();
+            return { kind: 'compare', op: COMPARISON_OPERATORS[token.value], left, right: this.parseOperand() };
+        }
+        if (this.accept('keyword', 'IN')) {
+            return { kind: 'compare', op: 'in', left, right: this.parseOperand() };
+        }
+        if (this.accept('keyword', 'CONTAINS')) {
+            return { kind: 'compare', op: 'contains', left, right: this.parseOperand() };
+        }
+        if (this.accept('keyword', 'STARTS')) {
+            this.expect('keyword', 'WITH');
+            return { kind: 'compare', op: 'startsWith', left, right: this.parseOperand() };
+        }
+        if (this.accept('keyword', 'ENDS')) {
+            this.expect('keyword', 'WITH');
+            return { kind: 'compare', op: 'endsWith', left, right: this.parseOperand() };
+        }
+        if (this.accept('keyword', 'IS')) {
+            const negated = Boolean(this.accept('keyword', 'NOT'));
+            this.expect('keyword', 'NULL');
+            return { kind: 'isNull', expr: left, negated };
+        }
+        return left;
+    }
+
+    parseOperand() {
+        const token = this.peek();
+
+        if (this.accept('punct', '(')) {
+            const expr = this.parseExpression();
+            this.expect('punct', ')');
+            return expr;
+        }
+        if (this.accept('punct', '-')) {
+            return { kind: 'literal', value: -this.expect('number').value };
+        }
+        if (token.type === 'number' || token.type === 'string') {
+            this.next();
+            return { kind: 'literal', value: token.value };
+        }
+        if (token.type === 'param') {
+            this.next();
+            return { kind: 'param', name: token.value };
+        }
+        if (this.accept('keyword', 'TRUE')) return { kind: 'literal', value: true };
+        if (this.accept('keyword', 'FALSE')) return { kind: 'literal', value: false };
+        if (this.accept('keyword', 'NULL')) return { kind: 'literal', value: null };
+        if (this.accept('punct', '[')) {
+            const items = [];
+            if (!this.is('punct', ']')) {
+                do {
+                    items.push(this.parseOperand());
+                } while (this.accept('punct', ','));
+            }
+            this.expect('punct', ']');
+            return { kind: 'list', items };
+        }
+        if (token.type === 'ident') {
+            this.next();
+            if (token.value.toLowerCase() === 'count' && this.accept('punct', '(')) {
+                let expr = null;
+                let distinct = false;
+                if (!this.accept('punct', '*')) {
+                    distinct = Boolean(this.accept('keyword', 'DISTINCT'));
+                    expr = this.parseExpression();
+                }
+                this.expect('punct', ')');
+                return { kind: 'count', expr, distinct };
+            }
+            if (this.accept('punct', '.')) {
+                return { kind: 'property', variable: token.value, key: this.expect('ident').value };
+            }
+            return { kind: 'variable', name: token.value };
+        }
+
+        const found = token.type === 'eof' ? 'end of query' : `'${this.text.slice(token.start, token.end)}'`;
+        throw syntaxError(this.text, token.start, `expected a value, found ${found}`);
+    }
+}
+
+/**
+ * parseQuery(text)
+ * @description
+ *   Parses a query string into an AST.
+ * @param {string} text
+ * @returns {Object} query AST
+ * @throws {Error} on syntax errors, with the offending position
+ */
+function parseQuery(text) {
+    return new Parser(text).parseQuery();
+}
+
+/**
+ * executeQuery(db, ast, params)
+ * @description
+ *   Runs a parsed query against a database.
+ * @param {TinyGraphDB} db
+ * @param {Object} ast – from `parseQuery`
+ * @param {Object} [params={}] – values for `$name` parameters
+ * @returns {Array<Object>} one object per result row, keyed by column name
+ * @throws on unknown variables or parameters and invalid aggregations
+ */
+function executeQuery(db, ast, params = {}) {
+    const { patterns, where, returns, orderBy } = ast;
+
+    const variables = [];
+    patterns.forEach(pattern => {
+        pattern.nodes.forEach((node, i) => {
+            variables.push(node.variable);
+            if (i < pattern.relations.length) variables.push(pattern.relations[i].variable);
+        });
+    });
+    const known = new Set(variables);
+    const visible = Array.from(known).filter(name => !name.startsWith(' '));
+
+    const items = returns.items || visible.map(name => ({ expr: { kind: 'variable', name }, alias: name }));
+    if (items.length === 0) throw new Error('RETURN * needs at least one named variable');
+
+    const context = { db, params, known };
+    [where, ...items.map(item => item.expr)].forEach(expr => checkVariables(expr, context));
+
+    const aggregating = items.some(item => containsCount(item.expr));
+    if (where && containsCount(where)) throw new Error('count() is not allowed in WHERE');
+
+    const aliases = new Set(items.map(item => item.alias));
+    orderBy.forEach(order => {
+        if (aliases.has(order.source)) return;
+        if (order.expr.kind === 'variable' && aliases.has(order.expr.name)) return;
+        if (aggregating) throw new Error(`ORDER BY ${order.source} must be a returned column when aggregating`);
+        checkVariables(order.expr, context);
+    });
+
+    const skip = ast.skip ? evaluate(ast.skip, {}, context) : 0;
+    const limit = ast.limit ? evaluate(ast.limit, {}, context) : Infinity;
+    [skip, limit].forEach(value => {
+        if (typeof value !== 'number' || value < 0 || (value !== Infinity && !Number.isInteger(value))) {
+            throw new Error(`SKIP and LIMIT need non-negative integers, got ${value}`);
+        }
+    });
+
+    const plan = planMatch(patterns, where, context);
+    const bindings = matchPatterns(plan, 0, {}, new Set(), context);
+    const accepted = where
+        ? filter(bindings, binding => evaluate(where, binding, context) === true)
+        : bindings;
+
+    let rows;
+    if (aggregating) {
+        rows = aggregate(accepted, items, context);
+        if (returns.distinct) rows = Array.from(distinctRows(rows, items));
+    } else {
+        const projected = map(accepted, binding => ({ binding, columns: project(binding, items, context) }));
+        const unique = returns.distinct ? distinctRows(projected, items) : projected;
+
+        if (orderBy.length === 0) {
+            return take(unique, skip, limit).map(row => row.columns);
+        }
+        rows = Array.from(unique);
+    }
+
+    if (orderBy.length > 0) {
+        const keyed = rows.map(row => ({
+            row,
+            keys: orderBy.map(order => orderValue(order, row, context))
+        }));
+        keyed.sort((a, b) => {
+            for (let i = 0; i < orderBy.length; i++) {
+                const result = compareValues(a.keys[i], b.keys[i]);
+                if (result !== 0) return orderBy[i].descending ? -result : result;
+            }
+            return 0;
+        });
+        rows = keyed.map(entry => entry.row);
+    }
+
+    return rows.slice(skip, skip + limit).map(row => row.columns);
+}
+
+function checkVariables(expr, context) {
+    if (!expr) return;
+    switch (expr.kind) {
+        case 'variable':
+            if (!context.known.has(expr.name)) throw new Error(`Unknown variable: ${expr.name}`);
+            break;
+        case 'property':
+            if (!context.known.has(expr.variable)) throw new Error(`Unknown variable: ${expr.variable}`);
+            break;
+        case 'param':
+            if (!Object.prototype.hasOwnProperty.call(context.params, expr.name)) {
+                throw new Error(`Missing query parameter: $${expr.name}`);
+            }
+            break;
+        case 'and':
+        case 'or':
+        case 'compare':
+            checkVariables(expr.left, context);
+            checkVariables(expr.right, context);
+            break;
+        case 'not':
+        case 'isNull':
+        case 'count':
+            checkVariables(expr.expr, context);
+            break;
+        case 'list':
+            expr.items.forEach(item => checkVariables(item, context));
+            break;
+        default:
+            break;
+    }
+}
+
+function containsCount(expr) {
+    if (!expr) return false;
+    if (expr.kind === 'count') return true;
+    return [expr.left, expr.right, expr.expr].some(containsCount)
+        || (expr.kind === 'list' && expr.items.some(containsCount));
+}
+
+/**
+ * planMatch(patterns, where, context)
+ * @internal
+ * @description
+ *   Turns pattern labels and properties into `matchesConditions`
+ *   conditions per variable, then folds in top-level `AND`ed WHERE
+ *   comparisons of one variable against a value so start nodes come from
+ *   `searchNodes` (and its indexes). The full WHERE is still evaluated on
+ *   every match, so pushed conditions only need to be at least as loose.
+ * @returns {Array<Object>} patterns with `conditions` on each element
+ */
+function planMatch(patterns, where, context) {
+    const conditions = new Map();
+    const impossible = new Set(); // variables whose pattern can never match
+
+    const conditionsFor = (element, isNode) => {
+        const result = conditions.get(element.variable) || { metadata: {} };
+        if (isNode && element.label) result.metadata.type = element.label;
+        Object.entries(element.properties).forEach(([key, expr]) => {
+            const value = evaluate(expr, {}, context);
+            if (key === 'id' || key === 'fromNodeId' || key === 'toNodeId') {
+                result[key] = value;
+            } else if (key === 'name') {
+                if (typeof value === 'string') {
+                    result.name = value;
+                } else {
+                    impossible.add(element.variable);
+                }
+            } else {
+                result.metadata[key] = { eq: value };
+            }
+        });
+        conditions.set(element.variable, result);
+        return result;
+    };
+
+    const plan = patterns.map(pattern => ({
+        nodes: pattern.nodes.map(node => ({ ...node, conditions: conditionsFor(node, true) })),
+        relations: pattern.relations.map(relation => ({
+            ...relation,
+            conditions: relation.variableLength ? null : conditionsFor(relation, false)
+        }))
+    }));
+
+    conjuncts(where).forEach(expr => {
+        if (expr.kind !== 'compare' || !PUSHDOWN_OPERATORS.has(expr.op)) return;
+        if (expr.left.kind !== 'property' || !['literal', 'param', 'list'].includes(expr.right.kind)) return;
+
+        const target = conditions.get(expr.left.variable);
+        if (!target) return; // variable-length relation
+        const value = evaluate(expr.right, {}, context);
+        if (value === null || value === undefined) return;
+        if (expr.op === 'in' && !Array.isArray(value)) return;
+
+        const { key } = expr.left;
+        if (ENTITY_FIELDS.has(key)) {
+            if (expr.op === 'eq' && target[key] === undefined && (key !== 'name' || typeof value === 'string')) {
+                target[key] = value;
+            }
+            return;
+        }
+        const condition = target.metadata[key] || (target.metadata[key] = {});
+        if (condition[expr.op] === undefined) condition[expr.op] = value;
+    });
+
+    plan.forEach(pattern => {
+        [...pattern.nodes, ...pattern.relations].forEach(element => {
+            element.impossible = impossible.has(element.variable);
+        });
+    });
+
+    return plan;
+}
+
+function conjuncts(expr) {
+    if (!expr) return [];
+    if (expr.kind === 'and') return [...conjuncts(expr.left), ...conjuncts(expr.right)];
+    return [expr];
+}
+
+function* matchPatterns(plan, index, binding, usedRelations, context) {
+    if (index === plan.length) {
+        yield binding;
+        return;
+    }
+
+    const pattern = plan[index];
+    const first = pattern.nodes[0];
+    if (first.impossible) return;
+
+    let starts;
+    if (Object.prototype.hasOwnProperty.call(binding, first.variable)) {
+        const bound = binding[first.variable];
+        starts = context.db.nodes.get(bound && bound.id) === bound ? [bound] : [];
+    } else {
+        starts = context.db.searchNodes(first.conditions);
+    }
+
+    for (const node of starts) {
+        const next = bind(binding, first.variable, node);
+        for (const extended of extendPattern(pattern, 0, node, next, usedRelations, context)) {
+            yield* matchPatterns(plan, index + 1, extended, usedRelations, context);
+        }
+    }
+}
+
+function* extendPattern(pattern, hop, node, binding, usedRelations, context) {
+    if (hop === pattern.relations.length) {
+        yield binding;
+        return;
+    }
+
+    const relation = pattern.relations[hop];
+    const target = pattern.nodes[hop + 1];
+    if (relation.impossible || target.impossible) return;
+
+    if (!relation.variableLength) {
+        for (const { relation: edge, otherNodeId } of adjacentEdges(node.id, relation, context)) {
+            if (usedRelations.has(edge.id)) continue;
+            if (!bindable(binding, relation.variable, edge)) continue;
+            if (!relation.conditions || !context.db.matchesConditions(edge, relation.conditions)) continue;
+
+            const other = context.db.nodes.get(otherNodeId);
+            if (!nodeAllowed(target, other, binding, context)) continue;
+
+            usedRelations.add(edge.id);
+            const next = bind(bind(binding, relation.variable, edge), target.variable, other);
+            yield* extendPattern(pattern, hop + 1, other, next, usedRelations, context);
+            usedRelations.delete(edge.id);
+        }
+        return;
+    }
+
+    const edgeConditions = relation.properties;
+    const path = [];
+    const matchesEdge = edge => Object.entries(edgeConditions).every(([key, expr]) => {
+        const result = compare('eq', readProperty(edge, key), evaluate(expr, {}, context), context);
+        return result === true;
+    });
+
+    const walk = function* (current, depth) {
+        if (depth >= relation.minHops) {
+            const other = context.db.nodes.get(current);
+            if (nodeAllowed(target, other, binding, context) && bindable(binding, relation.variable, path)) {
+                const next = bind(bind(binding, relation.variable, path.slice()), target.variable, other);
+                yield* extendPattern(pattern, hop + 1, other, next, usedRelations, context);
+            }
+        }
+        if (depth >= relation.maxHops) return;
+
+        for (const { relation: edge, otherNodeId } of adjacentEdges(current, relation, context)) {
+            if (usedRelations.has(edge.id) || !matchesEdge(edge)) continue;
+            usedRelations.add(edge.id);
+            path.push(edge);
+            yield* walk(otherNodeId, depth + 1);
+            path.pop();
+            usedRelations.delete(edge.id);
+        }
+    };
+
+    yield* walk(node.id, 0);
+}
+
+function adjacentEdges(nodeId, relation, context) {
+    const edges = context.db._adjacent(nodeId, { directions: relation.directions });
+    if (relation.names.length === 0) return edges;
+    return edges.filter(({ relation: edge }) => relation.names.includes(edge.name));
+}
+
+function nodeAllowed(pattern, node, binding, context) {
+    if (Object.prototype.hasOwnProperty.call(binding, pattern.variable)) {
+        return binding[pattern.variable] === node;
+    }
+    return context.db.matchesConditions(node, pattern.conditions);
+}
+
+function bindable(binding, variable, value) {
+    if (!Object.prototype.hasOwnProperty.call(binding, variable)) return true;
+    // a repeated variable-length variable can't name the same list twice; treat as a mismatch
+    return binding[variable] === value && !Array.isArray(value);
+}
+
+function bind(binding, variable, value) {
+    if (binding[variable] === value) return binding;
+    return { ...binding, [variable]: value };
+}
+
+function readProperty(entity, key) {
+    if (!entity || Array.isArray(entity)) return null;
+    const value = ENTITY_FIELDS.has(key) ? entity[key] : entity.metadata && entity.metadata[key];
+    return value === undefined ? null : value;
+}
+
+/**
+ * evaluate(expr, binding, context)
+ * @internal
+ * @description
+ *   Evaluates an expression for one match. Predicates use three-valued
+ *   logic: `null` means unknown (a missing value was compared) and only
+ *   `true` keeps a row.
+ * @returns {any}
+ */
+function evaluate(expr, binding, context) {
+    switch (expr.kind) {
+        case 'literal':
+            return expr.value;
+        case 'param':
+            if (!Object.prototype.hasOwnProperty.call(context.params, expr.name)) {
+                throw new Error(`Missing query parameter: $${expr.name}`);
+            }
+            return context.params[expr.name];
+        case 'list':
+            return expr.items.map(item => evaluate(item, binding, context));
+        case 'variable':
+            return binding[expr.name] === undefined ? null : binding[expr.name];
+        case 'property':
+            return readProperty(binding[expr.variable], expr.key);
+        case 'compare':
+            return compare(expr.op, evaluate(expr.left, binding, context), evaluate(expr.right, binding, context), context);
+        case 'isNull': {
+            const value = evaluate(expr.expr, binding, context);
+            return (value === null || value === undefined) !== expr.negated;
+        }
+        case 'not': {
+            const value = evaluate(expr.expr, binding, context);
+            return value === null ? null : !value;
+        }
+        case 'and': {
+            const left = evaluate(expr.left, binding, context);
+            if (left === false) return false;
+            const right = evaluate(expr.right, binding, context);
+            if (right === false) return false;
+            return left === null || right === null ? null : true;
+        }
+        case 'or': {
+            const left = evaluate(expr.left, binding, context);
+            if (left === true) return true;
+            const right = evaluate(expr.right, binding, context);
+            if (right === true) return true;
+            return left === null || right === null ? null : false;
+        }
+        case 'count':
+            throw new Error('count() can only be used in RETURN');
+        default:
+            throw new Error(`Cannot evaluate expression of kind ${expr.kind}`);
+    }
+}
+
+function compare(op, left, right, context) {
+    if (left === null || left === undefined || right === null || right === undefined) return null;
+    if (op === 'in' && !Array.isArray(right)) {
+        throw new Error('IN needs a list on its right-hand side');
+    }
+    return context.db.matchesMetadataConditions({ value: left }, { value: { [op]: right } });
+}
+
+function project(binding, items, context) {
+    const columns = {};
+    items.forEach(item => {
+        columns[item.alias] = evaluate(item.expr, binding, context);
+    });
+    return columns;
+}
+
+/**
+ * aggregate(bindings, items, context)
+ * @internal
+ * @description
+ *   Groups matches by the non-`count` items and evaluates each `count`
+ *   per group.
+ * @returns {Array<{columns: Object}>}
+ */
+function aggregate(bindings, items, context) {
+    const groups = new Map();
+    const keyItems = items.filter(item => !containsCount(item.expr));
+
+    for (const binding of bindings) {
+        const keyValues = keyItems.map(item => evaluate(item.expr, binding, context));
+        const key = keyValues.map(valueKey).join('\u0000');
+
+        if (!groups.has(key)) {
+            const counters = items.map(item => (containsCount(item.expr)
+                ? { count: 0, seen: item.expr.distinct ? new Set() : null }
+                : null));
+            groups.set(key, { keyValues, counters });
+        }
+
+        const group = groups.get(key);
+        items.forEach((item, i) => {
+            const counter = group.counters[i];
+            if (!counter) return;
+            if (item.expr.kind !== 'count') {
+                throw new Error('count() must be a RETURN item on its own');
+            }
+            if (!item.expr.expr) {
+                counter.count++;
+                return;
+            }
+            const value = evaluate(item.expr.expr, binding, context);
+            if (value === null || value === undefined) return;
+            if (counter.seen) {
+                const seenKey = valueKey(value);
+                if (counter.seen.has(seenKey)) return;
+                counter.seen.add(seenKey);
+            }
+            counter.count++;
+        });
+    }
+
+    // Aggregating nothing still yields one row of zero counts, as in Cypher
+    if (groups.size === 0 && keyItems.length === 0) {
+        return [{ columns: Object.fromEntries(items.map(item => [item.alias, 0])) }];
+    }
+
+    return Array.from(groups.values(), group => {
+        const columns = {};
+        let k = 0;
+        items.forEach((item, i) => {
+            columns[item.alias] = group.counters[i] ? group.counters[i].count : group.keyValues[k++];
+        });
+        return { columns };
+    });
+}
+
+function valueKey(value) {
+    if (Array.isArray(value) && value.every(isEntity)) return `[${value.map(e => e.id).join(',')}]`;
+    if (isEntity(value)) return `@${value.id}`;
+    return JSON.stringify(value);
+}
+
+function isEntity(value) {
+    return value !== null && typeof value === 'object' && typeof value.id === 'string' && 'metadata' in value;
+}
+
+function* distinctRows(rows, items) {
+    const seen = new Set();
+    for (const row of rows) {
+        const key = items.map(item => valueKey(row.columns[item.alias])).join('\u0000');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        yield row;
+    }
+}
+
+function orderValue(order, row, context) {
+    if (Object.prototype.hasOwnProperty.call(row.columns, order.source)) {
+        return row.columns[order.source];
+    }
+    if (order.expr.kind === 'variable' && Object.prototype.hasOwnProperty.call(row.columns, order.expr.name)) {
+        return row.columns[order.expr.name];
+    }
+    return evaluate(order.expr, row.binding, context);
+}
+
+/**
+ * compareValues(a, b)
+ * @internal
+ * @description
+ *   Sort order for ORDER BY: numbers, then strings, then booleans, then
+ *   anything else; `null` sorts last (first when descending).
+ * @returns {number}
+ */
+function compareValues(a, b) {
+    const rank = value => {
+        if (value === null || value === undefined) return 4;
+        if (typeof value === 'number') return 0;
+        if (typeof value === 'string') return 1;
+        if (typeof value === 'boolean') return 2;
+        return 3;
+    };
+    const rankA = rank(a);
+    const rankB = rank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 3) {
+        const keyA = valueKey(a);
+        const keyB = valueKey(b);
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    }
+    if (rankA === 4) return 0;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function* filter(iterable, predicate) {
+    for (const item of iterable) {
+        if (predicate(item)) yield item;
+    }
+}
+
+function* map(iterable, fn) {
+    for (const item of iterable) {
+        yield fn(item);
+    }
+}
+
+function take(iterable, skip, limit) {
+    const result = [];
+    if (limit === 0) return result;
+
+    let index = 0;
+    for (const item of iterable) {
+        if (index++ < skip) continue;
+        result.push(item);
+        if (result.length >= limit) break;
+    }
+    return result;
+}
+
+module.exports = { parseQuery, executeQuery };
@@ -0,0 +1,195 @@
+const { isVector } = require('./vectors');
+
+/**
+ * Schema definitions for node and relation metadata:
+ *
+ *   {
+ *     required: ['email'],
+ *     properties: {
+ *       email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+ *       age: { type: 'integer', min: 0 },
+ *       role: { enum: ['admin', 'user'] },
+ *       embedding: { type: 'vector', dimensions: 384 }
+ *     },
+ *     additionalProperties: true,
+ *     // relation schemas only: allowed `metadata.type` of the endpoints
+ *     from: ['person'],
+ *     to: ['organization']
+ *   }
+ *
+ * Schemas are plain JSON so they can be persisted with the graph.
+ */
+
+const PROPERTY_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'vector'];
+const PROPERTY_RULES = ['type', 'enum', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'dimensions'];
+
+/**
+ * @class ValidationError
+ * @extends Error
+ * @description
+ *   Thrown when a write violates a schema. `errors` lists every problem
+ *   found, as `{ entityType, type, id, path, message }`.
+ *
+ * @param {string} message
+ * @param {Array<Object>} errors
+ */
+class ValidationError extends Error {
+    constructor(message, errors) {
+        super(message);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * normalizeSchema(entityType, schema)
+ * @description
+ *   Checks a schema definition and fills in defaults.
+ * @param {'node'|'relation'} entityType
+ * @param {Object} schema
+ * @returns {Object} normalized copy of `schema`
+ * @throws if the definition itself is malformed
+ */
+function normalizeSchema(entityType, schema) {
+    if (typeof schema !== 'object' || schema === null) {
+        throw new Error('Schema must be an object');
+    }
+
+    const {
+        required = [],
+        properties = {},
+        additionalProperties = true,
+        from = null,
+        to = null
+    } = schema;
+
+    if (!Array.isArray(required) || required.some(key => typeof key !== 'string')) {
+        throw new Error('Schema `required` must be an array of metadata keys');
+    }
+    if (typeof properties !== 'object' || properties === null) {
+        throw new Error('Schema `properties` must be an object');
+    }
+
+    const normalizedProperties = {};
+    Object.entries(properties).forEach(([key, rule]) => {
+        if (typeof rule !== 'object' || rule === null) {
+            throw new Error(`Schema rule for "${key}" must be an object`);
+        }
+        const unknown = Object.keys(rule).filter(name => !PROPERTY_RULES.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown schema rule(s) for "${key}": ${unknown.join(', ')}`);
+        }
+        if (rule.type !== undefined && !PROPERTY_TYPES.includes(rule.type)) {
+            throw new Error(`Unknown schema type for "${key}": ${rule.type}. Expected one of ${PROPERTY_TYPES.join(', ')}`);
+        }
+        if (rule.enum !== undefined && !Array.isArray(rule.enum)) {
+            throw new Error(`Schema \`enum\` for "${key}" must be an array`);
+        }
+        if (rule.pattern !== undefined) {
+            if (typeof rule.pattern !== 'string') {
+                throw new Error(`Schema \`pattern\` for "${key}" must be a regular expression string`);
+            }
+            new RegExp(rule.pattern); // throws on invalid patterns
+        }
+        normalizedProperties[key] = { ...rule };
+    });
+
+    const normalized = {
+        required: required.slice(),
+        properties: normalizedProperties,
+        additionalProperties: Boolean(additionalProperties)
+    };
+
+    if (entityType === 'relation') {
+        normalized.from = from === null ? null : [].concat(from);
+        normalized.to = to === null ? null : [].concat(to);
+    } else if (from !== null || to !== null) {
+        throw new Error('`from` / `to` restrictions only apply to relation schemas');
+    }
+
+    return normalized;
+}
+
+/**
+ * validateMetadata(schema, metadata)
+ * @description
+ *   Checks metadata against a normalized schema.
+ * @param {Object} schema
+ * @param {Object} metadata
+ * @returns {Array<{path:string, message:string}>} empty when valid
+ */
+function validateMetadata(schema, metadata) {
+    const errors = [];
+
+    schema.required.forEach(key => {
+        if (metadata[key] === undefined || metadata[key] === null) {
+            errors.push({ path: `metadata.${key}`, message: 'is required' });
+        }
+    });
+
+    Object.entries(metadata).forEach(([key, value]) => {
+        const rule = schema.properties[key];
+        if (!rule) {
+            // `type` names the schema itself, so it is always allowed
+            if (!schema.additionalProperties && key !== 'type') {
+                errors.push({ path: `metadata.${key}`, message: 'is not allowed by the schema' });
+            }
+            return;
+        }
+        if (value === undefined || value === null) return;
+
+        const problem = checkRule(rule, value);
+        if (problem) {
+            errors.push({ path: `metadata.${key}`, message: problem });
+        }
+    });
+
+    return errors;
+}
+
+function checkRule(rule, value) {
+    if (rule.type !== undefined && !hasType(rule.type, value)) {
+        return `must be of type ${rule.type}`;
+    }
+    if (rule.enum !== undefined && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')}`;
+    }
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+    }
+    if (typeof value === 'string' || isVector(value)) {
+        if (rule.minLength !== undefined && value.length < rule.minLength) return `must have length >= ${rule.minLength}`;
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must have length <= ${rule.maxLength}`;
+    }
+    if (rule.pattern !== undefined && (typeof value !== 'string' || !new RegExp(rule.pattern).test(value))) {
+        return `must match /${rule.pattern}/`;
+    }
+    if (rule.dimensions !== undefined && (!isVector(value) || value.length !== rule.dimensions)) {
+        return `must have ${rule.dimensions} dimensions`;
+    }
+    return null;
+}
+
+function hasType(type, value) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && !Number.isNaN(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && !isVector(value);
+        case 'vector':
+            return isVector(value) && Array.prototype.every.call(value, x => typeof x === 'number' && Number.isFinite(x));
+        default:
+            return false;
+    }
+}
+
+module.exports = { ValidationError, normalizeSchema, validateMetadata };
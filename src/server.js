@@ -0,0 +1,219 @@
+const http = require('http');
+const { jsonReplacer } = require('./vectors');
+const { ValidationError } = require('./schema');
+
+/**
+ * REST routes: `[httpMethod, path pattern, handler(db, params, body)]`.
+ * Handlers return the response body; `null`/`undefined` from a lookup
+ * becomes a 404.
+ */
+const ROUTES = [
+    ['GET', '/stats', db => db.getStats()],
+    ['GET', '/export', db => db.exportData()],
+    ['POST', '/import', (db, params, body) => {
+        db.importData(body);
+        return db.getStats();
+    }],
+    ['POST', '/search-and-traverse', (db, params, body) => db.searchAndTraverse(body.embedding, body.options)],
+
+    ['GET', '/nodes', db => db.getAllNodes()],
+    ['POST', '/nodes', (db, params, body) => db.addNode(body.name, body.metadata), 201],
+    ['POST', '/nodes/search', (db, params, body) => db.searchNodes(body)],
+    ['POST', '/nodes/similar', (db, params, body) => db.searchNodesByCosineSimilarity(body.embedding, body.options)],
+    ['GET', '/nodes/:id', (db, { id }) => db.getNode(id)],
+    ['PATCH', '/nodes/:id', (db, { id }, body) => db.updateNode(id, body)],
+    ['DELETE', '/nodes/:id', (db, { id }) => db.deleteNode(id)],
+    ['GET', '/nodes/:id/neighbors', (db, { id }) => db.getNeighbors(id)],
+    ['POST', '/nodes/:id/traverse', (db, { id }, body) => db.traverseFromNode(id, body)],
+
+    ['GET', '/relations', db => db.getAllRelations()],
+    ['POST', '/relations', (db, params, body) => (
+        db.addRelation(body.name, body.fromNodeId, body.toNodeId, body.metadata, { directed: body.directed })
+    ), 201],
+    ['POST', '/relations/search', (db, params, body) => db.searchRelations(body)],
+    ['POST', '/relations/similar', (db, params, body) => db.searchRelationsByCosineSimilarity(body.embedding, body.options)],
+    ['GET', '/relations/:id', (db, { id }) => db.getRelation(id)],
+    ['PATCH', '/relations/:id', (db, { id }, body) => db.updateRelation(id, body)],
+    ['DELETE', '/relations/:id', (db, { id }) => db.deleteRelation(id)]
+].map(([method, pattern, handler, status = 200]) => ({
+    method,
+    pattern,
+    regex: new RegExp(`^${pattern.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`),
+    handler,
+    status
+}));
+
+/**
+ * Every other public method with JSON-safe arguments and results,
+ * callable as `POST /rpc/<method>` with `{ "args": [...] }`.
+ */
+const RPC_METHODS = [
+    'upsertNode', 'upsertRelation', 'updateBySearch', 'deleteBySearch',
+    'traverseFromRelation', 'traverseFromMetadata', 'shortestPath', 'findPaths', 'query', 'matchPattern',
+    'pageRank', 'degreeCentrality', 'betweennessCentrality', 'closenessCentrality',
+    'connectedComponents', 'stronglyConnectedComponents', 'detectCommunities', 'cosineSimilarity',
+    'createIndex', 'dropIndex', 'listIndexes', 'createVectorIndex', 'dropVectorIndex', 'listVectorIndexes',
+    'defineSchema', 'dropSchema', 'listSchemas',
+    'createUniqueConstraint', 'dropUniqueConstraint', 'listUniqueConstraints',
+    'getNodeHistory', 'getRelationHistory',
+    'createSnapshot', 'listSnapshots', 'restoreSnapshot', 'deleteSnapshot',
+    'exportGraphML', 'importGraphML', 'exportGEXF', 'importGEXF', 'toDOT', 'toMermaid',
+    'flushToDisk', 'compact'
+];
+
+/**
+ * @class HttpError
+ * @extends Error
+ * @internal
+ * @description
+ *   Request-level failure with the status code to answer with.
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * createServer(db, options)
+ * @description
+ *   Creates (but does not start) an HTTP server exposing `db` as a JSON
+ *   API: REST routes for CRUD, search, traversal and import/export (see
+ *   `ROUTES`), and `POST /rpc/<method>` for the rest of the public API.
+ *   Responses are JSON; errors are `{ error: { name, message[, errors] } }`
+ *   with status 400 (bad request or rejected write), 404 (unknown route
+ *   or entity), 405, 409 (already exists), 413, 422 (`ValidationError`)
+ *   or 500. Requests are handled one at a time, like in-process calls.
+ * @param {TinyGraphDB} db
+ * @param {Object} [options={}]
+ * @param {number} [options.maxBodyBytes=67108864] – larger request bodies get a 413
+ * @returns {http.Server} call `.listen(port)` to start it
+ */
+function createServer(db, options = {}) {
+    const { maxBodyBytes = 64 * 1024 * 1024 } = options;
+
+    return http.createServer((req, res) => {
+        readBody(req, maxBodyBytes)
+            .then(body => {
+                const { status, result } = dispatch(db, req.method, new URL(req.url, 'http://localhost').pathname, body);
+                send(res, status, result);
+            })
+            .catch(error => {
+                const status = statusOf(error);
+                const payload = { name: error.name, message: error.message };
+                if (error instanceof ValidationError) {
+                    payload.errors = error.errors;
+                }
+                send(res, status, { error: payload });
+            });
+    });
+}
+
+function dispatch(db, method, pathname, body) {
+    const rpc = /^\/rpc\/([^/]+)$/.exec(pathname);
+    if (rpc) {
+        const name = decodeSegment(rpc[1]);
+        if (!RPC_METHODS.includes(name)) {
+            throw new HttpError(404, `Unknown method: ${name}`);
+        }
+        if (method !== 'POST') {
+            throw new HttpError(405, `Use POST for /rpc/${name}`);
+        }
+        const args = body.args === undefined ? [] : body.args;
+        if (!Array.isArray(args)) {
+            throw new HttpError(400, '`args` must be an array');
+        }
+        const result = db[name](...args);
+        return { status: 200, result: result === undefined ? null : result };
+    }
+
+    let pathMatched = false;
+    for (const route of ROUTES) {
+        const match = route.regex.exec(pathname);
+        if (!match) continue;
+        pathMatched = true;
+        if (route.method !== method) continue;
+
+        const params = {};
+        Object.entries(match.groups || {}).forEach(([key, value]) => {
+            params[key] = decodeSegment(value);
+        });
+        const result = route.handler(db, params, body);
+        if (result === undefined || result === null) {
+            throw new HttpError(404, `Not found: ${pathname}`);
+        }
+        return { status: route.status, result };
+    }
+
+    throw pathMatched
+        ? new HttpError(405, `Method ${method} not allowed on ${pathname}`)
+        : new HttpError(404, `No route for ${method} ${pathname}`);
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new HttpError(400, `Malformed path segment: ${segment}`);
+    }
+}
+
+function readBody(req, maxBodyBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+
+        req.on('data', chunk => {
+            if (failed) return;
+            size += chunk.length;
+            if (size > maxBodyBytes) {
+                failed = true;
+                reject(new HttpError(413, `Request body exceeds ${maxBodyBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (failed) return;
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (text.trim() === '') {
+                resolve({});
+                return;
+            }
+            try {
+                const body = JSON.parse(text);
+                if (typeof body !== 'object' || body === null) {
+                    throw new Error('expected a JSON object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function statusOf(error) {
+    if (error instanceof HttpError) return error.status;
+    if (error instanceof ValidationError) return 422;
+    // TinyGraphDB reports bad input with plain Errors; anything else is a bug
+    if (error.constructor !== Error) return 500;
+    if (/not found/i.test(error.message)) return 404;
+    if (/already exists/i.test(error.message)) return 409;
+    return 400;
+}
+
+function send(res, status, payload) {
+    const text = JSON.stringify(payload, jsonReplacer);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text)
+    });
+    res.end(text);
+}
+
+module.exports = { createServer, ROUTES, RPC_METHODS };
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { jsonReplacer } = require('./vectors');
+
+const BUCKET_COUNT = 256;
+const SNAPSHOT_NAME = /^[A-Za-z0-9][\w.-]*$/;
+
+/**
+ * @class SnapshotStore
+ * @description
+ *   Named, content-addressed snapshots of a graph, kept in one directory:
+ *     - `objects/<sha1>.json`: one bucket of nodes or relations. Entities
+ *       are spread over 256 buckets by a hash of their id, so a snapshot
+ *       only writes the buckets that changed since any earlier snapshot.
+ *     - `manifests/<name>.json`: entity counts and the object of every
+ *       non-empty bucket.
+ *   Objects no manifest refers to are removed when a snapshot is deleted.
+ *
+ * @param {string} dir – snapshot directory
+ * @param {function(string, string): void} writeFile – atomic file writer
+ */
+class SnapshotStore {
+    constructor(dir, writeFile) {
+        this.dir = dir;
+        this.objectsDir = path.join(dir, 'objects');
+        this.manifestsDir = path.join(dir, 'manifests');
+        this.writeFile = writeFile;
+    }
+
+    /**
+     * save(name, data)
+     * @description
+     *   Writes the buckets that are not stored yet, then the manifest, so
+     *   a crash never leaves a manifest pointing at missing objects.
+     * @param {string} name
+     * @param {{nodes:Array,relations:Array}} data
+     * @returns {{name:string,createdAt:number,nodes:number,relations:number,objectsWritten:number}}
+     * @throws on an invalid name or if the snapshot already exists
+     */
+    save(name, data) {
+        const manifestPath = this._manifestPath(name);
+        if (fs.existsSync(manifestPath)) {
+            throw new Error(`Snapshot "${name}" already exists`);
+        }
+        fs.mkdirSync(this.objectsDir, { recursive: true });
+        fs.mkdirSync(this.manifestsDir, { recursive: true });
+
+        let objectsWritten = 0;
+        const buckets = {};
+        [['node', data.nodes], ['relation', data.relations]].forEach(([type, entities]) => {
+            buckets[type] = {};
+            bucketize(entities).forEach((bucket, index) => {
+                const contents = JSON.stringify(bucket, jsonReplacer);
+                const hash = crypto.createHash('sha1').update(contents).digest('hex');
+                const objectPath = this._objectPath(hash);
+                if (!fs.existsSync(objectPath)) {
+                    this.writeFile(objectPath, contents);
+                    objectsWritten++;
+                }
+                buckets[type][index] = hash;
+            });
+        });
+
+        const manifest = {
+            name,
+            createdAt: Date.now(),
+            nodes: data.nodes.length,
+            relations: data.relations.length,
+            buckets
+        };
+        this.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+        return { ...summarize(manifest), objectsWritten };
+    }
+
+    /**
+     * load(name)
+     * @description
+     *   Reads a snapshot back, checking every object against its hash.
+     * @param {string} name
+     * @returns {{nodes:Array,relations:Array}}
+     * @throws if the snapshot does not exist or an object is missing or corrupt
+     */
+    load(name) {
+        const manifest = this._readManifest(name);
+        const data = { nodes: [], relations: [] };
+
+        [['node', data.nodes], ['relation', data.relations]].forEach(([type, entities]) => {
+            Object.values(manifest.buckets[type]).forEach(hash => {
+                const contents = fs.readFileSync(this._objectPath(hash), 'utf8');
+                if (crypto.createHash('sha1').update(contents).digest('hex') !== hash) {
+                    throw new Error(`Snapshot "${name}" is corrupt: object ${hash} does not match its hash`);
+                }
+                entities.push(...JSON.parse(contents));
+            });
+        });
+
+        return data;
+    }
+
+    /**
+     * list()
+     * @description
+     *   Lists stored snapshots, oldest first.
+     * @returns {Array<{name:string,createdAt:number,nodes:number,relations:number}>}
+     */
+    list() {
+        if (!fs.existsSync(this.manifestsDir)) return [];
+
+        return fs.readdirSync(this.manifestsDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => summarize(this._readManifest(file.slice(0, -'.json'.length))))
+            .sort((a, b) => a.createdAt - b.createdAt || (a.name < b.name ? -1 : 1));
+    }
+
+    /**
+     * remove(name)
+     * @description
+     *   Deletes a manifest, then every object no remaining manifest uses.
+     * @param {string} name
+     * @returns {boolean} whether the snapshot existed
+     */
+    remove(name) {
+        const manifestPath = this._manifestPath(name);
+        if (!fs.existsSync(manifestPath)) return false;
+        fs.unlinkSync(manifestPath);
+
+        const referenced = new Set();
+        fs.readdirSync(this.manifestsDir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                const { buckets } = this._readManifest(file.slice(0, -'.json'.length));
+                Object.values(buckets.node).forEach(hash => referenced.add(hash));
+                Object.values(buckets.relation).forEach(hash => referenced.add(hash));
+            });
+
+        fs.readdirSync(this.objectsDir).forEach(file => {
+            if (!referenced.has(file.slice(0, -'.json'.length))) {
+                fs.unlinkSync(path.join(this.objectsDir, file));
+            }
+        });
+        return true;
+    }
+
+    _readManifest(name) {
+        const manifestPath = this._manifestPath(name);
+        if (!fs.existsSync(manifestPath)) {
+            throw new Error(`Snapshot "${name}" not found`);
+        }
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+
+    _manifestPath(name) {
+        if (typeof name !== 'string' || !SNAPSHOT_NAME.test(name)) {
+            throw new Error(`Invalid snapshot name: ${name}. Use letters, digits, "_", "-" and "."`);
+        }
+        return path.join(this.manifestsDir, `${name}.json`);
+    }
+
+    _objectPath(hash) {
+        return path.join(this.objectsDir, `${hash}.json`);
+    }
+}
+
+/**
+ * Groups entities by bucket, each bucket sorted by id so unchanged
+ * buckets serialize (and hash) identically.
+ * @returns {Map<number, Array>}
+ */
+function bucketize(entities) {
+    const buckets = new Map();
+    entities.forEach(entity => {
+        const index = bucketOf(entity.id);
+        if (!buckets.has(index)) {
+            buckets.set(index, []);
+        }
+        buckets.get(index).push(entity);
+    });
+    buckets.forEach(bucket => bucket.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)));
+    return buckets;
+}
+
+// FNV-1a hash of the id, reduced to a bucket number
+function bucketOf(id) {
+    let hash = 0x811c9dc5;
+    const text = String(id);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % BUCKET_COUNT;
+}
+
+function summarize({ name, createdAt, nodes, relations }) {
+    return { name, createdAt, nodes, relations };
+}
+
+module.exports = { SnapshotStore };
@@ -0,0 +1,499 @@
+/**
+ * Fluent, Gremlin-style traversals for `TinyGraphDB.V()` / `TinyGraphDB.E()`.
+ *
+ *   db.V({ metadata: { type: 'paper' } })
+ *       .out('mentions').has('type', 'concept')
+ *       .in('authored_by').dedup().limit(20)
+ *       .toArray();
+ *
+ * Every step returns a new traversal, so partial traversals can be shared
+ * and extended. Nothing runs until the traversal is iterated; steps are
+ * generators over `nodeRelations`, so `limit()` stops the walk as soon as
+ * enough results exist.
+ *
+ * Anonymous traversals (for `where()` and `repeat()`) start from `__`:
+ *
+ *   const { __ } = TinyGraphDB;
+ *   db.V(id).repeat(__.out('cites')).times(2).path().toArray();
+ *   db.V({ metadata: { type: 'paper' } }).where(__.out('mentions').has('name', 'graphs'));
+ */
+
+const ENTITY_FIELDS = new Set(['id', 'name', 'fromNodeId', 'toNodeId']);
+
+/**
+ * @class Traversal
+ * @description
+ *   A source (or none, for anonymous traversals) plus a list of steps.
+ *   Internally each step maps a stream of traversers
+ *   `{ element, path }` to another stream.
+ *
+ * @param {TinyGraphDB|null} db
+ * @param {function(TinyGraphDB): Iterable<Object>|null} source – start elements
+ * @param {Array<Object>} [steps=[]]
+ */
+class Traversal {
+    constructor(db, source, steps = []) {
+        this.db = db;
+        this.source = source;
+        this.steps = steps;
+    }
+
+    /**
+     * out(...relationNames)
+     * @description
+     *   Moves to nodes at the end of outgoing relations (any name if none given).
+     * @param {...string} relationNames
+     * @returns {Traversal}
+     */
+    out(...relationNames) {
+        return this._then(adjacentNodes(['outgoing'], relationNames));
+    }
+
+    /**
+     * in(...relationNames)
+     * @description
+     *   Moves to nodes at the start of incoming relations.
+     * @param {...string} relationNames
+     * @returns {Traversal}
+     */
+    in(...relationNames) {
+        return this._then(adjacentNodes(['incoming'], relationNames));
+    }
+
+    /**
+     * both(...relationNames)
+     * @description
+     *   Moves to neighbors in either direction.
+     * @param {...string} relationNames
+     * @returns {Traversal}
+     */
+    both(...relationNames) {
+        return this._then(adjacentNodes(['outgoing', 'incoming'], relationNames));
+    }
+
+    /**
+     * outE(...relationNames)
+     * @description
+     *   Moves from nodes to their outgoing relations.
+     * @param {...string} relationNames
+     * @returns {Traversal}
+     */
+    outE(...relationNames) {
+        return this._then(adjacentRelations(['outgoing'], relationNames));
+    }
+
+    /**
+     * inE(...relationNames)
+     * @description
+     *   Moves from nodes to their incoming relations.
+     * @param {...string} relationNames
+     * @returns {Traversal}
+     */
+    inE(...relationNames) {
+        return this._then(adjacentRelations(['incoming'], relationNames));
+    }
+
+    /**
+     * bothE(...relationNames)
+     * @description
+     *   Moves from nodes to all their relations.
+     * @param {...string} relationNames
+     * @returns {Traversal}
+     */
+    bothE(...relationNames) {
+        return this._then(adjacentRelations(['outgoing', 'incoming'], relationNames));
+    }
+
+    /**
+     * outV()
+     * @description
+     *   Moves from relations to their source node.
+     * @returns {Traversal}
+     */
+    outV() {
+        return this._then(relationEndpoints(() => ['fromNodeId']));
+    }
+
+    /**
+     * inV()
+     * @description
+     *   Moves from relations to their target node.
+     * @returns {Traversal}
+     */
+    inV() {
+        return this._then(relationEndpoints(() => ['toNodeId']));
+    }
+
+    /**
+     * bothV()
+     * @description
+     *   Moves from relations to both endpoints.
+     * @returns {Traversal}
+     */
+    bothV() {
+        return this._then(relationEndpoints(() => ['fromNodeId', 'toNodeId']));
+    }
+
+    /**
+     * otherV()
+     * @description
+     *   Moves from a relation to the endpoint the traversal did not come
+     *   from (after `bothE()`, `outE()` or `inE()`).
+     * @returns {Traversal}
+     */
+    otherV() {
+        return this._then(relationEndpoints((relation, traverser) => {
+            const previous = traverser.path[traverser.path.length - 2];
+            return [previous && previous.id === relation.fromNodeId ? 'toNodeId' : 'fromNodeId'];
+        }));
+    }
+
+    /**
+     * has(key, [condition]) / has(conditions)
+     * @description
+     *   Keeps elements that match:
+     *     - `has(key)`: `key` is present
+     *     - `has(key, value)`: equals `value`, or satisfies an operator
+     *       object such as `{ gt: 3 }` (`matchesMetadataConditions`)
+     *     - `has(conditions)`: full `searchNodes` / `searchRelations` conditions
+     *   `id`, `name`, `fromNodeId` and `toNodeId` read the element itself,
+     *   any other key its metadata.
+     * @param {string|Object} key
+     * @param {any} [condition]
+     * @returns {Traversal}
+     */
+    has(key, ...condition) {
+        if (typeof key === 'object' && key !== null) {
+            return this._then(filterStep((element, db) => db.matchesConditions(element, key)));
+        }
+        if (condition.length === 0) {
+            return this._then(filterStep(element => readKey(element, key) !== undefined));
+        }
+        return this._then(filterStep((element, db) => (
+            db.matchesMetadataConditions({ [key]: readKey(element, key) }, { [key]: condition[0] })
+        )));
+    }
+
+    /**
+     * hasNot(key)
+     * @description
+     *   Keeps elements where `key` is absent.
+     * @param {string} key
+     * @returns {Traversal}
+     */
+    hasNot(key) {
+        return this._then(filterStep(element => readKey(element, key) === undefined));
+    }
+
+    /**
+     * where(predicate)
+     * @description
+     *   Keeps elements for which `predicate` holds:
+     *     - a function `(element, path) => boolean`
+     *     - an anonymous traversal (from `__`) that yields at least one result
+     *     - a conditions object, as in `has(conditions)`
+     * @param {function|Traversal|Object} predicate
+     * @returns {Traversal}
+     */
+    where(predicate) {
+        if (predicate instanceof Traversal) {
+            return this._then(function* (input, db) {
+                for (const traverser of input) {
+                    const result = predicate._run([traverser], db)[Symbol.iterator]().next();
+                    if (!result.done) yield traverser;
+                }
+            });
+        }
+        if (typeof predicate === 'function') {
+            return this._then(function* (input) {
+                for (const traverser of input) {
+                    if (predicate(traverser.element, traverser.path.slice())) yield traverser;
+                }
+            });
+        }
+        return this.has(predicate);
+    }
+
+    /**
+     * dedup()
+     * @description
+     *   Drops elements already emitted earlier in the stream.
+     * @returns {Traversal}
+     */
+    dedup() {
+        return this._then(function* (input) {
+            const seen = new Set();
+            for (const traverser of input) {
+                const key = Array.isArray(traverser.element)
+                    ? traverser.element.map(element => element.id).join('\u0000')
+                    : traverser.element;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                yield traverser;
+            }
+        });
+    }
+
+    /**
+     * limit(count)
+     * @description
+     *   Stops after `count` elements.
+     * @param {number} count
+     * @returns {Traversal}
+     */
+    limit(count) {
+        return this._then(function* (input) {
+            if (count <= 0) return;
+            let emitted = 0;
+            for (const traverser of input) {
+                yield traverser;
+                if (++emitted >= count) return;
+            }
+        });
+    }
+
+    /**
+     * skip(count)
+     * @description
+     *   Drops the first `count` elements.
+     * @param {number} count
+     * @returns {Traversal}
+     */
+    skip(count) {
+        return this._then(function* (input) {
+            let skipped = 0;
+            for (const traverser of input) {
+                if (skipped++ < count) continue;
+                yield traverser;
+            }
+        });
+    }
+
+    /**
+     * repeat(traversal)
+     * @description
+     *   Applies an anonymous traversal repeatedly; follow with
+     *   `times(n)` to say how often.
+     * @param {Traversal} traversal – from `__`
+     * @returns {Traversal}
+     * @throws if `traversal` is not an anonymous traversal
+     */
+    repeat(traversal) {
+        if (!(traversal instanceof Traversal) || traversal.source) {
+            throw new Error('repeat() expects an anonymous traversal, e.g. __.out()');
+        }
+        return new Traversal(this.db, this.source, [...this.steps, { repeat: traversal, times: null }]);
+    }
+
+    /**
+     * times(count)
+     * @description
+     *   Sets how many times the preceding `repeat()` runs.
+     * @param {number} count
+     * @returns {Traversal}
+     * @throws if not directly after `repeat()`
+     */
+    times(count) {
+        const last = this.steps[this.steps.length - 1];
+        if (!last || !last.repeat || last.times !== null) {
+            throw new Error('times() must directly follow repeat()');
+        }
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`times() expects a non-negative integer, got ${count}`);
+        }
+        return new Traversal(this.db, this.source, [...this.steps.slice(0, -1), { repeat: last.repeat, times: count }]);
+    }
+
+    /**
+     * path()
+     * @description
+     *   Replaces each element with the list of elements visited to reach it.
+     * @returns {Traversal}
+     */
+    path() {
+        return this._then(function* (input) {
+            for (const traverser of input) {
+                yield { element: traverser.path.slice(), path: traverser.path };
+            }
+        });
+    }
+
+    /**
+     * values(key)
+     * @description
+     *   Replaces each element with its value for `key` (see `has`),
+     *   skipping elements without it.
+     * @param {string} key
+     * @returns {Traversal}
+     */
+    values(key) {
+        return this._then(function* (input) {
+            for (const traverser of input) {
+                const value = readKey(traverser.element, key);
+                if (value !== undefined) yield { element: value, path: traverser.path };
+            }
+        });
+    }
+
+    /**
+     * toArray()
+     * @description
+     *   Runs the traversal.
+     * @returns {Array} resulting elements (nodes, relations, paths or values)
+     */
+    toArray() {
+        return Array.from(this);
+    }
+
+    /**
+     * first()
+     * @description
+     *   Runs the traversal until its first result.
+     * @returns {any} the first element, or `null`
+     */
+    first() {
+        const result = this[Symbol.iterator]().next();
+        return result.done ? null : result.value;
+    }
+
+    /**
+     * count()
+     * @description
+     *   Runs the traversal and counts the results.
+     * @returns {number}
+     */
+    count() {
+        const iterator = this[Symbol.iterator]();
+        let count = 0;
+        while (!iterator.next().done) count++;
+        return count;
+    }
+
+    * [Symbol.iterator]() {
+        if (!this.source) {
+            throw new Error('Anonymous traversals can only be used inside where() or repeat()');
+        }
+        const start = (function* (db, source) {
+            for (const element of source(db)) {
+                yield { element, path: [element] };
+            }
+        })(this.db, this.source);
+
+        for (const traverser of this._run(start, this.db)) {
+            yield traverser.element;
+        }
+    }
+
+    /**
+     * _then(step)
+     * @internal
+     * @param {function(Iterable<Object>, TinyGraphDB): Iterable<Object>} step
+     * @returns {Traversal} this traversal with `step` appended
+     */
+    _then(step) {
+        return new Traversal(this.db, this.source, [...this.steps, step]);
+    }
+
+    /**
+     * _run(input, db)
+     * @internal
+     * @description
+     *   Chains the steps over a traverser stream (lazily).
+     * @param {Iterable<Object>} input
+     * @param {TinyGraphDB} db
+     * @returns {Iterable<Object>}
+     * @throws if a `repeat()` is missing its `times()`
+     */
+    _run(input, db) {
+        return this.steps.reduce((stream, step) => {
+            if (typeof step === 'function') return step(stream, db);
+
+            if (step.times === null) throw new Error('repeat() needs times()');
+            let repeated = stream;
+            for (let i = 0; i < step.times; i++) {
+                repeated = step.repeat._run(repeated, db);
+            }
+            return repeated;
+        }, input);
+    }
+}
+
+function adjacentNodes(directions, relationNames) {
+    return function* (input, db) {
+        for (const traverser of input) {
+            for (const { otherNodeId } of adjacent(db, traverser.element, directions, relationNames)) {
+                const node = db.nodes.get(otherNodeId);
+                yield { element: node, path: [...traverser.path, node] };
+            }
+        }
+    };
+}
+
+function adjacentRelations(directions, relationNames) {
+    return function* (input, db) {
+        for (const traverser of input) {
+            for (const { relation } of adjacent(db, traverser.element, directions, relationNames)) {
+                yield { element: relation, path: [...traverser.path, relation] };
+            }
+        }
+    };
+}
+
+function adjacent(db, element, directions, relationNames) {
+    if (!isNode(db, element)) return [];
+    const edges = db._adjacent(element.id, { directions });
+    return relationNames.length === 0
+        ? edges
+        : edges.filter(({ relation }) => relationNames.includes(relation.name));
+}
+
+function relationEndpoints(endpointKeys) {
+    return function* (input, db) {
+        for (const traverser of input) {
+            const relation = traverser.element;
+            if (!relation || db.relations.get(relation.id) !== relation) continue;
+
+            for (const key of endpointKeys(relation, traverser)) {
+                const node = db.nodes.get(relation[key]);
+                if (node) yield { element: node, path: [...traverser.path, node] };
+            }
+        }
+    };
+}
+
+function filterStep(predicate) {
+    return function* (input, db) {
+        for (const traverser of input) {
+            if (isEntity(traverser.element) && predicate(traverser.element, db)) yield traverser;
+        }
+    };
+}
+
+function isNode(db, element) {
+    return Boolean(element) && db.nodes.get(element.id) === element;
+}
+
+function isEntity(element) {
+    return element !== null && typeof element === 'object' && !Array.isArray(element) && 'metadata' in element;
+}
+
+function readKey(element, key) {
+    if (!isEntity(element)) return undefined;
+    return ENTITY_FIELDS.has(key) ? element[key] : element.metadata[key];
+}
+
+/**
+ * __
+ * @description
+ *   Starts anonymous traversals: `__.out('cites')`, `__.has('type', 'x')`, …
+ *   Every step method of `Traversal` is available.
+ */
+const __ = {};
+Object.getOwnPropertyNames(Traversal.prototype)
+    .filter(name => name !== 'constructor' && !name.startsWith('_')
+        && !['toArray', 'first', 'count', 'times'].includes(name))
+    .forEach(name => {
+        __[name] = (...args) => new Traversal(null, null)[name](...args);
+    });
+
+module.exports = { Traversal, __ };
@@ -0,0 +1,269 @@
+/**
+ * Graphviz DOT and Mermaid flowchart rendering of a set of nodes and
+ * relations, with labels, styles by a metadata value and clusters.
+ */
+
+// ColorBrewer "Set3": light fills that keep black text readable
+const PALETTE = ['#8dd3c7', '#ffffb3', '#bebada', '#fb8072', '#80b1d3', '#fdb462', '#b3de69', '#fccde5', '#d9d9d9', '#bc80bd'];
+
+const SHAPES = ['box', 'round', 'ellipse', 'circle', 'diamond', 'hexagon', 'stadium'];
+
+// shape → [DOT shape, extra DOT style]
+const DOT_SHAPES = {
+    box: ['box', null],
+    round: ['box', 'rounded'],
+    ellipse: ['ellipse', null],
+    circle: ['circle', null],
+    diamond: ['diamond', null],
+    hexagon: ['hexagon', null],
+    stadium: ['box', 'rounded']
+};
+
+// shape → Mermaid brackets around the label
+const MERMAID_SHAPES = {
+    box: ['[', ']'],
+    round: ['(', ')'],
+    ellipse: ['(', ')'],
+    circle: ['((', '))'],
+    diamond: ['{', '}'],
+    hexagon: ['{{', '}}'],
+    stadium: ['([', '])']
+};
+
+const DIRECTIONS = ['LR', 'RL', 'TB', 'BT'];
+
+/**
+ * toDOT(graph, options)
+ * @description
+ *   Renders a Graphviz `digraph`. Undirected relations are drawn without
+ *   an arrowhead (`dir=none`); highlighted entities are drawn thicker.
+ * @param {{nodes:Array, relations:Array, highlighted:Set<string>}} graph
+ * @param {Object} [options={}] – see `TinyGraphDB#toDOT`
+ * @returns {string}
+ */
+function toDOT(graph, options = {}) {
+    const { direction = 'LR', title } = options;
+    const layout = prepare(graph, options);
+    const lines = ['digraph G {', `    rankdir=${checkDirection(direction)};`, '    node [shape=box];'];
+    if (title !== undefined) {
+        lines.push(`    label=${dotString(title)};`, '    labelloc=t;');
+    }
+
+    const nodeLine = (node, indent) => {
+        const attributes = [`label=${dotString(layout.nodeLabel(node))}`];
+        const style = layout.styleOf(node);
+        const styles = [];
+        if (style) {
+            if (style.shape) {
+                const [shape, extra] = DOT_SHAPES[style.shape];
+                attributes.push(`shape=${shape}`);
+                if (extra) styles.push(extra);
+            }
+            if (style.fill) {
+                styles.push('filled');
+                attributes.push(`fillcolor=${dotString(style.fill)}`);
+            }
+            if (style.stroke) attributes.push(`color=${dotString(style.stroke)}`);
+            if (style.color) attributes.push(`fontcolor=${dotString(style.color)}`);
+        }
+        if (styles.length > 0) attributes.push(`style=${dotString(styles.join(','))}`);
+        if (graph.highlighted.has(node.id)) attributes.push('penwidth=2.5');
+        return `${indent}${dotString(node.id)} [${attributes.join(', ')}];`;
+    };
+
+    layout.clusters.forEach(({ label, nodes }, i) => {
+        lines.push(`    subgraph cluster_${i} {`, `        label=${dotString(label)};`);
+        nodes.forEach(node => lines.push(nodeLine(node, '        ')));
+        lines.push('    }');
+    });
+    layout.unclustered.forEach(node => lines.push(nodeLine(node, '    ')));
+
+    graph.relations.forEach(relation => {
+        const attributes = [];
+        const label = layout.relationLabel(relation);
+        if (label !== null) attributes.push(`label=${dotString(label)}`);
+        if (relation.directed === false) attributes.push('dir=none');
+        if (graph.highlighted.has(relation.id)) attributes.push('penwidth=2.5');
+        lines.push(`    ${dotString(relation.fromNodeId)} -> ${dotString(relation.toNodeId)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+    });
+
+    lines.push('}', '');
+    return lines.join('\n');
+}
+
+/**
+ * toMermaid(graph, options)
+ * @description
+ *   Renders a Mermaid `flowchart`. Nodes get short ids (`n0`, `n1`, …)
+ *   since Mermaid ids cannot hold arbitrary text; styles become
+ *   `classDef`s, undirected relations are drawn as `---` and
+ *   highlighted entities get a thick outline.
+ * @param {{nodes:Array, relations:Array, highlighted:Set<string>}} graph
+ * @param {Object} [options={}] – see `TinyGraphDB#toMermaid`
+ * @returns {string}
+ */
+function toMermaid(graph, options = {}) {
+    const { direction = 'LR', title } = options;
+    const layout = prepare(graph, options);
+    const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+    const lines = [];
+    if (title !== undefined) {
+        lines.push('---', `title: ${JSON.stringify(String(title))}`, '---');
+    }
+    lines.push(`flowchart ${checkDirection(direction)}`);
+
+    const nodeLine = (node, indent) => {
+        const style = layout.styleOf(node);
+        const [open, close] = MERMAID_SHAPES[(style && style.shape) || 'box'];
+        return `${indent}${ids.get(node.id)}${open}"${mermaidText(layout.nodeLabel(node))}"${close}`;
+    };
+
+    layout.clusters.forEach(({ label, nodes }, i) => {
+        lines.push(`    subgraph c${i}["${mermaidText(label)}"]`);
+        nodes.forEach(node => lines.push(nodeLine(node, '        ')));
+        lines.push('    end');
+    });
+    layout.unclustered.forEach(node => lines.push(nodeLine(node, '    ')));
+
+    graph.relations.forEach(relation => {
+        const arrow = relation.directed === false ? '---' : '-->';
+        const label = layout.relationLabel(relation);
+        const text = label === null ? '' : `|"${mermaidText(label)}"|`;
+        lines.push(`    ${ids.get(relation.fromNodeId)} ${arrow}${text} ${ids.get(relation.toNodeId)}`);
+    });
+
+    layout.styleClasses.forEach(({ style, nodes }, i) => {
+        const properties = [];
+        if (style.fill) properties.push(`fill:${style.fill}`);
+        if (style.stroke) properties.push(`stroke:${style.stroke}`);
+        if (style.color) properties.push(`color:${style.color}`);
+        if (properties.length === 0) return;
+        lines.push(`    classDef s${i} ${properties.join(',')}`);
+        lines.push(`    class ${nodes.map(node => ids.get(node.id)).join(',')} s${i}`);
+    });
+    const highlighted = graph.nodes.filter(node => graph.highlighted.has(node.id));
+    if (highlighted.length > 0) {
+        lines.push('    classDef match stroke-width:3px');
+        lines.push(`    class ${highlighted.map(node => ids.get(node.id)).join(',')} match`);
+    }
+    const highlightedLinks = [];
+    graph.relations.forEach((relation, i) => {
+        if (graph.highlighted.has(relation.id)) highlightedLinks.push(i);
+    });
+    if (highlightedLinks.length > 0) {
+        lines.push(`    linkStyle ${highlightedLinks.join(',')} stroke-width:3px`);
+    }
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+/**
+ * Resolves labels, styles and clusters shared by both renderers.
+ */
+function prepare(graph, options) {
+    const {
+        nodeLabel = 'name',
+        relationLabel = 'name',
+        styleBy = null,
+        styles = {},
+        clusterBy = null
+    } = options;
+
+    Object.entries(styles).forEach(([value, style]) => {
+        if (style.shape !== undefined && !SHAPES.includes(style.shape)) {
+            throw new Error(`Unknown shape for "${value}": ${style.shape}. Use one of: ${SHAPES.join(', ')}`);
+        }
+    });
+
+    // One style per distinct `styleBy` value, in first-seen order
+    const styleClasses = [];
+    const styleIndex = new Map();
+    if (styleBy !== null) {
+        graph.nodes.forEach(node => {
+            const value = metadataValue(node, styleBy);
+            if (value === undefined) return;
+            const key = String(value);
+            if (!styleIndex.has(key)) {
+                const style = Object.prototype.hasOwnProperty.call(styles, key)
+                    ? styles[key]
+                    : { fill: PALETTE[styleIndex.size % PALETTE.length] };
+                styleIndex.set(key, styleClasses.length);
+                styleClasses.push({ style, nodes: [] });
+            }
+            styleClasses[styleIndex.get(key)].nodes.push(node);
+        });
+    }
+
+    const clusters = [];
+    const unclustered = [];
+    const clusterIndex = new Map();
+    graph.nodes.forEach(node => {
+        const value = clusterBy === null ? undefined : metadataValue(node, clusterBy);
+        if (value === undefined || value === null) {
+            unclustered.push(node);
+            return;
+        }
+        const key = String(value);
+        if (!clusterIndex.has(key)) {
+            clusterIndex.set(key, clusters.length);
+            clusters.push({ label: key, nodes: [] });
+        }
+        clusters[clusterIndex.get(key)].nodes.push(node);
+    });
+
+    return {
+        clusters,
+        unclustered,
+        styleClasses,
+        nodeLabel: node => labelOf(node, nodeLabel),
+        relationLabel: relation => (relationLabel === null || relationLabel === false ? null : labelOf(relation, relationLabel)),
+        styleOf: node => {
+            if (styleBy === null) return null;
+            const value = metadataValue(node, styleBy);
+            return value === undefined ? null : styleClasses[styleIndex.get(String(value))].style;
+        }
+    };
+}
+
+/**
+ * A label is `'name'`, `'id'`, a metadata key (dotted for nested values,
+ * falling back to the name when missing) or a function of the entity.
+ */
+function labelOf(entity, label) {
+    if (typeof label === 'function') return String(label(entity));
+    if (label === 'name' || label === 'id') return String(entity[label]);
+
+    const value = metadataValue(entity, label);
+    if (value === undefined || value === null) return String(entity.name);
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function metadataValue(entity, key) {
+    return String(key).split('.').reduce(
+        (value, part) => (value !== null && typeof value === 'object' ? value[part] : undefined),
+        entity.metadata
+    );
+}
+
+function checkDirection(direction) {
+    if (!DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown direction: ${direction}. Use one of: ${DIRECTIONS.join(', ')}`);
+    }
+    return direction;
+}
+
+function dotString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+// Mermaid labels are quoted; quotes and angle brackets use its entity codes
+function mermaidText(value) {
+    return String(value)
+        .replace(/"/g, '#quot;')
+        .replace(/</g, '#lt;')
+        .replace(/>/g, '#gt;')
+        .replace(/\r?\n/g, '<br/>');
+}
+
+module.exports = { toDOT, toMermaid };
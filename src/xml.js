@@ -0,0 +1,186 @@
+/**
+ * Minimal XML support for the GraphML / GEXF interchange formats:
+ * elements, attributes, text, CDATA, comments, processing instructions,
+ * DOCTYPE (skipped) and the predefined and numeric entities. No DTD
+ * validation or external entities.
+ *
+ * Parsed elements look like `{ name, attributes, children, text }`, where
+ * `name` keeps any namespace prefix and `text` is the concatenated
+ * character data directly inside the element.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+const NAME = /[^\s/>=]+/y;
+const ATTRIBUTE = /\s*([^\s/>=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+/**
+ * parseXML(text)
+ * @description
+ *   Parses a document and returns its root element.
+ * @param {string} text
+ * @returns {{name:string, attributes:Object, children:Array, text:string}}
+ * @throws on malformed XML, with the offending position
+ */
+function parseXML(text) {
+    let pos = 0;
+    let root = null;
+    const stack = [];
+
+    const fail = message => {
+        const line = text.slice(0, pos).split('\n').length;
+        throw new Error(`Invalid XML at line ${line}: ${message}`);
+    };
+    const skipPast = (terminator, what) => {
+        const end = text.indexOf(terminator, pos);
+        if (end === -1) fail(`unterminated ${what}`);
+        const content = text.slice(pos, end);
+        pos = end + terminator.length;
+        return content;
+    };
+    const addText = content => {
+        if (stack.length > 0) {
+            stack[stack.length - 1].text += content;
+        } else if (content.trim() !== '') {
+            fail('text outside the root element');
+        }
+    };
+
+    if (text.charCodeAt(0) === 0xfeff) pos = 1; // byte order mark
+
+    while (pos < text.length) {
+        const lt = text.indexOf('<', pos);
+        if (lt === -1) {
+            addText(decodeEntities(text.slice(pos)));
+            break;
+        }
+        if (lt > pos) {
+            addText(decodeEntities(text.slice(pos, lt)));
+        }
+        pos = lt;
+
+        if (text.startsWith('<!--', pos)) {
+            pos += 4;
+            skipPast('-->', 'comment');
+        } else if (text.startsWith('<![CDATA[', pos)) {
+            pos += 9;
+            addText(skipPast(']]>', 'CDATA section'));
+        } else if (text.startsWith('<?', pos)) {
+            pos += 2;
+            skipPast('?>', 'processing instruction');
+        } else if (text.startsWith('<!', pos)) {
+            skipDoctype();
+        } else if (text.startsWith('</', pos)) {
+            pos += 2;
+            const name = readName();
+            skipPast('>', 'closing tag');
+            const element = stack.pop();
+            if (!element || element.name !== name) {
+                fail(`unexpected </${name}>${element ? `, expected </${element.name}>` : ''}`);
+            }
+        } else {
+            pos += 1;
+            const element = { name: readName(), attributes: {}, children: [], text: '' };
+            readAttributes(element.attributes);
+
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(element);
+            } else if (root) {
+                fail('more than one root element');
+            } else {
+                root = element;
+            }
+
+            if (text.startsWith('/>', pos)) {
+                pos += 2;
+            } else if (text[pos] === '>') {
+                pos += 1;
+                stack.push(element);
+            } else {
+                fail(`malformed tag <${element.name}>`);
+            }
+        }
+    }
+
+    if (stack.length > 0) fail(`<${stack[stack.length - 1].name}> is not closed`);
+    if (!root) fail('no root element');
+    return root;
+
+    function readName() {
+        NAME.lastIndex = pos;
+        const match = NAME.exec(text);
+        if (!match) fail('expected a tag name');
+        pos = NAME.lastIndex;
+        return match[0];
+    }
+
+    function readAttributes(attributes) {
+        for (;;) {
+            ATTRIBUTE.lastIndex = pos;
+            const match = ATTRIBUTE.exec(text);
+            if (!match) break;
+            attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+            pos = ATTRIBUTE.lastIndex;
+        }
+        while (/\s/.test(text[pos])) pos++;
+    }
+
+    // <!DOCTYPE ...> may contain an internal subset in brackets
+    function skipDoctype() {
+        let depth = 0;
+        for (pos += 2; pos < text.length; pos++) {
+            const char = text[pos];
+            if (char === '[') depth++;
+            else if (char === ']') depth--;
+            else if (char === '>' && depth === 0) {
+                pos++;
+                return;
+            }
+        }
+        fail('unterminated declaration');
+    }
+}
+
+function decodeEntities(text) {
+    if (!text.includes('&')) return text;
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * escapeXML(value)
+ * @description
+ *   Escapes text for use in element content or a double-quoted attribute.
+ *   Line breaks and tabs become character references so attribute values
+ *   survive whitespace normalization.
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeXML(value) {
+    return String(value).replace(/[<>&"\n\r\t]/g, char => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '"': '&quot;',
+        '\n': '&#10;',
+        '\r': '&#13;',
+        '\t': '&#9;'
+    })[char]);
+}
+
+/**
+ * localName(name)
+ * @description
+ *   Strips a namespace prefix: `viz:color` → `color`.
+ * @param {string} name
+ * @returns {string}
+ */
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+module.exports = { parseXML, escapeXML, localName };